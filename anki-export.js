@@ -0,0 +1,438 @@
+/**
+ * ANKI EXPORT
+ *
+ * Turns history entries and review deck cards into Anki imports, built
+ * entirely in the popup:
+ * - TSV text with Anki's #separator/#columns header lines
+ * - .apkg packages: a zip holding a legacy Anki collection (collection.anki2)
+ *   written with sqlite-writer.js
+ *
+ * Export item format (one per word or kanji):
+ * {
+ *   key: 'word:日本語',          // Same as the review deck card id, used to skip
+ *                               // items that were exported before
+ *   character: '日本語',
+ *   readings: 'にほんご',
+ *   meanings: 'Japanese (language)',
+ *   sourceSentence: '日本語を勉強しています',
+ *   sourceUrl: 'https://...'
+ * }
+ */
+
+// Item properties that can be mapped to Anki fields, in note order
+const ANKI_EXPORT_FIELDS = {
+  character: 'Character',
+  readings: 'Readings',
+  meanings: 'Meanings',
+  sourceSentence: 'Source sentence',
+  sourceUrl: 'Source URL'
+};
+
+const ANKI_FIELD_SEPARATOR = '\x1f';
+
+/**
+ * EXPORT ITEMS
+ */
+
+// Unique words and kanji from translation history, most recent first
+function collectHistoryExportItems(history) {
+  const items = new Map();
+
+  history.forEach(entry => {
+    // Entries looked up on a page have the sentence around them
+    const source = {
+      sourceSentence: (entry.source && entry.source.sentence) || entry.originalText || '',
+      sourceUrl: (entry.source && entry.source.url) || ''
+    };
+
+    (entry.words || []).forEach(word => {
+      const wordEntry = word.entries[0];
+      if (!wordEntry) return;
+      const character = wordEntry.kanji[0] || wordEntry.reading;
+      const key = `word:${character}`;
+      if (!items.has(key)) {
+        items.set(key, {
+          key,
+          character,
+          readings: wordEntry.reading,
+          meanings: wordEntry.senses.slice(0, 3).map(sense => sense.glosses.join(', ')).join('; '),
+          ...source
+        });
+      }
+    });
+
+    (entry.translations || []).forEach(trans => {
+      if (!trans.inDictionary) return;
+      const key = `kanji:${trans.character}`;
+      if (!items.has(key)) {
+        items.set(key, {
+          key,
+          character: trans.character,
+          readings: trans.onyomi.concat(trans.kunyomi).join(', '),
+          meanings: trans.meanings.join(', '),
+          ...source
+        });
+      }
+    });
+  });
+
+  return [...items.values()];
+}
+
+// Review deck cards (deck.js), oldest first
+function collectDeckExportItems(cards) {
+  return cards
+    .slice()
+    .sort((a, b) => a.addedAt.localeCompare(b.addedAt))
+    .map(card => ({
+      key: card.id,
+      character: card.front,
+      readings: card.reading,
+      meanings: card.meaning,
+      sourceSentence: (card.source && card.source.sentence) || '',
+      sourceUrl: (card.source && card.source.url) || ''
+    }));
+}
+
+/**
+ * FIELD MAPPING
+ *
+ * fieldMapping: [{field: 'character', name: 'Front'}, ...] in note order.
+ * Anki field names must be unique and non-empty, so blanks fall back to
+ * the default name and repeats get a number.
+ */
+function normalizeAnkiFieldMapping(fieldMapping) {
+  const seen = new Set();
+
+  return fieldMapping
+    .filter(({ field }) => ANKI_EXPORT_FIELDS[field])
+    .map(({ field, name }) => {
+      const base = (name || '').replace(/[:{}"\t\n]/g, '').trim() || ANKI_EXPORT_FIELDS[field];
+      let unique = base;
+      for (let i = 2; seen.has(unique.toLowerCase()); i++) {
+        unique = `${base} ${i}`;
+      }
+      seen.add(unique.toLowerCase());
+      return { field, name: unique };
+    });
+}
+
+/**
+ * TSV EXPORT
+ *
+ * Plain text for File > Import in Anki. Tabs and line breaks inside
+ * values would break the columns, so they become spaces.
+ */
+function buildAnkiTsv(items, fieldMapping) {
+  const fields = normalizeAnkiFieldMapping(fieldMapping);
+  const clean = value => String(value || '').replace(/[\t\r\n]+/g, ' ');
+
+  const lines = [
+    '#separator:tab',
+    '#html:false',
+    `#columns:${fields.map(({ name }) => name).join('\t')}`,
+    ...items.map(item => fields.map(({ field }) => clean(item[field])).join('\t'))
+  ];
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * HASH HELPERS
+ */
+async function sha1Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Stable id in Anki's millisecond-timestamp id range, so re-exports reuse
+// the same note type and deck instead of creating copies
+async function stableAnkiId(text) {
+  const hash = await sha1Hex(text);
+  return 1500000000000 + (parseInt(hash.slice(0, 8), 16) % 100000000000);
+}
+
+function escapeAnkiHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * COLLECTION SETTINGS
+ *
+ * JSON stored in the col table of a legacy (schema 11) Anki collection
+ */
+function buildAnkiModel(modelId, deckId, fields, now) {
+  const [front, ...back] = fields.map(({ name }) => name);
+
+  return {
+    id: modelId,
+    name: `Kanji Helper (${fields.map(({ name }) => name).join(', ')})`,
+    type: 0,
+    mod: Math.floor(now / 1000),
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    tmpls: [{
+      name: 'Recognition',
+      ord: 0,
+      qfmt: `<div class="front">{{${front}}}</div>`,
+      afmt: '{{FrontSide}}<hr id="answer">' +
+        back.map(name => `{{#${name}}}<div>{{${name}}}</div>{{/${name}}}`).join(''),
+      did: null,
+      bqfmt: '',
+      bafmt: ''
+    }],
+    flds: fields.map(({ name }, ord) => ({
+      name,
+      ord,
+      sticky: false,
+      rtl: false,
+      font: 'Arial',
+      size: 20,
+      media: []
+    })),
+    css: '.card { font-family: sans-serif; font-size: 20px; text-align: center; }\n' +
+      '.front { font-size: 48px; }',
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n' +
+      '\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n' +
+      '\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    tags: [],
+    vers: [],
+    req: [[0, 'any', [0]]]
+  };
+}
+
+function buildAnkiDeck(id, name, now) {
+  return {
+    id,
+    name,
+    desc: '',
+    mod: Math.floor(now / 1000),
+    usn: -1,
+    collapsed: false,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+    dyn: 0,
+    conf: 1,
+    extendNew: 10,
+    extendRev: 50
+  };
+}
+
+const ANKI_DECK_CONFIG = {
+  id: 1,
+  name: 'Default',
+  mod: 0,
+  usn: 0,
+  maxTaken: 60,
+  autoplay: true,
+  timer: 0,
+  replayq: true,
+  dyn: false,
+  new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+  rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, bury: true, minSpace: 1 },
+  lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 }
+};
+
+/**
+ * COLLECTION DATABASE
+ *
+ * Same tables and indexes as Anki's legacy collection.anki2
+ */
+const ANKI_SCHEMA = {
+  col: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, ' +
+    'scm integer not null, ver integer not null, dty integer not null, usn integer not null, ' +
+    'ls integer not null, conf text not null, models text not null, decks text not null, ' +
+    'dconf text not null, tags text not null)',
+  notes: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, ' +
+    'mod integer not null, usn integer not null, tags text not null, flds text not null, ' +
+    'sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+  cards: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ' +
+    'ord integer not null, mod integer not null, usn integer not null, type integer not null, ' +
+    'queue integer not null, due integer not null, ivl integer not null, factor integer not null, ' +
+    'reps integer not null, lapses integer not null, left integer not null, odue integer not null, ' +
+    'odid integer not null, flags integer not null, data text not null)',
+  revlog: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ' +
+    'ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, ' +
+    'type integer not null)',
+  graves: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)'
+};
+
+async function buildAnkiCollection(items, fieldMapping, deckName) {
+  const fields = normalizeAnkiFieldMapping(fieldMapping);
+  if (fields.length === 0) {
+    throw new Error('Choose at least one field to export');
+  }
+
+  const now = Date.now();
+  const modelId = await stableAnkiId(`model:${fields.map(({ name }) => name).join('|')}`);
+  const deckId = await stableAnkiId(`deck:${deckName}`);
+
+  const notes = [];
+  const cards = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const values = fields.map(({ field }) => escapeAnkiHtml(item[field]));
+    const noteId = now + i;
+
+    notes.push([
+      noteId,
+      // Same item, same guid: Anki updates the note instead of duplicating it
+      (await sha1Hex(`kanji-helper:${item.key}`)).slice(0, 20),
+      modelId,
+      Math.floor(now / 1000),
+      -1,
+      ' kanji_helper ',
+      values.join(ANKI_FIELD_SEPARATOR),
+      values[0],
+      parseInt((await sha1Hex(values[0])).slice(0, 8), 16),
+      0,
+      ''
+    ]);
+
+    // One new card per note, in export order
+    cards.push([noteId, noteId, deckId, 0, Math.floor(now / 1000), -1, 0, 0, i + 1, 0, 0, 0, 0, 0, 0, 0, 0, '']);
+  }
+
+  const collection = [
+    1,
+    Math.floor(now / 1000 / 86400) * 86400,
+    now,
+    now,
+    11,
+    0,
+    0,
+    0,
+    JSON.stringify({
+      activeDecks: [1], curDeck: 1, newSpread: 0, collapseTime: 1200, timeLim: 0,
+      estTimes: true, dueCounts: true, curModel: modelId, nextPos: items.length + 1,
+      sortType: 'noteFld', sortBackwards: false, addToCur: true
+    }),
+    JSON.stringify({ [modelId]: buildAnkiModel(modelId, deckId, fields, now) }),
+    JSON.stringify({
+      1: buildAnkiDeck(1, 'Default', now),
+      [deckId]: buildAnkiDeck(deckId, deckName, now)
+    }),
+    JSON.stringify({ 1: ANKI_DECK_CONFIG }),
+    '{}'
+  ];
+
+  return createSqliteDatabase([
+    { type: 'table', name: 'col', sql: ANKI_SCHEMA.col, rows: [collection], rowidColumn: 0 },
+    { type: 'table', name: 'notes', sql: ANKI_SCHEMA.notes, rows: notes, rowidColumn: 0 },
+    { type: 'table', name: 'cards', sql: ANKI_SCHEMA.cards, rows: cards, rowidColumn: 0 },
+    { type: 'table', name: 'revlog', sql: ANKI_SCHEMA.revlog, rows: [], rowidColumn: 0 },
+    { type: 'table', name: 'graves', sql: ANKI_SCHEMA.graves, rows: [], rowidColumn: -1 },
+    { type: 'index', name: 'ix_notes_usn', table: 'notes', sql: 'CREATE INDEX ix_notes_usn on notes (usn)', columns: [4] },
+    { type: 'index', name: 'ix_cards_usn', table: 'cards', sql: 'CREATE INDEX ix_cards_usn on cards (usn)', columns: [5] },
+    { type: 'index', name: 'ix_revlog_usn', table: 'revlog', sql: 'CREATE INDEX ix_revlog_usn on revlog (usn)', columns: [2] },
+    { type: 'index', name: 'ix_cards_nid', table: 'cards', sql: 'CREATE INDEX ix_cards_nid on cards (nid)', columns: [1] },
+    { type: 'index', name: 'ix_cards_sched', table: 'cards', sql: 'CREATE INDEX ix_cards_sched on cards (did, queue, due)', columns: [2, 7, 8] },
+    { type: 'index', name: 'ix_revlog_cid', table: 'revlog', sql: 'CREATE INDEX ix_revlog_cid on revlog (cid)', columns: [1] },
+    { type: 'index', name: 'ix_notes_csum', table: 'notes', sql: 'CREATE INDEX ix_notes_csum on notes (csum)', columns: [8] }
+  ]);
+}
+
+/**
+ * ZIP WRITER
+ *
+ * Stores files uncompressed (method 0), which every zip reader and Anki
+ * accept
+ */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{name, data: Uint8Array}] -> zip file bytes
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);          // Local file header signature
+    local.setUint16(4, 20, true);                  // Version needed
+    local.setUint16(6, 0x0800, true);              // UTF-8 names
+    local.setUint16(8, 0, true);                   // Stored
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);        // Central directory signature
+    central.setUint16(4, 20, true);                // Version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);           // Local header offset
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);              // End of central directory
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * APKG EXPORT
+ *
+ * Resolves with the bytes of an .apkg file: the collection plus an empty
+ * media map
+ */
+async function buildAnkiPackage(items, fieldMapping, deckName) {
+  const collection = await buildAnkiCollection(items, fieldMapping, deckName);
+  return buildZip([
+    { name: 'collection.anki2', data: collection },
+    { name: 'media', data: new TextEncoder().encode('{}') }
+  ]);
+}
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, DatabaseSync, withSqliteDatabase } = require('./testing');
+
+loadScripts('sqlite-writer.js', 'anki-export.js');
+
+const HISTORY = [
+  {
+    originalText: '日本人',
+    words: [{ text: '日本人', entries: [{ kanji: ['日本人'], reading: 'にほんじん', senses: [{ glosses: ['Japanese person'] }] }] }],
+    translations: [
+      { character: '日', inDictionary: true, onyomi: ['ニチ'], kunyomi: ['ひ'], meanings: ['day', 'sun'] },
+      { character: 'は', inDictionary: false, onyomi: [], kunyomi: [], meanings: [] }
+    ]
+  },
+  {
+    originalText: '日',
+    words: [],
+    translations: [{ character: '日', inDictionary: true, onyomi: ['ジツ'], kunyomi: [], meanings: ['older entry'] }]
+  }
+];
+
+const MAPPING = [
+  { field: 'character', name: 'Front' },
+  { field: 'meanings', name: 'Back' },
+  { field: 'sourceSentence', name: '' }
+];
+
+// Stored (uncompressed) zip entries: [{name, data}], checked against their CRC
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const end = bytes.length - 22;
+  assert.strictEqual(view.getUint32(end, true), 0x06054B50);
+
+  const entries = [];
+  let central = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    assert.strictEqual(view.getUint32(central, true), 0x02014B50);
+    const nameLength = view.getUint16(central + 28, true);
+    const name = Buffer.from(bytes.slice(central + 46, central + 46 + nameLength)).toString('utf8');
+    const local = view.getUint32(central + 42, true);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.slice(start, start + view.getUint32(central + 20, true));
+    assert.strictEqual(crc32(data), view.getUint32(central + 16, true), name);
+    entries.push({ name, data });
+    central += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('collectHistoryExportItems keeps each word and dictionary kanji once, newest first', () => {
+  assert.deepStrictEqual(collectHistoryExportItems(HISTORY), [
+    { key: 'word:日本人', character: '日本人', readings: 'にほんじん', meanings: 'Japanese person', sourceSentence: '日本人', sourceUrl: '' },
+    { key: 'kanji:日', character: '日', readings: 'ニチ, ひ', meanings: 'day, sun', sourceSentence: '日本人', sourceUrl: '' }
+  ]);
+});
+
+test('collectHistoryExportItems takes the sentence and URL of page lookups', () => {
+  const entry = { ...HISTORY[1], source: { sentence: '今日は晴れ', url: 'https://example.com/', title: 'Weather' } };
+  assert.deepStrictEqual(collectHistoryExportItems([entry]), [
+    { key: 'kanji:日', character: '日', readings: 'ジツ', meanings: 'older entry', sourceSentence: '今日は晴れ', sourceUrl: 'https://example.com/' }
+  ]);
+});
+
+test('collectDeckExportItems lists cards oldest first', () => {
+  const cards = [
+    { id: 'kanji:月', front: '月', reading: 'ゲツ', meaning: 'moon', addedAt: '2024-02-01T00:00:00.000Z', source: {} },
+    { id: 'word:日本', front: '日本', reading: 'にほん', meaning: 'Japan', addedAt: '2024-01-01T00:00:00.000Z', source: { sentence: '日本へ', url: 'https://example.com/' } }
+  ];
+  assert.deepStrictEqual(collectDeckExportItems(cards), [
+    { key: 'word:日本', character: '日本', readings: 'にほん', meanings: 'Japan', sourceSentence: '日本へ', sourceUrl: 'https://example.com/' },
+    { key: 'kanji:月', character: '月', readings: 'ゲツ', meanings: 'moon', sourceSentence: '', sourceUrl: '' }
+  ]);
+});
+
+test('normalizeAnkiFieldMapping gives every field a unique, valid name', () => {
+  assert.deepStrictEqual(normalizeAnkiFieldMapping([
+    { field: 'character', name: ' Front ' },
+    { field: 'readings', name: 'front' },
+    { field: 'meanings', name: '{{Back}}' },
+    { field: 'sourceUrl', name: '' },
+    { field: 'unknown', name: 'Nope' }
+  ]), [
+    { field: 'character', name: 'Front' },
+    { field: 'readings', name: 'front 2' },
+    { field: 'meanings', name: 'Back' },
+    { field: 'sourceUrl', name: 'Source URL' }
+  ]);
+});
+
+test('buildAnkiTsv writes the header lines and one row per item', () => {
+  const items = [{ character: '日', meanings: 'day,\tsun', sourceSentence: 'line\none' }];
+  assert.strictEqual(buildAnkiTsv(items, MAPPING), [
+    '#separator:tab',
+    '#html:false',
+    '#columns:Front\tBack\tSource sentence',
+    '日\tday, sun\tline one',
+    ''
+  ].join('\n'));
+});
+
+test('crc32 matches the standard check value', () => {
+  assert.strictEqual(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('buildAnkiPackage zips the collection and an empty media map', async () => {
+  const entries = readZip(await buildAnkiPackage(collectHistoryExportItems(HISTORY), MAPPING, 'Kanji Helper'));
+  assert.deepStrictEqual(entries.map(({ name }) => name), ['collection.anki2', 'media']);
+  assert.strictEqual(Buffer.from(entries[1].data).toString('utf8'), '{}');
+});
+
+test('buildAnkiPackage collections open in SQLite with the notes and deck', { skip: !DatabaseSync && 'needs node:sqlite' }, async () => {
+  const items = collectHistoryExportItems(HISTORY).concat({ key: 'kanji:<', character: '<b>', meanings: 'tag & more' });
+  const [collection] = readZip(await buildAnkiPackage(items, MAPPING, 'Kanji Helper'));
+
+  withSqliteDatabase(collection.data, db => {
+    assert.strictEqual(db.prepare('PRAGMA integrity_check').get().integrity_check, 'ok');
+
+    const notes = db.prepare('SELECT * FROM notes ORDER BY id').all();
+    assert.deepStrictEqual(notes.map(note => note.flds.split('\x1f')), [
+      ['日本人', 'Japanese person', '日本人'],
+      ['日', 'day, sun', '日本人'],
+      ['&lt;b&gt;', 'tag &amp; more', '']
+    ]);
+    assert.strictEqual(notes[0].sfld, '日本人');
+
+    const col = db.prepare('SELECT * FROM col').get();
+    const [model] = Object.values(JSON.parse(col.models));
+    assert.deepStrictEqual(model.flds.map(field => field.name), ['Front', 'Back', 'Source sentence']);
+    const deck = Object.values(JSON.parse(col.decks)).find(({ name }) => name === 'Kanji Helper');
+
+    const cards = db.prepare('SELECT * FROM cards ORDER BY due').all();
+    assert.deepStrictEqual(cards.map(card => card.nid), notes.map(note => note.id));
+    assert.ok(cards.every(card => card.did === deck.id && card.type === 0 && card.queue === 0));
+  });
+});
+
+test('buildAnkiPackage gives the same item the same note guid every export', { skip: !DatabaseSync && 'needs node:sqlite' }, async () => {
+  const guids = [];
+  for (let i = 0; i < 2; i++) {
+    const [collection] = readZip(await buildAnkiPackage(collectHistoryExportItems(HISTORY), MAPPING, 'Kanji Helper'));
+    withSqliteDatabase(collection.data, db => {
+      guids.push(db.prepare('SELECT guid FROM notes ORDER BY id').all().map(({ guid }) => guid));
+    });
+  }
+  assert.deepStrictEqual(guids[0], guids[1]);
+});
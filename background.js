@@ -6,9 +6,31 @@
  * 2. Processing context menu clicks
  * 3. Communicating with content scripts
  * 
+ * 4. Answering dictionary queries (see dictionary.js)
+ * 5. Handling keyboard shortcuts
+ * 6. Keeping the review deck's due badge up to date (see deck.js)
+ * 7. Owning settings and the history of every lookup (settings.js, history.js)
+ * 
  * In Manifest V3, this replaces the old background page system
  */
 
+// The message protocol, romaji input, KANJIDIC2/JMdict database,
+// deinflection rules, the shared dictionary, furigana readings, example
+// sentences, the spaced-repetition review deck, favorites, known kanji,
+// settings, translation history, text-to-speech, the kanji of the day,
+// handwriting recognition and page difficulty reports
+importScripts(
+  'messages.js', 'kana.js', 'database.js', 'deinflect.js', 'dictionary.js',
+  'furigana.js', 'examples.js', 'deck.js', 'favorites.js', 'known-kanji.js', 'settings.js',
+  'history.js', 'speech.js', 'daily-kanji.js', 'handwriting.js', 'page-analysis.js'
+);
+
+// Alarm that refreshes the due-card badge as cards fall due
+const DUE_BADGE_ALARM = 'updateDueBadge';
+
+// Word a page popup asked to open in the extension popup (chrome.storage.session)
+const PENDING_LOOKUP_KEY = 'pendingPopupLookup';
+
 // Event listener for when the extension is installed or updated
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Kanji Helper extension installed');
@@ -20,8 +42,79 @@ chrome.runtime.onInstalled.addListener(() => {
     contexts: ["selection"],        // Only show when text is selected
     documentUrlPatterns: ["<all_urls>"]  // Available on all websites
   });
+  
+  // Page-wide furigana overlay (right-click anywhere on a page)
+  chrome.contextMenus.create({
+    id: "toggleFurigana",
+    title: "Toggle furigana on this page",
+    contexts: ["page"],
+    documentUrlPatterns: ["<all_urls>"]
+  });
+  
+  // (Re)import the bundled KANJIDIC2 and JMdict data into IndexedDB
+  getDatabase(true)
+    .then(() => getDictionarySize())
+    .then(size => console.log('Dictionary ready with', size, 'kanji'))
+    .catch(error => console.error('Dictionary import failed:', error));
+  
+  chrome.alarms.create(DUE_BADGE_ALARM, { periodInMinutes: 15 });
+  updateDueBadge();
+  restoreDailyKanjiAlarm();
 });
 
+/**
+ * ALARMS
+ * 
+ * Recount due review cards on browser start and every 15 minutes, and
+ * show the kanji of the day when its notification is on
+ */
+chrome.runtime.onStartup.addListener(() => {
+  chrome.alarms.create(DUE_BADGE_ALARM, { periodInMinutes: 15 });
+  updateDueBadge();
+  restoreDailyKanjiAlarm();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === DUE_BADGE_ALARM) {
+    updateDueBadge();
+  }
+  if (alarm.name === DAILY_KANJI_ALARM) {
+    showDailyKanjiNotification().catch(error => {
+      console.error('Failed to show the kanji of the day:', error);
+    });
+  }
+});
+
+function restoreDailyKanjiAlarm() {
+  readSettings()
+    .then(updateDailyKanjiAlarm)
+    .catch(error => console.error('Failed to schedule the kanji of the day:', error));
+}
+
+// Clicking the notification shows the kanji on the popup's Home section
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId === DAILY_KANJI_ALARM) {
+    chrome.notifications.clear(notificationId);
+    openExtensionPopup();
+  }
+});
+
+/**
+ * OPEN EXTENSION POPUP
+ * 
+ * Opens the toolbar popup, or popup.html in a tab where
+ * chrome.action.openPopup() isn't available
+ */
+async function openExtensionPopup() {
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    // Older Chrome versions, or no focused window: use a tab instead
+    console.log('Opening the popup in a tab:', error.message);
+    await chrome.tabs.create({url: chrome.runtime.getURL('popup.html')});
+  }
+}
+
 /**
  * CONTEXT MENU CLICK HANDLER
  * 
@@ -34,41 +127,190 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === "translateKanji") {
     console.log('Context menu clicked, selected text:', info.selectionText);
     
-    // Send message to content script running on the active tab
-    chrome.tabs.sendMessage(tab.id, {
-      action: "translateText",      // Action type for content script
+    // Send message to the content script of the frame with the selection
+    // (content scripts run in iframes too)
+    sendTabMessage(tab.id, 'showTranslation', {
       text: info.selectionText      // The text user selected
-    }).catch(error => {
+    }, { frameId: info.frameId }).catch(error => {
       // Handle errors (e.g., if content script isn't loaded)
       console.error('Error sending message to content script:', error);
     });
   }
+  
+  if (info.menuItemId === "toggleFurigana") {
+    toggleFurigana(tab);
+  }
 });
 
 /**
- * MESSAGE HANDLER
+ * FURIGANA TOGGLE
  * 
- * Listen for messages from other parts of the extension
- * (popup, content scripts, etc.)
+ * Asks the content script of a tab to add or remove the furigana overlay
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('Background received message:', request);
+function toggleFurigana(tab) {
+  sendTabMessage(tab.id, 'toggleFurigana').catch(error => {
+    console.error('Error sending message to content script:', error);
+  });
+}
+
+/**
+ * KEYBOARD SHORTCUT HANDLER
+ * 
+ * Shortcuts are declared in manifest "commands":
+ * - Alt+Shift+K flips hover-to-lookup mode. The setting is stored like
+ *   every other one; content scripts pick up the change through
+ *   chrome.storage.onChanged.
+ * - Alt+Shift+F toggles the furigana overlay on the current page.
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === 'toggle-furigana') {
+    toggleFurigana(tab);
+    return;
+  }
   
-  // Handle different types of messages
-  switch(request.action) {
-    case 'getTabInfo':
-      // Provide information about current tab if needed
-      sendResponse({tabId: sender.tab?.id});
-      break;
-      
-    default:
-      console.log('Unknown message action:', request.action);
+  if (command !== 'toggle-hover-mode') {
+    return;
   }
   
-  // Return true to indicate we'll send a response asynchronously
-  return true;
+  try {
+    const { hoverMode } = await readSettings();
+    const settings = await writeSettings({ hoverMode: !hoverMode });
+    console.log('Hover mode', settings.hoverMode ? 'enabled' : 'disabled');
+  } catch (error) {
+    console.error('Failed to toggle hover mode:', error);
+  }
 });
 
+/**
+ * MESSAGE HANDLERS
+ * 
+ * Requests from the popup and content scripts (see messages.js for the
+ * protocol and the payload of each action). Each handler resolves with
+ * the response data; failures are sent back as error responses.
+ */
+listenForMessages({
+  getTabInfo: (payload, sender) => ({tabId: sender.tab?.id}),
+
+  // DICTIONARY QUERIES
+  // The content script and popup have no dictionary of their own
+  // Every translation is recorded in the history, wherever it came from
+  translateText: async ({text, origin, source}) => {
+    const result = await translateText(text);
+    if (result.translations.length > 0) {
+      try {
+        await addHistoryEntry(result, origin || 'popup', source || {});
+      } catch (error) {
+        console.error('Failed to record lookup in history:', error);
+      }
+    }
+    return result;
+  },
+
+  lookupCharacter: async ({character}) => ({entry: await lookupCharacter(character)}),
+
+  lookupWord: async ({text}) => ({word: await lookupWordAt(text)}),
+
+  // One annotation list per text node sent by the overlay
+  getFurigana: async ({texts, level}) => ({
+    annotations: await Promise.all(texts.map(text => getFurigana(text, level)))
+  }),
+
+  searchDictionary: ({query, filters, page, pageSize}) => searchDictionary(query, filters || {}, page, pageSize),
+
+  // Radical picker (components from data/kanji-components.json)
+  getRadicals: async () => ({radicals: await getRadicals()}),
+  searchByRadicals: ({radicals}) => searchByRadicals(radicals),
+
+  // KanjiVG stroke order for the viewer (stroke-order.js)
+  getStrokeOrder: async ({character}) => ({strokeOrder: await getStrokeOrderRecord(character)}),
+
+  // Candidates for a kanji drawn in the Search section (handwriting.js)
+  recognizeHandwriting: async ({strokes}) => ({candidates: await recognizeHandwriting(strokes)}),
+
+  // Tatoeba sentences for word and kanji cards, a page at a time (examples.js)
+  getExampleSentences: ({text, type, offset, limit}) => findExampleSentences(text, type, offset, limit),
+
+  // TEXT-TO-SPEECH
+  // spoken is false when no Japanese voice is installed
+  speak: async ({text}) => ({spoken: await speakJapanese(text, await readSettings())}),
+
+  getVoices: async () => ({voices: await getJapaneseVoices()}),
+
+  // SETTINGS AND HISTORY
+  getSettings: async () => ({settings: await readSettings()}),
+
+  // The daily kanji alarm follows its setting
+  updateSettings: async ({changes}) => {
+    const settings = await writeSettings(changes);
+    await updateDailyKanjiAlarm(settings);
+    return {settings};
+  },
+
+  getHistory: async () => ({history: await readHistory()}),
+
+  clearHistory: async () => {
+    await clearHistory();
+    return {};
+  },
+
+  // REVIEW DECK
+  addToDeck: ({card}) => addDeckCard(card),
+
+  removeFromDeck: async ({id}) => ({removed: await removeDeckCard(id)}),
+
+  reviewCard: async ({id, grade}) => ({card: await reviewDeckCard(id, grade)}),
+
+  getDueCards: async () => {
+    const [cards, stats] = await Promise.all([getDueCards(), getDeckStats()]);
+    return {cards, stats};
+  },
+
+  getDeckCards: async () => ({cards: await getAllDeckCards()}),
+
+  getDeckStats: async () => ({stats: await getDeckStats()}),
+
+  // FAVORITES
+  addFavorite: ({favorite}) => addFavorite(favorite),
+
+  updateFavorite: async ({id, tags, note}) => ({favorite: await updateFavorite(id, {tags, note})}),
+
+  removeFavorite: async ({id}) => ({removed: await removeFavorite(id)}),
+
+  getFavorites: async () => ({favorites: await readFavorites()}),
+
+  // KNOWN KANJI
+  getKnownKanji: async () => ({kanji: [...await readKnownKanji()]}),
+
+  setKanjiKnown: ({kanji, known}) => setKanjiKnown(kanji, known),
+
+  importKnownKanji: ({text}) => importKnownKanji(text),
+
+  markKnownKanjiByLevel: ({jlpt, grade}) => markKnownKanjiByLevel({jlpt, grade}),
+
+  clearKnownKanji: () => clearKnownKanji(),
+
+  // KANJI OF THE DAY
+  getKanjiOfTheDay: async () => getKanjiOfTheDay(await readSettings()),
+
+  // PAGE DIFFICULTY REPORT
+  // The popup collects the text from the page's content script first
+  analyzePage: async ({texts}) => ({report: await analyzePageText(texts)}),
+
+  // OPEN IN POPUP
+  // The popup picks the word up with takePendingLookup when it opens
+  openInPopup: async ({text}) => {
+    await chrome.storage.session.set({[PENDING_LOOKUP_KEY]: text});
+    await openExtensionPopup();
+    return {};
+  },
+
+  takePendingLookup: async () => {
+    const result = await chrome.storage.session.get([PENDING_LOOKUP_KEY]);
+    await chrome.storage.session.remove(PENDING_LOOKUP_KEY);
+    return {text: result[PENDING_LOOKUP_KEY] || null};
+  }
+}, { replyToUnknown: true });
+
 /**
  * ERROR HANDLING
  * 
@@ -80,72 +322,3 @@ self.addEventListener('error', (event) => {
 
 // Log when service worker starts
 console.log('Kanji Helper background service worker loaded');
-
-// Simple kanji translation function (can be enhanced with real API)
-async function translateText(text) {
-  // Basic kanji dictionary - in a real app, this would use an API
-  const kanjiDict = {
-    '漢': { reading: 'かん/カン', meaning: 'Chinese character, man' },
-    '字': { reading: 'じ/ジ', meaning: 'character, letter' },
-    '日': { reading: 'にち/ニチ、ひ', meaning: 'day, sun' },
-    '本': { reading: 'ほん/ホン、もと', meaning: 'book, origin' },
-    '人': { reading: 'じん/ジン、ひと', meaning: 'person' },
-    '大': { reading: 'だい/ダイ、おお', meaning: 'big, large' },
-    '小': { reading: 'しょう/ショウ、ちい', meaning: 'small, little' },
-    '山': { reading: 'さん/サン、やま', meaning: 'mountain' },
-    '川': { reading: 'せん/セン、かわ', meaning: 'river' },
-    '水': { reading: 'すい/スイ、みず', meaning: 'water' },
-    '火': { reading: 'か/カ、ひ', meaning: 'fire' },
-    '土': { reading: 'ど/ド、つち', meaning: 'earth, soil' },
-    '木': { reading: 'もく/モク、き', meaning: 'tree, wood' },
-    '金': { reading: 'きん/キン、かね', meaning: 'gold, money' },
-    '学': { reading: 'がく/ガク、まな', meaning: 'study, learn' },
-    '校': { reading: 'こう/コウ', meaning: 'school' },
-    '生': { reading: 'せい/セイ、い', meaning: 'life, birth' },
-    '先': { reading: 'せん/セン、さき', meaning: 'previous, ahead' },
-    '年': { reading: 'ねん/ネン、とし', meaning: 'year' },
-    '月': { reading: 'げつ/ゲツ、つき', meaning: 'month, moon' },
-    '時': { reading: 'じ/ジ、とき', meaning: 'time' },
-    '間': { reading: 'かん/カン、あいだ', meaning: 'interval, between' }
-  };
-
-  const results = [];
-  
-  // Analyze each character
-  for (const char of text) {
-    if (kanjiDict[char]) {
-      results.push({
-        character: char,
-        reading: kanjiDict[char].reading,
-        meaning: kanjiDict[char].meaning
-      });
-    } else if (char.match(/[\u3040-\u309F]/)) {
-      // Hiragana
-      results.push({
-        character: char,
-        reading: char,
-        meaning: 'Hiragana character'
-      });
-    } else if (char.match(/[\u30A0-\u30FF]/)) {
-      // Katakana
-      results.push({
-        character: char,
-        reading: char,
-        meaning: 'Katakana character'
-      });
-    } else if (char.match(/[\u4E00-\u9FAF]/)) {
-      // Other kanji not in our dictionary
-      results.push({
-        character: char,
-        reading: 'Unknown',
-        meaning: 'Kanji character (not in dictionary)'
-      });
-    }
-  }
-
-  return {
-    originalText: text,
-    translations: results,
-    timestamp: new Date().toISOString()
-  };
-}
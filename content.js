@@ -5,7 +5,21 @@
  * 1. Receiving messages from background script
  * 2. Creating translation popups on web pages
  * 3. Managing popup display and interactions
- * 4. Kanji dictionary and translation logic
+ * 4. Asking the background dictionary for translations
+ * 5. Hover-to-lookup mode (look up the word under the mouse)
+ * 6. Page-wide furigana overlay
+ * 7. Adding looked-up words and kanji to the review deck
+ * 8. Applying the popup settings live (readings, meanings, card limit,
+ *    text size, theme, auto-hide)
+ * 9. Keyboard navigation and screen-reader labels in the popup
+ * 10. Reading words and readings aloud (text-to-speech)
+ * 11. Starring words and kanji as favorites
+ * 12. Readings in romaji beneath the kana (romajiReadings setting)
+ * 13. Stroke order of kanji and kana (stroke-order.js)
+ * 14. Collecting the page's Japanese text for the popup's difficulty report
+ * 15. Known kanji: marking them from cards, toning them down, and
+ *     highlighting the unknown ones on the page (known-kanji.js)
+ * 16. Example sentences for words and kanji (examples.js)
  * 
  * It runs in the context of the webpage but has access to Chrome APIs
  */
@@ -13,152 +27,134 @@
 console.log('Kanji Helper content script loaded');
 
 /**
- * KANJI DICTIONARY
+ * DICTIONARY ACCESS
  * 
- * Built-in dictionary with kanji characters, readings, and meanings
- * Format: character -> {readings: [], meanings: [], type: 'kanji'|'hiragana'|'katakana'}
+ * The dictionary lives in the background service worker (dictionary.js).
+ * This asks it to translate text and resolves with the translation result:
+ * {originalText, words, translations: [entry + inDictionary], timestamp}
+ * (see messages.js for every request the background answers).
+ * The background records the lookup in the history with its origin
+ * ('contextMenu' or 'hover') and source page.
  */
-const kanjiDictionary = {
-  // Basic kanji characters
-  '日': { readings: ['ニチ', 'ひ'], meanings: ['sun', 'day'], type: 'kanji' },
-  '本': { readings: ['ホン', 'もと'], meanings: ['book', 'origin'], type: 'kanji' },
-  '人': { readings: ['ジン', 'ひと'], meanings: ['person', 'people'], type: 'kanji' },
-  '学': { readings: ['ガク', 'まな'], meanings: ['study', 'learn'], type: 'kanji' },
-  '校': { readings: ['コウ'], meanings: ['school'], type: 'kanji' },
-  '生': { readings: ['セイ', 'い'], meanings: ['life', 'birth'], type: 'kanji' },
-  '先': { readings: ['セン', 'さき'], meanings: ['before', 'ahead'], type: 'kanji' },
-  '年': { readings: ['ネン', 'とし'], meanings: ['year'], type: 'kanji' },
-  '月': { readings: ['ゲツ', 'つき'], meanings: ['month', 'moon'], type: 'kanji' },
-  '時': { readings: ['ジ', 'とき'], meanings: ['time'], type: 'kanji' },
-  '間': { readings: ['カン', 'あいだ'], meanings: ['interval', 'between'], type: 'kanji' },
-  
-  // Element kanji
-  '水': { readings: ['スイ', 'みず'], meanings: ['water'], type: 'kanji' },
-  '火': { readings: ['カ', 'ひ'], meanings: ['fire'], type: 'kanji' },
-  '土': { readings: ['ド', 'つち'], meanings: ['earth', 'soil'], type: 'kanji' },
-  '木': { readings: ['モク', 'き'], meanings: ['tree', 'wood'], type: 'kanji' },
-  '金': { readings: ['キン', 'かね'], meanings: ['gold', 'money'], type: 'kanji' },
-  '山': { readings: ['サン', 'やま'], meanings: ['mountain'], type: 'kanji' },
-  '川': { readings: ['セン', 'かわ'], meanings: ['river'], type: 'kanji' },
-  
-  // Size kanji
-  '大': { readings: ['ダイ', 'おお'], meanings: ['big', 'large'], type: 'kanji' },
-  '小': { readings: ['ショウ', 'ちい'], meanings: ['small', 'little'], type: 'kanji' },
-  
-  // Additional useful kanji
-  '漢': { readings: ['カン'], meanings: ['Chinese', 'Han'], type: 'kanji' },
-  '字': { readings: ['ジ'], meanings: ['character', 'letter'], type: 'kanji' },
-  '私': { readings: ['シ', 'わたし'], meanings: ['I', 'private'], type: 'kanji' },
-  '語': { readings: ['ゴ'], meanings: ['language', 'word'], type: 'kanji' },
-  '勉': { readings: ['ベン'], meanings: ['diligence', 'study'], type: 'kanji' },
-  '強': { readings: ['キョウ', 'つよ'], meanings: ['strong'], type: 'kanji' }
-};
+function requestTranslation(text, origin, source) {
+  return sendRuntimeMessage('translateText', { text: text, origin: origin, source: source });
+}
 
 /**
- * CHARACTER TYPE DETECTION
+ * SOURCE SENTENCE
  * 
- * Determines if a character is hiragana, katakana, or kanji
+ * The sentence around a range on the page (the selection or the hovered
+ * word), cut at Japanese and Western sentence endings or line breaks.
+ * Long runs without an ending are trimmed around the range.
  */
-function getCharacterType(char) {
-  const code = char.charCodeAt(0);
-  
-  // Hiragana range: U+3040–U+309F
-  if (code >= 0x3040 && code <= 0x309F) {
-    return 'hiragana';
+const SENTENCE_END_PATTERN = /[。！？!?\n]/;
+const MAX_SENTENCE_CONTEXT = 100;
+
+function getSurroundingSentence(range) {
+  const container = range.startContainer.nodeType === Node.TEXT_NODE
+    ? range.startContainer.parentElement
+    : range.startContainer;
+  const block = container && container.closest('p, li, dd, dt, td, th, h1, h2, h3, h4, h5, h6, blockquote, div, body');
+  if (!block) {
+    return range.toString();
   }
   
-  // Katakana range: U+30A0–U+30FF
-  if (code >= 0x30A0 && code <= 0x30FF) {
-    return 'katakana';
-  }
+  // Offset of the range inside the block's text
+  const before = document.createRange();
+  before.selectNodeContents(block);
+  before.setEnd(range.startContainer, range.startOffset);
+  const text = block.textContent;
+  const start = before.toString().length;
+  const end = start + range.toString().length;
   
-  // CJK Unified Ideographs (main kanji range): U+4E00–U+9FAF
-  if (code >= 0x4E00 && code <= 0x9FAF) {
-    return 'kanji';
+  let sentenceStart = start;
+  while (sentenceStart > 0 && !SENTENCE_END_PATTERN.test(text[sentenceStart - 1])) {
+    sentenceStart--;
+  }
+  let sentenceEnd = end;
+  while (sentenceEnd < text.length && !SENTENCE_END_PATTERN.test(text[sentenceEnd])) {
+    sentenceEnd++;
+  }
+  // Keep the closing punctuation
+  if (sentenceEnd < text.length && text[sentenceEnd] !== '\n') {
+    sentenceEnd++;
   }
   
-  // Other character types
-  return 'other';
+  sentenceStart = Math.max(sentenceStart, start - MAX_SENTENCE_CONTEXT);
+  sentenceEnd = Math.min(sentenceEnd, end + MAX_SENTENCE_CONTEXT);
+  return text.slice(sentenceStart, sentenceEnd).trim();
 }
 
-/**
- * TEXT TRANSLATION FUNCTION
- * 
- * Processes Japanese text character by character
- * Returns array of character objects with translation info
- */
-function translateText(text) {
-  const results = [];
-  
-  // Process each character individually
-  for (let char of text) {
-    // Skip whitespace and punctuation
-    if (char.match(/\s/)) {
-      continue;
-    }
-    
-    const type = getCharacterType(char);
-    let charInfo = {
-      character: char,
-      type: type,
-      readings: [],
-      meanings: []
-    };
-    
-    // Look up character in dictionary
-    if (kanjiDictionary[char]) {
-      charInfo.readings = kanjiDictionary[char].readings;
-      charInfo.meanings = kanjiDictionary[char].meanings;
-      charInfo.inDictionary = true;
-    } else {
-      // Character not in dictionary
-      charInfo.inDictionary = false;
-      if (type === 'kanji') {
-        charInfo.meanings = ['Not in dictionary'];
-      } else if (type === 'hiragana') {
-        charInfo.meanings = ['Hiragana character'];
-      } else if (type === 'katakana') {
-        charInfo.meanings = ['Katakana character'];
-      }
-    }
-    
-    results.push(charInfo);
-  }
-  
-  return results;
+// Range of the current selection, if the page has one. Copied, so it
+// keeps pointing at the text after the selection changes.
+function getSelectionRange() {
+  const selection = window.getSelection();
+  return selection && selection.rangeCount > 0 && !selection.isCollapsed
+    ? selection.getRangeAt(0).cloneRange()
+    : null;
 }
 
 /**
  * POPUP CREATION FUNCTION
  * 
- * Creates and displays the translation popup on the webpage
+ * Creates and displays the translation popup on the webpage.
+ * origin is 'contextMenu' or 'hover'; anchor is what the popup is
+ * attached to (see POPUP POSITIONING): the Range of the text on the page,
+ * the text field it was selected in, or null to center the popup.
+ * A Range is also used for the source sentence.
  */
-function createTranslationPopup(text, x, y) {
+async function createTranslationPopup(text, origin, anchor) {
+  const range = anchor instanceof Range ? anchor : null;
+
   // Remove any existing popup
   removeExistingPopup();
   
   console.log('Creating translation popup for:', text);
   
-  // Translate the text
-  const translations = translateText(text);
+  // Sentence the text was found in, for the history and study cards
+  const sentence = range ? getSurroundingSentence(range) : text;
+  
+  // Translate the text through the background dictionary
+  let translations;
+  let words;
+  try {
+    const result = await requestTranslation(text, origin, getStudySource(sentence));
+    translations = result.translations;
+    words = result.words || [];
+  } catch (error) {
+    console.error('Translation request failed:', error);
+    return;
+  }
   
   if (translations.length === 0) {
     console.log('No translations found');
     return;
   }
   
-  // Create popup container
+  // Create popup container: a non-modal dialog named by its title
   const popup = document.createElement('div');
-  popup.id = 'kanji-helper-popup';
   popup.className = 'kanji-helper-popup';
+  popup.setAttribute('role', 'dialog');
+  popup.setAttribute('aria-label', `Kanji Helper: ${text}`);
+  popup.setAttribute('aria-describedby', 'kanji-popup-shortcuts');
   
   // Create header
   const header = document.createElement('div');
   header.className = 'kanji-popup-header';
-  header.innerHTML = `
-    <span class="kanji-popup-title">🎌 Kanji Helper</span>
-    <button class="kanji-popup-close" onclick="this.closest('.kanji-helper-popup').remove()">×</button>
-  `;
+  
+  const title = document.createElement('span');
+  title.className = 'kanji-popup-title';
+  title.textContent = '🎌 Kanji Helper';
+  header.appendChild(title);
+  
+  // No inline onclick: strict page CSPs block those
+  const closeButton = document.createElement('button');
+  closeButton.className = 'kanji-popup-close';
+  closeButton.textContent = '×';
+  closeButton.title = 'Close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.addEventListener('click', closePopup);
+  header.appendChild(closeButton);
   
   // Create content area
   const content = document.createElement('div');
@@ -170,13 +166,31 @@ function createTranslationPopup(text, x, y) {
   originalText.textContent = `Original: ${text}`;
   content.appendChild(originalText);
   
+  // Create word cards (longest dictionary matches)
+  if (words.length > 0) {
+    content.appendChild(createSectionTitle('Words'));
+    
+    const wordsContainer = document.createElement('div');
+    wordsContainer.className = 'kanji-words-container';
+    wordsContainer.setAttribute('role', 'list');
+    wordsContainer.setAttribute('aria-label', 'Words');
+    words.forEach(word => {
+      wordsContainer.appendChild(createWordCard(word, sentence));
+    });
+    content.appendChild(wordsContainer);
+    
+    content.appendChild(createSectionTitle('Characters'));
+  }
+  
   // Create character cards
   const cardsContainer = document.createElement('div');
   cardsContainer.className = 'kanji-cards-container';
+  cardsContainer.setAttribute('role', 'list');
+  cardsContainer.setAttribute('aria-label', 'Characters');
   
   translations.forEach(charInfo => {
-    const card = document.createElement('div');
-    card.className = 'kanji-character-card';
+    const card = createFocusableCard('kanji-character-card', charInfo.character,
+      [charInfo.character, charInfo.onyomi.concat(charInfo.kunyomi).join(', '), charInfo.meanings.join(', ')]);
     
     // Character display
     const charElement = document.createElement('div');
@@ -188,109 +202,1689 @@ function createTranslationPopup(text, x, y) {
     typeElement.className = 'kanji-type';
     typeElement.textContent = charInfo.type;
     
-    // Readings
+    // Readings (on'yomi first, then kun'yomi)
+    const readings = charInfo.onyomi.concat(charInfo.kunyomi);
     const readingsElement = document.createElement('div');
     readingsElement.className = 'kanji-readings';
-    if (charInfo.readings.length > 0) {
-      readingsElement.textContent = charInfo.readings.join(', ');
+    if (readings.length > 0) {
+      setLabeledText(readingsElement, 'Readings', readings.join(', '));
     }
     
+    // KANJIDIC2 details (strokes, grade, JLPT level)
+    const details = formatKanjiDetails(charInfo);
+    const detailsElement = document.createElement('div');
+    detailsElement.className = 'kanji-details';
+    detailsElement.textContent = details;
+    
     // Meanings
     const meaningsElement = document.createElement('div');
     meaningsElement.className = 'kanji-meanings';
-    meaningsElement.textContent = charInfo.meanings.join(', ');
+    setLabeledText(meaningsElement, 'Meanings', charInfo.meanings.join(', '));
     
     // Dictionary status
     if (!charInfo.inDictionary && charInfo.type === 'kanji') {
       card.classList.add('not-in-dictionary');
     }
     
+    // Known kanji are toned down
+    if (charInfo.type === 'kanji') {
+      card.dataset.knownCharacter = charInfo.character;
+      card.classList.toggle('kanji-char-known', knownKanji.has(charInfo.character));
+    }
+    
     // Assemble card
     card.appendChild(charElement);
     card.appendChild(typeElement);
-    if (charInfo.readings.length > 0) {
+    if (readings.length > 0) {
       card.appendChild(readingsElement);
+      card.appendChild(createRomajiElement(readings.join(', ')));
     }
     card.appendChild(meaningsElement);
+    if (details) {
+      card.appendChild(detailsElement);
+    }
+    if (readings.length > 0) {
+      card.appendChild(createSpeakButton(card, readings.join('、')));
+    }
+    if (STROKE_ORDER_TYPES.includes(charInfo.type)) {
+      card.appendChild(createStrokesButton(card, charInfo.character));
+    }
+    if (charInfo.type === 'kanji') {
+      card.appendChild(createKnownButton(card));
+    }
+    if (charInfo.inDictionary && charInfo.type === 'kanji') {
+      card.appendChild(createExamplesButton(card, charInfo.character, 'kanji'));
+    }
+    if (charInfo.inDictionary) {
+      const studyFields = toKanjiStudyCard(charInfo, sentence);
+      card.appendChild(createFavoriteButton(studyFields));
+      card.appendChild(createStudyButton(studyFields));
+    }
     
     cardsContainer.appendChild(card);
   });
   
   content.appendChild(cardsContainer);
   
+  // Keyboard shortcuts, and a live region announcing what they did
+  const footer = document.createElement('div');
+  footer.className = 'kanji-popup-footer';
+  
+  const shortcuts = document.createElement('div');
+  shortcuts.className = 'kanji-popup-shortcuts';
+  shortcuts.id = 'kanji-popup-shortcuts';
+  shortcuts.textContent = POPUP_SHORTCUTS_HINT;
+  footer.appendChild(shortcuts);
+  
+  const status = document.createElement('div');
+  status.className = 'kanji-popup-status';
+  status.setAttribute('role', 'status');
+  footer.appendChild(status);
+  
   // Assemble popup
   popup.appendChild(header);
   popup.appendChild(content);
+  popup.appendChild(footer);
+  
+  popup.addEventListener('keydown', (event) => handlePopupKeydown(event, popup));
+  
+  // No auto-hide while the reader is using the popup with the keyboard
+  popup.addEventListener('focusin', () => clearTimeout(popupHideTimer));
+  popup.addEventListener('focusout', (event) => {
+    if (!popup.contains(event.relatedTarget)) {
+      scheduleAutoHide(popup);
+    }
+  });
+  
+  // Readings, meanings, card limit, size and theme from the settings
+  applyPopupSettings(popup);
+  
+  let root;
+  try {
+    root = await getPopupRoot();
+  } catch (error) {
+    console.error('Failed to load popup styles:', error);
+    return;
+  }
+  
+  // Another lookup may have opened a popup while this one was loading
+  removeExistingPopup();
+  
+  // Add to page, then place it next to its anchor (it needs its size)
+  root.appendChild(popup);
+  popupAnchor = anchor;
+  positionPopup(popup, anchor);
+  markFavoriteButtons(popup);
+  
+  // Opened on request (not by hovering): take focus, and give it back on close
+  if (origin === 'contextMenu') {
+    popupReturnFocus = document.activeElement;
+    const firstCard = getPopupCards(popup)[0];
+    if (firstCard) {
+      focusPopupCard(popup, firstCard);
+    }
+  } else {
+    scheduleAutoHide(popup);
+  }
+  
+  // Reading the word aloud on every hovered word would never stop
+  if (popupSettings.speakOnLookup && origin !== 'hover') {
+    speakText(popup, words.length > 0 ? words[0].entries[0].reading : text);
+  }
+  
+  console.log('Translation popup created with', words.length, 'words and', translations.length, 'characters');
+}
+
+/**
+ * WORD CARD CREATION
+ * 
+ * Builds the card for one segmented word: the word as written,
+ * its kana reading, the conjugation it was found through (if any),
+ * and numbered senses with part-of-speech tags
+ */
+function createWordCard(word, sourceText) {
+  const entry = word.entries[0];
+  const glosses = entry.senses.map(sense => sense.glosses.join('; ')).join(' / ');
+  
+  const card = createFocusableCard('kanji-word-card', entry.kanji[0] || entry.reading,
+    [word.text, entry.reading !== word.text ? entry.reading : '', glosses]);
+  
+  // Word as it appears in the text, with its reading if different
+  const headElement = document.createElement('div');
+  headElement.className = 'kanji-word-head';
+  
+  const textElement = document.createElement('span');
+  textElement.className = 'kanji-word-text';
+  textElement.textContent = word.text;
+  headElement.appendChild(textElement);
+  
+  if (entry.reading && entry.reading !== word.text) {
+    const readingElement = document.createElement('span');
+    readingElement.className = 'kanji-word-reading';
+    setLabeledText(readingElement, 'Reading', entry.reading);
+    headElement.appendChild(readingElement);
+  }
+  headElement.appendChild(createSpeakButton(card, entry.reading || word.text));
+  card.appendChild(headElement);
+  card.appendChild(createRomajiElement(entry.reading || word.text));
+  
+  // Conjugation that was undone to find the word, e.g. "polite of 学ぶ"
+  if (word.inflection) {
+    const inflectionElement = document.createElement('div');
+    inflectionElement.className = 'kanji-word-inflection';
+    inflectionElement.textContent = word.inflection.description;
+    card.appendChild(inflectionElement);
+  }
+  
+  // Senses from every entry spelled this way (e.g. homographs)
+  const senses = word.entries.flatMap(wordEntry => wordEntry.senses);
+  senses.forEach((sense, index) => {
+    const senseElement = document.createElement('div');
+    senseElement.className = 'kanji-word-sense';
+    
+    const posElement = document.createElement('span');
+    posElement.className = 'kanji-word-pos';
+    posElement.textContent = sense.partOfSpeech.join(', ');
+    
+    senseElement.appendChild(document.createTextNode(senses.length > 1 ? `${index + 1}. ` : ''));
+    senseElement.appendChild(posElement);
+    senseElement.appendChild(document.createTextNode(' ' + sense.glosses.join('; ')));
+    card.appendChild(senseElement);
+  });
+  
+  card.appendChild(createExamplesButton(card, entry.kanji[0] || entry.reading, 'word'));
+  
+  const studyFields = toWordStudyCard(word, sourceText);
+  card.appendChild(createFavoriteButton(studyFields));
+  card.appendChild(createStudyButton(studyFields));
+  
+  return card;
+}
+
+/**
+ * REVIEW DECK BUTTONS
+ * 
+ * "+ Study" adds the word or kanji to the spaced-repetition deck kept by
+ * the background (deck.js), remembering the page it was found on
+ */
+const studyButtonCards = new WeakMap(); // "+ Study" button -> deck card fields
+
+function createStudyButton(studyCard) {
+  const button = document.createElement('button');
+  button.className = 'kanji-study-button';
+  button.textContent = '+ Study';
+  button.title = 'Add to review deck';
+  studyButtonCards.set(button, studyCard);
+  
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    addToStudyList(button);
+  });
+  
+  return button;
+}
+
+// Resolves with whether the card was new to the deck, or null if adding
+// failed (also used by the S shortcut)
+async function addToStudyList(button) {
+  // Already added, or on its way
+  if (button.disabled) {
+    return false;
+  }
+  
+  button.disabled = true;
+  try {
+    const response = await sendRuntimeMessage('addToDeck', { card: studyButtonCards.get(button) });
+    button.textContent = response.added ? '✓ Added' : '✓ In deck';
+    return response.added;
+  } catch (error) {
+    console.error('Failed to add card to deck:', error);
+    button.disabled = false;
+    return null;
+  }
+}
+
+/**
+ * FAVORITE BUTTONS
+ * 
+ * ☆ stars a word or kanji in the favorites kept by the background
+ * (favorites.js, synced across the user's browsers); ★ unstars it
+ */
+const favoriteButtonCards = new WeakMap(); // Star button -> {type, front, reading, meaning}
+
+function createFavoriteButton(fields) {
+  const button = document.createElement('button');
+  button.className = 'kanji-favorite-button';
+  button.setAttribute('aria-label', 'Favorite');
+  favoriteButtonCards.set(button, fields);
+  setFavoriteButtonState(button, false);
+  
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    toggleFavorite(button);
+  });
+  
+  return button;
+}
+
+function setFavoriteButtonState(button, starred) {
+  button.textContent = starred ? '★' : '☆';
+  button.title = starred ? 'Remove from favorites' : 'Add to favorites';
+  button.setAttribute('aria-pressed', String(starred));
+}
+
+// Same id as favorites.js gives it
+function getFavoriteId(fields) {
+  return `${fields.type}:${fields.front}`;
+}
+
+// Resolves with whether the card is a favorite now, or null if changing
+// that failed (also used by the F shortcut)
+async function toggleFavorite(button) {
+  const fields = favoriteButtonCards.get(button);
+  const starred = button.getAttribute('aria-pressed') === 'true';
+  
+  button.disabled = true;
+  try {
+    if (starred) {
+      await sendRuntimeMessage('removeFavorite', { id: getFavoriteId(fields) });
+    } else {
+      await sendRuntimeMessage('addFavorite', { favorite: fields });
+    }
+    setFavoriteButtonState(button, !starred);
+    return !starred;
+  } catch (error) {
+    console.error('Failed to update favorites:', error);
+    return null;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Fills in the stars of cards that are favorites already
+async function markFavoriteButtons(popup) {
+  try {
+    const { favorites } = await sendRuntimeMessage('getFavorites');
+    const ids = new Set(favorites.map(favorite => favorite.id));
+    popup.querySelectorAll('.kanji-favorite-button').forEach(button => {
+      setFavoriteButtonState(button, ids.has(getFavoriteId(favoriteButtonCards.get(button))));
+    });
+  } catch (error) {
+    console.error('Failed to load favorites:', error);
+  }
+}
+
+// Where a lookup happened: the sentence and the page
+function getStudySource(sourceText) {
+  return {
+    sentence: sourceText,
+    url: location.href,
+    title: document.title
+  };
+}
+
+// Deck card for a segmented word, in its dictionary form
+function toWordStudyCard(word, sourceText) {
+  const entry = word.entries[0];
+  return {
+    type: 'word',
+    front: entry.kanji[0] || entry.reading,
+    reading: entry.reading,
+    meaning: entry.senses.slice(0, 3).map(sense => sense.glosses.join(', ')).join('; '),
+    source: getStudySource(sourceText)
+  };
+}
+
+function toKanjiStudyCard(charInfo, sourceText) {
+  return {
+    type: 'kanji',
+    front: charInfo.character,
+    reading: charInfo.onyomi.concat(charInfo.kunyomi).join(', '),
+    meaning: charInfo.meanings.join(', '),
+    source: getStudySource(sourceText)
+  };
+}
+
+/**
+ * TEXT-TO-SPEECH
+ * 
+ * 🔊 buttons (and the P shortcut) read a word or a kanji's readings aloud
+ * through the background (speech.js), which picks the Japanese voice
+ */
+const NO_JAPANESE_VOICE_MESSAGE = 'No Japanese voice is installed. Add one in your system\'s language settings to hear readings.';
+
+function createSpeakButton(card, text) {
+  card.dataset.speechText = text;
+  
+  const button = document.createElement('button');
+  button.className = 'kanji-speak-button';
+  button.textContent = '🔊';
+  button.title = 'Play pronunciation';
+  button.setAttribute('aria-label', `Play ${text}`);
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    speakText(card.closest('.kanji-helper-popup'), text);
+  });
+  return button;
+}
+
+async function speakText(popup, text) {
+  try {
+    const { spoken } = await sendRuntimeMessage('speak', { text });
+    if (!spoken) {
+      announce(popup, NO_JAPANESE_VOICE_MESSAGE);
+    }
+  } catch (error) {
+    console.error('Speech failed:', error);
+    announce(popup, 'Could not play the pronunciation');
+  }
+}
+
+/**
+ * STROKE ORDER
+ * 
+ * ✍ buttons on character cards (and the W shortcut) show how the
+ * character is written in a panel at the top of the popup, animated by
+ * stroke-order.js from the background's KanjiVG data
+ */
+function createStrokesButton(card, character) {
+  card.dataset.strokeCharacter = character;
+  
+  const button = document.createElement('button');
+  button.className = 'kanji-strokes-button';
+  button.textContent = '✍';
+  button.title = 'Stroke order';
+  button.setAttribute('aria-label', `Stroke order of ${character}`);
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    showStrokeOrder(card.closest('.kanji-helper-popup'), card);
+  });
+  return button;
+}
+
+async function showStrokeOrder(popup, card) {
+  const character = card.dataset.strokeCharacter;
+  let strokeOrder;
+  try {
+    ({ strokeOrder } = await sendRuntimeMessage('getStrokeOrder', { character }));
+  } catch (error) {
+    console.error('Failed to load stroke order:', error);
+    announce(popup, 'Could not load the stroke order');
+    return;
+  }
+  if (!strokeOrder) {
+    announce(popup, `No stroke order for ${character}`);
+    return;
+  }
+  
+  // One panel at a time: showing another character replaces it
+  const content = popup.querySelector('.kanji-popup-content');
+  const existing = popup.querySelector('.kanji-stroke-panel');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const panel = document.createElement('div');
+  panel.className = 'kanji-stroke-panel';
+  panel.setAttribute('role', 'group');
+  panel.setAttribute('aria-label', `Stroke order of ${character}`);
+  
+  const closeButton = document.createElement('button');
+  closeButton.className = 'kanji-stroke-close';
+  closeButton.textContent = '×';
+  closeButton.title = 'Close stroke order';
+  closeButton.setAttribute('aria-label', 'Close stroke order');
+  closeButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    panel.remove();
+    followPopupAnchor();
+    // Focus goes back to the card instead of being lost with the button
+    if (card.isConnected) {
+      focusPopupCard(popup, card);
+    }
+  });
+  
+  panel.appendChild(closeButton);
+  panel.appendChild(createStrokeOrderViewer(strokeOrder));
+  content.prepend(panel);
+  // The panel makes the popup taller
+  followPopupAnchor();
+  announce(popup, `Stroke order of ${character}: ${strokeOrder.strokes.length} strokes`);
+}
+
+/**
+ * KNOWN BUTTONS
+ * 
+ * "Known" buttons on kanji cards add the kanji to the known-kanji list
+ * (or take it off again); known kanji cards are toned down
+ */
+function createKnownButton(card) {
+  const button = document.createElement('button');
+  button.className = 'kanji-known-button';
+  setKnownButtonState(button, card.classList.contains('kanji-char-known'));
+  
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    toggleKnown(card);
+  });
+  
+  return button;
+}
+
+function setKnownButtonState(button, known) {
+  button.textContent = known ? '✓ Known' : 'Mark known';
+  button.title = known ? 'Remove from known kanji' : 'Mark as known';
+  button.setAttribute('aria-pressed', String(known));
+}
+
+// Resolves with whether the kanji is known now, or null if changing that
+// failed (also used by the K shortcut)
+async function toggleKnown(card) {
+  const character = card.dataset.knownCharacter;
+  const known = !knownKanji.has(character);
+  const button = card.querySelector('.kanji-known-button');
+  
+  button.disabled = true;
+  try {
+    await sendRuntimeMessage('setKanjiKnown', { kanji: [character], known });
+    knownKanji[known ? 'add' : 'delete'](character);
+    updateKnownKanjiMarks();
+    return known;
+  } catch (error) {
+    console.error('Failed to update known kanji:', error);
+    return null;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function markCardKnown(popup, card) {
+  if (!card.dataset.knownCharacter) {
+    announce(popup, 'Only kanji can be marked known');
+    return;
+  }
+  
+  const known = await toggleKnown(card);
+  if (known === null) {
+    announce(popup, 'Could not update known kanji');
+  } else {
+    announce(popup, `${card.dataset.knownCharacter} ${known ? 'marked known' : 'no longer marked known'}`);
+  }
+}
+
+/**
+ * EXAMPLE SENTENCES
+ * 
+ * 例 buttons on word and kanji cards (and the E shortcut) open example
+ * sentences under the card: furigana from the background, the word or
+ * kanji marked, and the English translation. "Show more" adds the next
+ * few (see examples.js).
+ */
+function createExamplesButton(card, text, type) {
+  card.dataset.exampleText = text;
+  card.dataset.exampleType = type;
   
-  // Position popup near cursor
-  popup.style.position = 'fixed';
-  popup.style.left = Math.min(x, window.innerWidth - 400) + 'px';
-  popup.style.top = Math.min(y, window.innerHeight - 300) + 'px';
-  popup.style.zIndex = '10000';
+  const button = document.createElement('button');
+  button.className = 'kanji-examples-button';
+  button.textContent = '例';
+  button.title = 'Example sentences';
+  button.setAttribute('aria-label', `Example sentences with ${text}`);
+  button.setAttribute('aria-expanded', 'false');
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    toggleExamples(card.closest('.kanji-helper-popup'), card);
+  });
+  return button;
+}
+
+function createExampleSentence(sentence) {
+  const item = document.createElement('li');
+  item.className = 'kanji-example';
+  
+  const japanese = document.createElement('div');
+  japanese.className = 'kanji-example-japanese';
+  japanese.lang = 'ja';
+  sentence.segments.forEach(segment => {
+    let node = document.createTextNode(segment.text);
+    if (segment.reading) {
+      const ruby = document.createElement('ruby');
+      const rt = document.createElement('rt');
+      rt.textContent = segment.reading;
+      ruby.append(node, rt);
+      node = ruby;
+    }
+    if (segment.match) {
+      const mark = document.createElement('mark');
+      mark.className = 'kanji-example-match';
+      mark.appendChild(node);
+      node = mark;
+    }
+    japanese.appendChild(node);
+  });
   
-  // Add to page
-  document.body.appendChild(popup);
+  const english = document.createElement('div');
+  english.className = 'kanji-example-english';
+  english.textContent = sentence.english;
   
-  // Auto-hide after 10 seconds
-  setTimeout(() => {
-    if (document.getElementById('kanji-helper-popup')) {
-      popup.remove();
+  item.append(japanese, english);
+  return item;
+}
+
+// Opens the card's example sentences, or closes them if they are open
+function toggleExamples(popup, card) {
+  const button = card.querySelector('.kanji-examples-button');
+  const existing = card.querySelector('.kanji-examples');
+  if (!existing) {
+    // Disabled while the first sentences load
+    if (!button.disabled) {
+      showMoreExamples(popup, card);
     }
-  }, 10000);
+    return;
+  }
+  
+  existing.remove();
+  button.setAttribute('aria-expanded', 'false');
+  followPopupAnchor();
+}
+
+// Adds the next page of sentences, creating the list on the first one
+async function showMoreExamples(popup, card) {
+  const text = card.dataset.exampleText;
+  let section = card.querySelector('.kanji-examples');
+  const offset = section ? section.querySelector('.kanji-examples-list').children.length : 0;
+  // One request at a time, so a page isn't added twice
+  const busyButton = section
+    ? section.querySelector('.kanji-examples-more')
+    : card.querySelector('.kanji-examples-button');
+  
+  let result;
+  busyButton.disabled = true;
+  try {
+    result = await sendRuntimeMessage('getExampleSentences', {
+      text,
+      type: card.dataset.exampleType,
+      offset
+    });
+  } catch (error) {
+    console.error('Failed to load example sentences:', error);
+    announce(popup, 'Could not load example sentences');
+    return;
+  } finally {
+    busyButton.disabled = false;
+  }
+  if (result.total === 0) {
+    announce(popup, `No example sentences with ${text}`);
+    return;
+  }
+  
+  if (!section) {
+    section = document.createElement('div');
+    section.className = 'kanji-examples';
+    
+    const list = document.createElement('ul');
+    list.className = 'kanji-examples-list';
+    list.setAttribute('aria-label', `Example sentences with ${text}`);
+    
+    const moreButton = document.createElement('button');
+    moreButton.className = 'kanji-examples-more';
+    moreButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      showMoreExamples(popup, card);
+    });
+    
+    section.append(list, moreButton);
+    card.appendChild(section);
+    card.querySelector('.kanji-examples-button').setAttribute('aria-expanded', 'true');
+  }
   
-  console.log('Translation popup created with', translations.length, 'characters');
+  const list = section.querySelector('.kanji-examples-list');
+  result.sentences.forEach(sentence => list.appendChild(createExampleSentence(sentence)));
+  
+  const remaining = result.total - list.children.length;
+  const moreButton = section.querySelector('.kanji-examples-more');
+  moreButton.hidden = remaining <= 0;
+  moreButton.textContent = `Show more (${remaining})`;
+  
+  // The sentences make the popup taller
+  followPopupAnchor();
+  announce(popup, `${list.children.length} of ${result.total} example sentences with ${text}`);
 }
 
 /**
  * UTILITY FUNCTIONS
  */
 
+/**
+ * CARD ACCESSIBILITY
+ * 
+ * Cards are list items reachable with the arrow keys (see POPUP KEYBOARD
+ * NAVIGATION). Each remembers the text copied with C and the word opened
+ * in the extension popup with O.
+ */
+function createFocusableCard(className, lookupText, copyParts) {
+  const card = document.createElement('div');
+  card.className = className;
+  card.setAttribute('role', 'listitem');
+  card.tabIndex = -1;
+  card.dataset.lookupText = lookupText;
+  card.dataset.copyText = copyParts.filter(Boolean).join(' — ');
+  return card;
+}
+
+// Text with a label only screen readers announce, e.g. "Readings: ニチ, ひ"
+function setLabeledText(element, label, text) {
+  const labelElement = document.createElement('span');
+  labelElement.className = 'kanji-sr-only';
+  labelElement.textContent = `${label}: `;
+  element.appendChild(labelElement);
+  element.appendChild(document.createTextNode(text));
+}
+
+// Romaji of a kana reading; the text is filled in by applyPopupSettings()
+// so switching between Hepburn and Kunrei updates an open popup
+function createRomajiElement(reading) {
+  const romajiElement = document.createElement('div');
+  romajiElement.className = 'kanji-romaji';
+  romajiElement.dataset.kana = reading;
+  return romajiElement;
+}
+
+// Small heading between the words and characters sections
+function createSectionTitle(title) {
+  const titleElement = document.createElement('div');
+  titleElement.className = 'kanji-section-title';
+  titleElement.textContent = title;
+  return titleElement;
+}
+
+// One-line summary of a kanji's KANJIDIC2 details, e.g. "4 strokes · Grade 1 · JLPT 4"
+function formatKanjiDetails(charInfo) {
+  const parts = [];
+  if (charInfo.strokeCount) {
+    parts.push(`${charInfo.strokeCount} stroke${charInfo.strokeCount !== 1 ? 's' : ''}`);
+  }
+  if (charInfo.grade) {
+    parts.push(`Grade ${charInfo.grade}`);
+  }
+  if (charInfo.jlpt) {
+    parts.push(`JLPT ${charInfo.jlpt}`);
+  }
+  return parts.join(' · ');
+}
+
 // Remove any existing popup
 function removeExistingPopup() {
-  const existingPopup = document.getElementById('kanji-helper-popup');
+  const existingPopup = getOpenPopup();
   if (existingPopup) {
     existingPopup.remove();
   }
+  clearTimeout(popupHideTimer);
 }
 
-// Close popup when clicking outside
-document.addEventListener('click', (event) => {
-  const popup = document.getElementById('kanji-helper-popup');
-  if (popup && !popup.contains(event.target)) {
-    popup.remove();
-  }
-});
-
-// Close popup with Escape key
-document.addEventListener('keydown', (event) => {
-  if (event.key === 'Escape') {
-    removeExistingPopup();
+// Close the popup; if it had focus, give it back to where it came from
+function closePopup() {
+  const hadFocus = Boolean(popupRoot && popupRoot.activeElement);
+  removeExistingPopup();
+  clearHoverHighlight();
+  if (hadFocus && popupReturnFocus && popupReturnFocus.isConnected) {
+    popupReturnFocus.focus();
   }
-});
+  popupReturnFocus = null;
+}
 
 /**
- * MESSAGE LISTENER
+ * POPUP KEYBOARD NAVIGATION
  * 
- * Listen for messages from background script
+ * With focus in the popup:
+ * - Arrow keys, Home and End move between word and character cards
+ *   (one tab stop: only the current card is in the tab order)
+ * - C copies the card, S adds it to the review deck (study list),
+ *   W shows a character's stroke order, K marks a kanji known,
+ *   E opens its example sentences, O opens it in the extension popup
+ * - Escape closes the popup and returns focus to the page
+ * Handled keys don't reach the page's own shortcuts.
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('Content script received message:', request);
-  
-  if (request.action === 'translateText') {
-    // Get mouse position for popup placement
-    // Since we don't have exact click coordinates, use center of viewport
-    const x = window.innerWidth / 2;
-    const y = window.innerHeight / 2;
-    
-    // Create translation popup
-    createTranslationPopup(request.text, x, y);
-    
-    // Send response back to background script
-    sendResponse({success: true, text: request.text});
+const POPUP_SHORTCUTS_HINT = '←/→ move · C copy · S study · F favorite · P play · W strokes · K known · E examples · O open in Kanji Helper · Esc close';
+
+let popupReturnFocus = null;         // Page element focused before the popup took focus
+
+function getPopupCards(popup) {
+  return [...popup.querySelectorAll('.kanji-word-card, .kanji-character-card')]
+    .filter(card => !card.hidden);
+}
+
+function focusPopupCard(popup, card) {
+  getPopupCards(popup).forEach(other => {
+    other.tabIndex = other === card ? 0 : -1;
+  });
+  card.focus();
+}
+
+function announce(popup, message) {
+  const status = popup && popup.querySelector('.kanji-popup-status');
+  if (status) {
+    status.textContent = message;
+  }
+}
+
+function handlePopupKeydown(event, popup) {
+  if (event.altKey || event.ctrlKey || event.metaKey) {
+    return;
+  }
+  
+  if (event.key === 'Escape') {
+    event.stopPropagation();
+    closePopup();
+    return;
+  }
+  
+  // Leave typing and button activation alone
+  if (event.target.matches('button') && (event.key === 'Enter' || event.key === ' ')) {
+    return;
   }
   
-  // Return true to indicate we'll send response asynchronously
-  return true;
+  const cards = getPopupCards(popup);
+  const card = event.target.closest('.kanji-word-card, .kanji-character-card');
+  const index = cards.indexOf(card);
+  
+  switch (event.key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+      focusPopupCard(popup, cards[Math.min(index + 1, cards.length - 1)]);
+      break;
+    case 'ArrowLeft':
+    case 'ArrowUp':
+      focusPopupCard(popup, cards[Math.max(index - 1, 0)]);
+      break;
+    case 'Home':
+      focusPopupCard(popup, cards[0]);
+      break;
+    case 'End':
+      focusPopupCard(popup, cards[cards.length - 1]);
+      break;
+    case 'c':
+    case 'C':
+      if (!card) return;
+      copyCard(popup, card);
+      break;
+    case 's':
+    case 'S':
+      if (!card) return;
+      studyCard(popup, card);
+      break;
+    case 'f':
+    case 'F':
+      if (!card) return;
+      favoriteCard(popup, card);
+      break;
+    case 'p':
+    case 'P':
+      if (!card) return;
+      if (card.dataset.speechText) {
+        speakText(popup, card.dataset.speechText);
+      } else {
+        announce(popup, 'No reading to play');
+      }
+      break;
+    case 'w':
+    case 'W':
+      if (!card) return;
+      if (card.dataset.strokeCharacter) {
+        showStrokeOrder(popup, card);
+      } else {
+        announce(popup, 'Stroke order is shown for single characters');
+      }
+      break;
+    case 'k':
+    case 'K':
+      if (!card) return;
+      markCardKnown(popup, card);
+      break;
+    case 'e':
+    case 'E':
+      if (!card) return;
+      if (card.dataset.exampleText) {
+        toggleExamples(popup, card);
+      } else {
+        announce(popup, 'No example sentences for this card');
+      }
+      break;
+    case 'o':
+    case 'O':
+      if (!card) return;
+      openCardInPopup(popup, card);
+      break;
+    default:
+      return;
+  }
+  
+  event.preventDefault();
+  event.stopPropagation();
+}
+
+async function copyCard(popup, card) {
+  try {
+    await navigator.clipboard.writeText(card.dataset.copyText);
+    announce(popup, `Copied ${card.dataset.lookupText}`);
+  } catch (error) {
+    console.error('Copy failed:', error);
+    announce(popup, 'Copying is not allowed on this page');
+  }
+}
+
+async function studyCard(popup, card) {
+  const button = card.querySelector('.kanji-study-button');
+  if (!button) {
+    announce(popup, 'Only dictionary entries can be studied');
+    return;
+  }
+  
+  const added = await addToStudyList(button);
+  if (added === null) {
+    announce(popup, 'Could not add to the review deck');
+  } else {
+    announce(popup, `${card.dataset.lookupText} ${added ? 'added to' : 'is already in'} the review deck`);
+  }
+}
+
+async function favoriteCard(popup, card) {
+  const button = card.querySelector('.kanji-favorite-button');
+  if (!button) {
+    announce(popup, 'Only dictionary entries can be favorites');
+    return;
+  }
+  
+  const starred = await toggleFavorite(button);
+  if (starred === null) {
+    announce(popup, 'Could not update favorites');
+  } else {
+    announce(popup, `${card.dataset.lookupText} ${starred ? 'added to' : 'removed from'} favorites`);
+  }
+}
+
+async function openCardInPopup(popup, card) {
+  try {
+    await sendRuntimeMessage('openInPopup', { text: card.dataset.lookupText });
+  } catch (error) {
+    console.error('Failed to open the extension popup:', error);
+    announce(popup, 'Could not open Kanji Helper');
+  }
+}
+
+/**
+ * POPUP SHADOW ROOT
+ * 
+ * The popup is rendered in a closed shadow root on its own host element,
+ * so page CSS can't restyle the cards and our styles (content-popup.css)
+ * can't leak into the page. The stylesheet is fetched once and adopted
+ * as a constructed stylesheet, which strict page CSPs allow, unlike
+ * inline styles or handlers.
+ */
+const POPUP_HOST_TAG = 'kanji-helper-popup';
+
+let popupHost = null;
+let popupRoot = null;
+let popupStyleSheet = null;          // Promise of the constructed stylesheet
+
+function loadPopupStyleSheet() {
+  if (!popupStyleSheet) {
+    popupStyleSheet = fetch(chrome.runtime.getURL('content-popup.css'))
+      .then(response => response.text())
+      .then(css => {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        return sheet;
+      })
+      .catch(error => {
+        // Try again with the next popup
+        popupStyleSheet = null;
+        throw error;
+      });
+  }
+  return popupStyleSheet;
+}
+
+async function getPopupRoot() {
+  const sheet = await loadPopupStyleSheet();
+  
+  if (!popupHost) {
+    popupHost = document.createElement(POPUP_HOST_TAG);
+    popupRoot = popupHost.attachShadow({ mode: 'closed' });
+    popupRoot.adoptedStyleSheets = [sheet];
+  }
+  
+  // Pages that re-render the whole document can drop the host
+  if (!popupHost.isConnected) {
+    document.documentElement.appendChild(popupHost);
+  }
+  return popupRoot;
+}
+
+function getOpenPopup() {
+  return popupRoot ? popupRoot.querySelector('.kanji-helper-popup') : null;
+}
+
+// Events from inside a closed shadow root reach the page retargeted to its host
+function isPopupEvent(event) {
+  return popupHost !== null && event.target === popupHost;
+}
+
+/**
+ * POPUP POSITIONING
+ * 
+ * The popup is attached to an anchor: the Range of the selected or hovered
+ * text, or a text field. It goes below the anchor, or above it when there
+ * is more room there, and starts at the anchor's left edge, or ends at
+ * its right edge when it would run off the right of the viewport.
+ * getBoundingClientRect() gives viewport coordinates for text inside
+ * scrolled containers too, so re-running this on every scroll (capture
+ * phase catches scrolling elements, not just the page) keeps the popup
+ * on its anchor. In iframes the content script of that frame shows the
+ * popup, positioned in the frame's own viewport.
+ */
+const POPUP_MARGIN = 8;              // px between popup, anchor and viewport edges
+
+let popupAnchor = null;              // Range or element the open popup is attached to
+let repositionFrame = null;
+
+function positionPopup(popup, anchor) {
+  const viewportWidth = document.documentElement.clientWidth;
+  const viewportHeight = document.documentElement.clientHeight;
+  const width = popup.offsetWidth;
+  const height = popup.offsetHeight;
+  
+  let left = (viewportWidth - width) / 2;
+  let top = (viewportHeight - height) / 2;
+  
+  if (anchor) {
+    const rect = anchor.getBoundingClientRect();
+    
+    // Anchor scrolled out of view (or removed from the page)
+    const inView = rect.bottom > 0 && rect.top < viewportHeight &&
+      rect.right > 0 && rect.left < viewportWidth && (rect.width > 0 || rect.height > 0);
+    popup.style.visibility = inView ? '' : 'hidden';
+    
+    const spaceBelow = viewportHeight - rect.bottom - POPUP_MARGIN;
+    const spaceAbove = rect.top - POPUP_MARGIN;
+    top = spaceBelow >= height || spaceBelow >= spaceAbove
+      ? rect.bottom + POPUP_MARGIN
+      : rect.top - POPUP_MARGIN - height;
+    
+    left = rect.left;
+    if (left + width > viewportWidth - POPUP_MARGIN) {
+      left = rect.right - width;
+    }
+  }
+  
+  // Keep it on screen even when it is larger than the space on either side
+  left = Math.max(POPUP_MARGIN, Math.min(left, viewportWidth - width - POPUP_MARGIN));
+  top = Math.max(POPUP_MARGIN, Math.min(top, viewportHeight - height - POPUP_MARGIN));
+  
+  popup.style.left = left + 'px';
+  popup.style.top = top + 'px';
+}
+
+// Repositions the open popup once per frame while scrolling or resizing
+function followPopupAnchor() {
+  if (repositionFrame) {
+    return;
+  }
+  repositionFrame = requestAnimationFrame(() => {
+    repositionFrame = null;
+    const popup = getOpenPopup();
+    if (popup) {
+      positionPopup(popup, popupAnchor);
+    }
+  });
+}
+
+window.addEventListener('scroll', followPopupAnchor, true);
+window.addEventListener('resize', followPopupAnchor);
+
+/**
+ * POPUP SETTINGS
+ * 
+ * How the popup looks and behaves (settings.js): readings (and their
+ * romaji) and meanings, how many cards each section shows, text size,
+ * theme and auto-hide.
+ * Applied when a popup is created and again to the open popup whenever
+ * the settings change.
+ */
+const FONT_SIZE_SCALES = {
+  small: 0.85,
+  medium: 1,
+  large: 1.2,
+  'x-large': 1.4
+};
+const LIGHT_SCHEME_QUERY = window.matchMedia('(prefers-color-scheme: light)');
+
+let popupSettings = { ...DEFAULT_SETTINGS };
+let popupHideTimer = null;
+
+function applyPopupSettings(popup) {
+  popup.classList.toggle('kanji-hide-readings', !popupSettings.showReadings);
+  popup.classList.toggle('kanji-hide-meanings', !popupSettings.showMeanings);
+  popup.style.setProperty('--kanji-helper-scale', FONT_SIZE_SCALES[popupSettings.fontSize]);
+  
+  popup.querySelectorAll('.kanji-romaji').forEach(romajiElement => {
+    const system = popupSettings.romajiReadings;
+    romajiElement.hidden = system === 'off';
+    romajiElement.textContent = system === 'off' ? '' : kanaToRomaji(romajiElement.dataset.kana, system);
+  });
+  
+  // 'auto' follows the system color scheme
+  const light = popupSettings.theme === 'light' ||
+    (popupSettings.theme === 'auto' && LIGHT_SCHEME_QUERY.matches);
+  popup.classList.toggle('kanji-theme-light', light);
+  
+  popup.querySelectorAll('.kanji-words-container, .kanji-cards-container').forEach(container => {
+    limitCards(container, popupSettings.maxCards);
+  });
+}
+
+// Hides the cards of a section past the limit, with a note saying how many
+function limitCards(container, maxCards) {
+  const cards = [...container.children];
+  cards.forEach((card, index) => {
+    card.hidden = index >= maxCards;
+  });
+  
+  let note = container.nextElementSibling;
+  if (!note || !note.classList.contains('kanji-more-cards')) {
+    note = document.createElement('div');
+    note.className = 'kanji-more-cards';
+    container.after(note);
+  }
+  const hiddenCount = cards.length - maxCards;
+  note.hidden = hiddenCount <= 0;
+  note.textContent = `+${hiddenCount} more`;
+}
+
+// (Re)starts the auto-hide countdown of a popup
+function scheduleAutoHide(popup) {
+  clearTimeout(popupHideTimer);
+  if (!popupSettings.autoHide) {
+    return;
+  }
+  popupHideTimer = setTimeout(() => {
+    popup.remove();
+    clearHoverHighlight();
+  }, popupSettings.autoHideDelay * 1000);
+}
+
+function setPopupSettings(settings) {
+  const autoHideChanged = settings.autoHide !== popupSettings.autoHide ||
+    settings.autoHideDelay !== popupSettings.autoHideDelay;
+  popupSettings = settings;
+  
+  const popup = getOpenPopup();
+  if (popup) {
+    applyPopupSettings(popup);
+    // Text size and card limit change its size
+    followPopupAnchor();
+    if (autoHideChanged) {
+      scheduleAutoHide(popup);
+    }
+  }
+}
+
+LIGHT_SCHEME_QUERY.addEventListener('change', () => {
+  const popup = getOpenPopup();
+  if (popup && popupSettings.theme === 'auto') {
+    applyPopupSettings(popup);
+  }
+});
+
+// Close popup when clicking outside
+document.addEventListener('click', (event) => {
+  if (getOpenPopup() && !isPopupEvent(event)) {
+    removeExistingPopup();
+    clearHoverHighlight();
+  }
+});
+
+// Close popup with Escape key
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    closePopup();
+  }
+});
+
+/**
+ * HOVER-TO-LOOKUP MODE
+ * 
+ * When enabled (Settings switch or the Alt+Shift+K shortcut), resting the
+ * mouse on Japanese text looks up the longest word starting under the
+ * cursor, highlights it and shows the popup right below it.
+ * The setting lives in chrome.storage.local (kanjiHelperSettings.hoverMode).
+ */
+const HOVER_LOOKUP_DELAY = 80;       // ms the mouse must rest before a lookup
+const HOVER_TEXT_LENGTH = 20;        // Characters sent to the dictionary
+const HOVER_HIGHLIGHT_NAME = 'kanji-helper-hover';
+const JAPANESE_CHAR_PATTERN = /[\u3040-\u30FF\u4E00-\u9FAF\u3005]/;
+
+let hoverModeEnabled = false;
+let hoverTimer = null;
+let hoverRequestId = 0;
+let hoverPosition = null;            // {node, offset} of the last lookup
+let hoverMatch = null;               // {node, start, end} of the highlighted word
+
+// Text node and offset under a point, or null
+function getCaretPosition(x, y) {
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(x, y);
+    return position ? { node: position.offsetNode, offset: position.offset } : null;
+  }
+  if (document.caretRangeFromPoint) {
+    const range = document.caretRangeFromPoint(x, y);
+    return range ? { node: range.startContainer, offset: range.startOffset } : null;
+  }
+  return null;
+}
+
+// Highlight a word with the CSS Custom Highlight API (doesn't touch the page DOM)
+function highlightRange(range) {
+  if (window.CSS && CSS.highlights && window.Highlight) {
+    CSS.highlights.set(HOVER_HIGHLIGHT_NAME, new Highlight(range));
+  }
+}
+
+function clearHoverHighlight() {
+  if (window.CSS && CSS.highlights) {
+    CSS.highlights.delete(HOVER_HIGHLIGHT_NAME);
+  }
+  hoverMatch = null;
+}
+
+// Close the hover popup and forget the last lookup
+function clearHoverLookup() {
+  clearTimeout(hoverTimer);
+  hoverRequestId++;
+  hoverPosition = null;
+  if (hoverMatch) {
+    clearHoverHighlight();
+    removeExistingPopup();
+  }
+}
+
+async function lookupAtPoint(x, y) {
+  const position = getCaretPosition(x, y);
+  const node = position && position.node;
+  
+  // Only text nodes whose character under the cursor is Japanese
+  if (!node || node.nodeType !== Node.TEXT_NODE ||
+      !JAPANESE_CHAR_PATTERN.test(node.data.charAt(position.offset))) {
+    clearHoverLookup();
+    return;
+  }
+  
+  // Still resting on the same character
+  if (hoverPosition && hoverPosition.node === node && hoverPosition.offset === position.offset) {
+    return;
+  }
+  hoverPosition = position;
+  
+  const requestId = ++hoverRequestId;
+  const text = node.data.substr(position.offset, HOVER_TEXT_LENGTH);
+  
+  let word;
+  try {
+    const response = await sendRuntimeMessage('lookupWord', { text: text });
+    word = response.word;
+  } catch (error) {
+    console.error('Hover lookup failed:', error);
+    return;
+  }
+  
+  // The mouse moved on while the background was answering
+  if (requestId !== hoverRequestId) {
+    return;
+  }
+  
+  // Fall back to the single character (e.g. a kanji not in the vocabulary)
+  const matchedText = word ? word.text : [...text][0];
+  const start = position.offset;
+  const end = start + matchedText.length;
+  
+  // Same word already shown
+  if (hoverMatch && hoverMatch.node === node && hoverMatch.start === start &&
+      hoverMatch.end === end && getOpenPopup()) {
+    return;
+  }
+  
+  const range = document.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  highlightRange(range);
+  hoverMatch = { node, start, end };
+  
+  createTranslationPopup(matchedText, 'hover', range);
+}
+
+document.addEventListener('mousemove', (event) => {
+  if (!hoverModeEnabled) {
+    return;
+  }
+  
+  // Keep the popup open while the mouse is over it
+  if (isPopupEvent(event)) {
+    clearTimeout(hoverTimer);
+    return;
+  }
+  
+  clearTimeout(hoverTimer);
+  hoverTimer = setTimeout(() => lookupAtPoint(event.clientX, event.clientY), HOVER_LOOKUP_DELAY);
+});
+
+function setHoverMode(enabled) {
+  hoverModeEnabled = enabled;
+  if (!enabled) {
+    clearHoverLookup();
+  }
+}
+
+/**
+ * FURIGANA OVERLAY
+ * 
+ * Toggled per page (Alt+Shift+F or the page context menu). Text nodes
+ * containing kanji are swapped for a wrapper span holding the same text
+ * with <ruby>/<rt> readings from the background dictionary (furigana.js).
+ * Each wrapper remembers the text node it replaced, so turning the overlay
+ * off puts the page's original nodes back. A MutationObserver annotates
+ * content added while the overlay is on.
+ * 
+ * Only kanji above the furiganaLevel setting are annotated
+ * ('all', 'jlpt-N' or 'grade-N').
+ */
+const FURIGANA_WRAPPER_CLASS = 'kanji-helper-furigana';
+const FURIGANA_BATCH_SIZE = 50;      // Text nodes per background request
+const KANJI_CHAR_PATTERN = /[\u4E00-\u9FAF\u3005]/;
+
+// Elements whose text must not be touched
+const FURIGANA_SKIPPED_SELECTOR = [
+  'script', 'style', 'noscript', 'textarea', 'select', 'option',
+  'ruby', '[contenteditable]', POPUP_HOST_TAG, `.${FURIGANA_WRAPPER_CLASS}`
+].join(', ');
+
+let furiganaEnabled = false;
+let furiganaLevel = 'all';
+let furiganaGeneration = 0;          // Bumped on every toggle to drop stale replies
+let furiganaObserver = null;
+const furiganaOriginals = new Map(); // Wrapper span -> original text node
+
+function isAnnotatableTextNode(node) {
+  const parent = node.parentElement;
+  return Boolean(parent) &&
+    KANJI_CHAR_PATTERN.test(node.data) &&
+    parent.namespaceURI === 'http://www.w3.org/1999/xhtml' &&
+    !parent.closest(FURIGANA_SKIPPED_SELECTOR);
+}
+
+// Text nodes under root (or root itself) that need readings
+function collectFuriganaTextNodes(root) {
+  if (root.nodeType === Node.TEXT_NODE) {
+    return isAnnotatableTextNode(root) ? [root] : [];
+  }
+  if (root.nodeType !== Node.ELEMENT_NODE) {
+    return [];
+  }
+  
+  const nodes = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (isAnnotatableTextNode(node)
+      ? NodeFilter.FILTER_ACCEPT
+      : NodeFilter.FILTER_REJECT)
+  });
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+  }
+  return nodes;
+}
+
+// Replace a text node with a wrapper holding the same text plus readings
+function wrapTextNode(node, annotations) {
+  const text = node.data;
+  const wrapper = document.createElement('span');
+  wrapper.className = FURIGANA_WRAPPER_CLASS;
+  
+  let lastIndex = 0;
+  annotations.forEach(({ start, end, reading }) => {
+    if (start > lastIndex) {
+      wrapper.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+    }
+    const ruby = document.createElement('ruby');
+    const rt = document.createElement('rt');
+    markKnownRuby(ruby, text.slice(start, end));
+    ruby.appendChild(document.createTextNode(text.slice(start, end)));
+    rt.textContent = reading;
+    ruby.appendChild(rt);
+    wrapper.appendChild(ruby);
+    lastIndex = end;
+  });
+  if (lastIndex < text.length) {
+    wrapper.appendChild(document.createTextNode(text.slice(lastIndex)));
+  }
+  
+  furiganaOriginals.set(wrapper, node);
+  node.replaceWith(wrapper);
+}
+
+async function annotateTextNodes(nodes) {
+  const generation = furiganaGeneration;
+  
+  for (let i = 0; i < nodes.length; i += FURIGANA_BATCH_SIZE) {
+    const batch = nodes.slice(i, i + FURIGANA_BATCH_SIZE);
+    const texts = batch.map(node => node.data);
+    
+    let response;
+    try {
+      response = await sendRuntimeMessage('getFurigana', {
+        texts: texts,
+        level: furiganaLevel
+      });
+    } catch (error) {
+      console.error('Furigana request failed:', error);
+      return;
+    }
+    
+    // Overlay turned off (or level changed) while waiting
+    if (generation !== furiganaGeneration) {
+      return;
+    }
+    
+    batch.forEach((node, index) => {
+      const annotations = response.annotations[index];
+      // Skip nodes the page removed or changed in the meantime
+      if (annotations.length > 0 && node.isConnected && node.data === texts[index]) {
+        wrapTextNode(node, annotations);
+      }
+    });
+  }
+}
+
+function enableFurigana() {
+  furiganaEnabled = true;
+  furiganaGeneration++;
+  
+  annotateTextNodes(collectFuriganaTextNodes(document.body));
+  
+  furiganaObserver = new MutationObserver(mutations => {
+    const nodes = [];
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(added => {
+        nodes.push(...collectFuriganaTextNodes(added));
+      });
+    });
+    if (nodes.length > 0) {
+      annotateTextNodes(nodes);
+    }
+  });
+  furiganaObserver.observe(document.body, { childList: true, subtree: true });
+  
+  console.log('Furigana overlay enabled');
+}
+
+function disableFurigana() {
+  furiganaEnabled = false;
+  furiganaGeneration++;
+  
+  if (furiganaObserver) {
+    furiganaObserver.disconnect();
+    furiganaObserver = null;
+  }
+  
+  // Put the original text nodes back
+  furiganaOriginals.forEach((node, wrapper) => {
+    if (wrapper.isConnected) {
+      wrapper.replaceWith(node);
+    }
+  });
+  furiganaOriginals.clear();
+  
+  console.log('Furigana overlay disabled');
+}
+
+function toggleFurigana() {
+  if (furiganaEnabled) {
+    disableFurigana();
+  } else {
+    enableFurigana();
+  }
+}
+
+// Re-annotate the page when the level changes while the overlay is on
+function setFuriganaLevel(level) {
+  if (level === furiganaLevel) {
+    return;
+  }
+  furiganaLevel = level;
+  if (furiganaEnabled) {
+    disableFurigana();
+    enableFurigana();
+  }
+}
+
+/**
+ * SETTINGS
+ * 
+ * Ask the background for the saved settings, then follow changes from
+ * the popup or the keyboard shortcuts (see settings.js)
+ */
+function applySettings(settings) {
+  setPopupSettings(settings);
+  setHoverMode(Boolean(settings.hoverMode));
+  setFuriganaLevel(settings.furiganaLevel);
+  setUnknownHighlight(Boolean(settings.highlightUnknownKanji));
+}
+
+sendRuntimeMessage('getSettings')
+  .then(({ settings }) => applySettings(settings))
+  .catch(error => console.error('Failed to load settings:', error));
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SETTINGS_STORAGE_KEY]) {
+    applySettings(withDefaultSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+  }
+  if (areaName === 'local' && changes[KNOWN_KANJI_STORAGE_KEY]) {
+    knownKanji = toKnownKanjiSet(changes[KNOWN_KANJI_STORAGE_KEY].newValue);
+    updateKnownKanjiMarks();
+  }
+});
+
+/**
+ * PAGE TEXT
+ * 
+ * The visible Japanese text of the page, for the extension popup's
+ * "Analyze this page" report (page-analysis.js in the background).
+ * Scripts, form fields, furigana readings, the translation popup and text
+ * hidden with CSS are left out. The popup only asks the top frame, so
+ * text inside iframes isn't counted.
+ */
+const PAGE_TEXT_LIMIT = 20000;       // Characters sent for analysis
+
+const PAGE_TEXT_SKIPPED_SELECTOR = [
+  'script', 'style', 'noscript', 'textarea', 'select', 'option', 'rt', 'rp', POPUP_HOST_TAG
+].join(', ');
+
+function isPageTextNode(node) {
+  const parent = node.parentElement;
+  return Boolean(parent) &&
+    JAPANESE_CHAR_PATTERN.test(node.data) &&
+    !parent.closest(PAGE_TEXT_SKIPPED_SELECTOR) &&
+    parent.checkVisibility({ visibilityProperty: true });
+}
+
+function collectPageText() {
+  const texts = [];
+  let length = 0;
+  let lastWrapper = null;
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (isPageTextNode(node)
+      ? NodeFilter.FILTER_ACCEPT
+      : NodeFilter.FILTER_REJECT)
+  });
+  
+  while (length < PAGE_TEXT_LIMIT && walker.nextNode()) {
+    const node = walker.currentNode;
+    const text = node.data.slice(0, PAGE_TEXT_LIMIT - length);
+    length += text.length;
+    
+    // Furigana splits a text node into pieces around each <ruby>: join
+    // them back so words aren't cut in two
+    const wrapper = node.parentElement.closest(`.${FURIGANA_WRAPPER_CLASS}`);
+    if (wrapper && wrapper === lastWrapper) {
+      texts[texts.length - 1] += text;
+    } else {
+      texts.push(text);
+    }
+    lastWrapper = wrapper;
+  }
+  
+  return { texts, truncated: length >= PAGE_TEXT_LIMIT };
+}
+
+/**
+ * KNOWN KANJI
+ * 
+ * Kanji the user knows (known-kanji.js, kept in sync through
+ * chrome.storage.onChanged) are toned down on popup cards and in the
+ * furigana overlay. With the highlightUnknownKanji setting on, every other
+ * kanji on the page is highlighted with the CSS Custom Highlight API, so
+ * the page DOM is left alone; a MutationObserver covers content added later.
+ */
+const UNKNOWN_HIGHLIGHT_NAME = 'kanji-helper-unknown';
+const KANJI_CHAR_GLOBAL_PATTERN = new RegExp(KANJI_CHAR_PATTERN.source, 'g');
+
+let knownKanji = new Set();
+let unknownHighlightEnabled = false;
+let unknownHighlight = null;
+let unknownHighlightObserver = null;
+
+// Ranges of the unknown kanji in text nodes under root (or root itself)
+function addUnknownKanjiRanges(root) {
+  const nodes = [];
+  if (root.nodeType === Node.TEXT_NODE) {
+    nodes.push(root);
+  } else if (root.nodeType === Node.ELEMENT_NODE) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+    }
+  }
+  
+  nodes.forEach(node => {
+    const parent = node.parentElement;
+    if (!parent || !KANJI_CHAR_PATTERN.test(node.data) || parent.closest(PAGE_TEXT_SKIPPED_SELECTOR)) {
+      return;
+    }
+    for (const match of node.data.matchAll(KANJI_CHAR_GLOBAL_PATTERN)) {
+      if (!knownKanji.has(match[0])) {
+        const range = new Range();
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        unknownHighlight.add(range);
+      }
+    }
+  });
+}
+
+function enableUnknownHighlight() {
+  if (!window.CSS || !CSS.highlights || !window.Highlight) {
+    return;
+  }
+  unknownHighlight = new Highlight();
+  addUnknownKanjiRanges(document.body);
+  CSS.highlights.set(UNKNOWN_HIGHLIGHT_NAME, unknownHighlight);
+  
+  unknownHighlightObserver = new MutationObserver(mutations => {
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(added => addUnknownKanjiRanges(added));
+    });
+  });
+  unknownHighlightObserver.observe(document.body, { childList: true, subtree: true });
+}
+
+function disableUnknownHighlight() {
+  if (unknownHighlightObserver) {
+    unknownHighlightObserver.disconnect();
+    unknownHighlightObserver = null;
+  }
+  if (unknownHighlight) {
+    CSS.highlights.delete(UNKNOWN_HIGHLIGHT_NAME);
+    unknownHighlight = null;
+  }
+}
+
+function setUnknownHighlight(enabled) {
+  if (enabled === unknownHighlightEnabled) {
+    return;
+  }
+  unknownHighlightEnabled = enabled;
+  if (enabled) {
+    enableUnknownHighlight();
+  } else {
+    disableUnknownHighlight();
+  }
+}
+
+// Furigana of words whose kanji are all known is toned down
+function markKnownRuby(ruby, base) {
+  const kanji = base.match(KANJI_CHAR_GLOBAL_PATTERN) || [];
+  ruby.classList.toggle('kanji-helper-known', kanji.length > 0 && kanji.every(char => knownKanji.has(char)));
+}
+
+// Brings the open popup, the furigana overlay and the highlight in line
+// with the known kanji after they change
+function updateKnownKanjiMarks() {
+  if (popupRoot) {
+    popupRoot.querySelectorAll('[data-known-character]').forEach(card => {
+      const known = knownKanji.has(card.dataset.knownCharacter);
+      card.classList.toggle('kanji-char-known', known);
+      setKnownButtonState(card.querySelector('.kanji-known-button'), known);
+    });
+  }
+  
+  furiganaOriginals.forEach((node, wrapper) => {
+    wrapper.querySelectorAll('ruby').forEach(ruby => markKnownRuby(ruby, ruby.firstChild.data));
+  });
+  
+  if (unknownHighlightEnabled) {
+    disableUnknownHighlight();
+    enableUnknownHighlight();
+  }
+}
+
+sendRuntimeMessage('getKnownKanji')
+  .then(({ kanji }) => {
+    knownKanji = new Set(kanji);
+    updateKnownKanjiMarks();
+  })
+  .catch(error => console.error('Failed to load known kanji:', error));
+
+/**
+ * MESSAGE LISTENER
+ * 
+ * Listen for messages from background script (see messages.js)
+ */
+listenForMessages({
+  showTranslation: ({ text }) => {
+    // The selection is still on the page: attach the popup to it, or to
+    // the text field it was made in (their selections have no Range)
+    const activeElement = document.activeElement;
+    const anchor = getSelectionRange() ||
+      (activeElement && activeElement.matches('input, textarea') ? activeElement : null);
+    
+    createTranslationPopup(text, 'contextMenu', anchor);
+    
+    return { text: text };
+  },
+  
+  toggleFurigana: () => {
+    toggleFurigana();
+    return { enabled: furiganaEnabled };
+  },
+  
+  collectPageText: () => collectPageText()
 });
 
 /**
@@ -298,4 +1892,4 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * 
  * Set up content script when page loads
  */
-console.log('Kanji Helper content script ready. Dictionary contains', Object.keys(kanjiDictionary).length, 'characters');
+console.log('Kanji Helper content script ready');
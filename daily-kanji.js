@@ -0,0 +1,157 @@
+/**
+ * KANJI OF THE DAY
+ *
+ * One kanji per day for the popup's Home section and the optional daily
+ * notification. Loaded into the background service worker with
+ * importScripts().
+ *
+ * The pick is deterministic: a hash of the date chooses from the bundled
+ * KANJIDIC2 kanji, weighted toward the dailyKanjiLevel setting (old JLPT
+ * level, 4 = easiest) and leaving out kanji already in the review deck or
+ * marked known (known-kanji.js).
+ * It is remembered for the rest of the day in chrome.storage.local
+ * ('dailyKanji'), so adding it to the deck doesn't swap it for another.
+ */
+
+const DAILY_KANJI_STORAGE_KEY = 'dailyKanji';
+const DAILY_KANJI_ALARM = 'dailyKanjiNotification';
+const DAILY_KANJI_NOTIFICATION_HOUR = 9;  // Local time
+const DAILY_KANJI_EXAMPLES = 3;
+
+// Relative chance of a kanji at the target level, one level away, and
+// further away or without a level
+const DAILY_KANJI_WEIGHTS = { target: 8, adjacent: 2, other: 1 };
+
+// Local calendar date, e.g. '2024-01-01'
+function getLocalDateKey(date = new Date()) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// FNV-1a hash of the text, as a number in [0, 1)
+function hashToUnitInterval(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+function getDailyKanjiWeight(record, level) {
+  const distance = record.jlpt ? Math.abs(record.jlpt - level) : Infinity;
+  if (distance === 0) {
+    return DAILY_KANJI_WEIGHTS.target;
+  }
+  return distance === 1 ? DAILY_KANJI_WEIGHTS.adjacent : DAILY_KANJI_WEIGHTS.other;
+}
+
+/**
+ * DAILY PICK
+ *
+ * Chooses the kanji for a date from the records (in character order, as
+ * IndexedDB returns them), or null if every kanji is excluded
+ */
+function pickDailyKanji(records, dateKey, level, excluded) {
+  const candidates = records.filter(record =>
+    getCharacterType(record.character) === 'kanji' && !excluded.has(record.character)
+  );
+  const weights = candidates.map(record => getDailyKanjiWeight(record, level));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let remaining = hashToUnitInterval(`${dateKey}:${level}`) * total;
+  for (let i = 0; i < candidates.length; i++) {
+    remaining -= weights[i];
+    if (remaining < 0) {
+      return candidates[i];
+    }
+  }
+  return candidates[candidates.length - 1] || null;
+}
+
+/**
+ * KANJI OF THE DAY
+ *
+ * Resolves with {date, entry, examples}: the dictionary entry of today's
+ * kanji (null if there is none left to pick) and a few words using it
+ */
+async function getKanjiOfTheDay(settings, date = new Date()) {
+  const dateKey = getLocalDateKey(date);
+  const level = settings.dailyKanjiLevel;
+
+  const stored = (await chrome.storage.local.get([DAILY_KANJI_STORAGE_KEY]))[DAILY_KANJI_STORAGE_KEY];
+  let record = null;
+  if (stored && stored.date === dateKey && stored.level === level) {
+    record = await getKanjiRecord(stored.character);
+  }
+
+  if (!record) {
+    // Kanji being studied or already known
+    const excluded = await readKnownKanji();
+    (await getAllDeckCards())
+      .filter(card => card.type === 'kanji')
+      .forEach(card => excluded.add(card.front));
+    record = pickDailyKanji(await getAllKanjiRecords(), dateKey, level, excluded);
+    if (!record) {
+      return { date: dateKey, entry: null, examples: [] };
+    }
+    await chrome.storage.local.set({
+      [DAILY_KANJI_STORAGE_KEY]: { date: dateKey, level, character: record.character }
+    });
+  }
+
+  return {
+    date: dateKey,
+    entry: toDictionaryEntry(record),
+    examples: await findExampleWords(record.character, DAILY_KANJI_EXAMPLES)
+  };
+}
+
+/**
+ * DAILY NOTIFICATION
+ *
+ * With the dailyKanjiNotification setting on, an alarm fires every day at
+ * DAILY_KANJI_NOTIFICATION_HOUR and shows the kanji as a notification.
+ * Each alarm schedules the next one, so the hour stays put across
+ * daylight saving changes.
+ */
+function getNextNotificationTime(now = new Date()) {
+  const next = new Date(now);
+  next.setHours(DAILY_KANJI_NOTIFICATION_HOUR, 0, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+// Creates or clears the alarm to match the settings
+async function updateDailyKanjiAlarm(settings) {
+  if (!settings.dailyKanjiNotification) {
+    await chrome.alarms.clear(DAILY_KANJI_ALARM);
+    return;
+  }
+  if (!(await chrome.alarms.get(DAILY_KANJI_ALARM))) {
+    await chrome.alarms.create(DAILY_KANJI_ALARM, { when: getNextNotificationTime() });
+  }
+}
+
+async function showDailyKanjiNotification() {
+  const settings = await readSettings();
+  if (!settings.dailyKanjiNotification) {
+    return;
+  }
+  await chrome.alarms.create(DAILY_KANJI_ALARM, { when: getNextNotificationTime() });
+
+  const { entry } = await getKanjiOfTheDay(settings);
+  if (!entry) {
+    return;
+  }
+  chrome.notifications.create(DAILY_KANJI_ALARM, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `Kanji of the Day: ${entry.character}`,
+    message: [entry.onyomi.concat(entry.kunyomi).join(', '), entry.meanings.join(', ')]
+      .filter(Boolean)
+      .join('\n')
+  });
+}
@@ -0,0 +1,602 @@
+/**
+ * KANJI DATABASE (IndexedDB)
+ *
+ * Stores the bundled KANJIDIC2 kanji data (data/kanjidic2.json), JMdict
+ * vocabulary (data/jmdict.json), kanji components (data/kanji-components.json),
+ * stroke order (data/kanji-strokes.json) and example sentences
+ * (data/examples.json) in IndexedDB so lookups don't have to parse the
+ * files every time the service worker wakes up. Loaded into the background service worker with
+ * importScripts().
+ *
+ * The imports run on install/update (see background.js) and again on the
+ * first query if a dataset is ever found missing.
+ *
+ * Stored kanji record:
+ * {
+ *   character: '日',
+ *   onyomi: ['ニチ', 'ジツ'],
+ *   kunyomi: ['ひ', '-び', '-か'],   // KANJIDIC notation: '.' marks okurigana
+ *   nanori: ['あき', ...],          // Readings used only in names
+ *   meanings: ['day', 'sun', ...],
+ *   strokeCount: 4,
+ *   grade: 1,                        // Kyouiku grade 1-6, 8 = other jouyou, or null
+ *   jlpt: 4,                         // Old JLPT level 4 (easiest) - 1, or null
+ *   frequency: 1,                    // Newspaper frequency rank 1-2500, or null
+ *   radical: 72                      // Classical (Kangxi) radical number
+ * }
+ *
+ * Stored word record:
+ * {
+ *   id: 1,                           // Auto-incremented key
+ *   kanji: ['日本'],                  // Kanji spellings (empty for kana-only words)
+ *   kana: ['にほん', 'にっぽん'],      // Kana readings
+ *   senses: [{ partOfSpeech: ['n'], glosses: ['Japan'] }],
+ *   headwords: ['日本', 'にほん', 'にっぽん']  // Every spelling, for lookup
+ * }
+ *
+ * Stored components record (KRADFILE-style, see scripts/kanjivg-to-components.js):
+ * {
+ *   character: '学',
+ *   components: ['⺍', '冖', '子']    // Radicals of the picker the kanji contains
+ * }
+ *
+ * Stored stroke order record (KanjiVG, see scripts/kanjivg-to-strokes.js):
+ * {
+ *   character: '日',
+ *   strokes: ['M31.5,24.5c...', ...],  // SVG path of each stroke, in a 109 x 109 box
+ *   numbers: [[25.25, 32.63], ...]      // Stroke number positions
+ * }
+ *
+ * Stored example sentence record (Tatoeba, see scripts/tatoeba-to-examples.js):
+ * {
+ *   id: 4701,
+ *   japanese: '駅で友達に会いました。',
+ *   english: 'I met a friend at the station.',
+ *   words: ['駅', 'で', '友達', 'に', '会う'],  // Dictionary forms, for lookup
+ *   forms: { 会う: '会いました' },              // Forms used in the sentence, where different
+ *   kanji: ['駅', '友', '達', '会']             // Every kanji in the sentence, for lookup
+ * }
+ */
+
+const KANJI_DB_NAME = 'kanjiHelper';
+const KANJI_DB_VERSION = 5;
+const KANJIDIC_URL = 'data/kanjidic2.json';
+const JMDICT_URL = 'data/jmdict.json';
+const KANJI_COMPONENTS_URL = 'data/kanji-components.json';
+const KANJI_STROKES_URL = 'data/kanji-strokes.json';
+const EXAMPLES_URL = 'data/examples.json';
+
+// Every headword in the words store, loaded once for the segmenter
+let headwordIndexPromise = null;
+
+// Shared promise so every caller reuses the same connection and import
+let kanjiDatabasePromise = null;
+
+/**
+ * REQUEST HELPERS
+ *
+ * Wrap IndexedDB's event-based requests and transactions in promises
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * OPEN DATABASE
+ *
+ * Opens (and on first run creates) the database schema:
+ * - kanji: one record per character, indexed for filtering
+ * - words: JMdict vocabulary, indexed by every spelling
+ * - components: the radicals each kanji is made of, indexed by radical
+ * - strokes: stroke order of kanji and kana
+ * - examples: example sentences, indexed by their words and kanji
+ * - meta: bookkeeping such as the imported data version
+ */
+function openDatabase() {
+  const request = indexedDB.open(KANJI_DB_NAME, KANJI_DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+
+    if (!db.objectStoreNames.contains('kanji')) {
+      const kanjiStore = db.createObjectStore('kanji', { keyPath: 'character' });
+      kanjiStore.createIndex('grade', 'grade');
+      kanjiStore.createIndex('jlpt', 'jlpt');
+      kanjiStore.createIndex('strokeCount', 'strokeCount');
+      kanjiStore.createIndex('frequency', 'frequency');
+      kanjiStore.createIndex('radical', 'radical');
+    }
+
+    if (!db.objectStoreNames.contains('meta')) {
+      db.createObjectStore('meta', { keyPath: 'key' });
+    }
+
+    if (!db.objectStoreNames.contains('words')) {
+      const wordStore = db.createObjectStore('words', { keyPath: 'id', autoIncrement: true });
+      wordStore.createIndex('headwords', 'headwords', { multiEntry: true });
+    }
+
+    if (!db.objectStoreNames.contains('components')) {
+      const componentStore = db.createObjectStore('components', { keyPath: 'character' });
+      componentStore.createIndex('components', 'components', { multiEntry: true });
+    }
+
+    if (!db.objectStoreNames.contains('strokes')) {
+      db.createObjectStore('strokes', { keyPath: 'character' });
+    }
+
+    if (!db.objectStoreNames.contains('examples')) {
+      const exampleStore = db.createObjectStore('examples', { keyPath: 'id' });
+      exampleStore.createIndex('words', 'words', { multiEntry: true });
+      exampleStore.createIndex('kanji', 'kanji', { multiEntry: true });
+    }
+  };
+
+  return promisifyRequest(request);
+}
+
+/**
+ * BUNDLED DATA LOADER
+ *
+ * Fetches one of the JSON files shipped in data/
+ */
+async function fetchBundledJson(path) {
+  const response = await fetch(chrome.runtime.getURL(path));
+  if (!response.ok) {
+    throw new Error(`Failed to load ${path}: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * KANJIDIC2 RECORD PARSER
+ *
+ * Converts one <character> element of the pre-converted KANJIDIC2 JSON
+ * (see scripts/kanjidic2-to-json.js) into a stored kanji record
+ */
+function parseKanjidicCharacter(character) {
+  const misc = character.misc || {};
+  const readingMeaning = character.reading_meaning || {};
+  const rmgroups = readingMeaning.rmgroup || [];
+
+  const readings = rmgroups.flatMap(group => group.reading || []);
+  const classicalRadical = (character.radical || [])
+    .find(radical => radical.rad_type === 'classical');
+
+  const toNumber = (value) => (value === undefined ? null : parseInt(value, 10));
+
+  return {
+    character: character.literal,
+    onyomi: readings.filter(r => r.r_type === 'ja_on').map(r => r.value),
+    kunyomi: readings.filter(r => r.r_type === 'ja_kun').map(r => r.value),
+    nanori: readingMeaning.nanori || [],
+    // Meanings without m_lang are English
+    meanings: rmgroups
+      .flatMap(group => group.meaning || [])
+      .filter(meaning => !meaning.m_lang || meaning.m_lang === 'en')
+      .map(meaning => meaning.value),
+    // The first stroke count is the accepted one, the rest are common miscounts
+    strokeCount: toNumber((misc.stroke_count || [])[0]),
+    grade: toNumber(misc.grade),
+    jlpt: toNumber(misc.jlpt),
+    frequency: toNumber(misc.freq),
+    radical: classicalRadical ? toNumber(classicalRadical.value) : null
+  };
+}
+
+/**
+ * KANJIDIC2 IMPORT
+ *
+ * Loads the bundled KANJIDIC2 JSON and replaces the kanji store with it.
+ * Runs in a single transaction so a failed import leaves the old data.
+ */
+async function importKanjidic(db) {
+  const kanjidic = await fetchBundledJson(KANJIDIC_URL);
+  const characters = kanjidic.character || [];
+
+  const transaction = db.transaction(['kanji', 'meta'], 'readwrite');
+  const kanjiStore = transaction.objectStore('kanji');
+
+  kanjiStore.clear();
+  characters.forEach(character => {
+    kanjiStore.put(parseKanjidicCharacter(character));
+  });
+  transaction.objectStore('meta').put({
+    key: 'kanjidic',
+    header: kanjidic.header || {},
+    count: characters.length,
+    importedAt: new Date().toISOString()
+  });
+
+  await promisifyTransaction(transaction);
+  console.log('Imported', characters.length, 'kanji from KANJIDIC2');
+}
+
+/**
+ * JMDICT WORD PARSER
+ *
+ * Converts one word of the jmdict-simplified layout into a stored word record
+ */
+function parseJmdictWord(word) {
+  const kanji = (word.kanji || []).map(spelling => spelling.text);
+  const kana = (word.kana || []).map(spelling => spelling.text);
+
+  return {
+    kanji: kanji,
+    kana: kana,
+    senses: (word.sense || []).map(sense => ({
+      partOfSpeech: sense.partOfSpeech || [],
+      glosses: (sense.gloss || [])
+        .filter(gloss => !gloss.lang || gloss.lang === 'eng')
+        .map(gloss => gloss.text)
+    })),
+    headwords: [...new Set(kanji.concat(kana))]
+  };
+}
+
+/**
+ * JMDICT IMPORT
+ *
+ * Loads the bundled vocabulary and replaces the words store with it
+ */
+async function importJmdict(db) {
+  const jmdict = await fetchBundledJson(JMDICT_URL);
+  const words = jmdict.words || [];
+
+  const transaction = db.transaction(['words', 'meta'], 'readwrite');
+  const wordStore = transaction.objectStore('words');
+
+  wordStore.clear();
+  words.forEach(word => {
+    wordStore.put(parseJmdictWord(word));
+  });
+  transaction.objectStore('meta').put({
+    key: 'jmdict',
+    tags: jmdict.tags || {},
+    count: words.length,
+    importedAt: new Date().toISOString()
+  });
+
+  await promisifyTransaction(transaction);
+  headwordIndexPromise = null;
+  console.log('Imported', words.length, 'words from JMdict');
+}
+
+/**
+ * KANJI COMPONENTS IMPORT
+ *
+ * Loads the bundled component lists and replaces the components store.
+ * The picker's radicals and their stroke counts are kept in the meta record.
+ */
+async function importKanjiComponents(db) {
+  const data = await fetchBundledJson(KANJI_COMPONENTS_URL);
+  const kanji = Object.entries(data.kanji || {});
+
+  const transaction = db.transaction(['components', 'meta'], 'readwrite');
+  const componentStore = transaction.objectStore('components');
+
+  componentStore.clear();
+  kanji.forEach(([character, components]) => {
+    componentStore.put({ character, components });
+  });
+  transaction.objectStore('meta').put({
+    key: 'components',
+    header: data.header || {},
+    radicals: data.radicals || {},
+    count: kanji.length,
+    importedAt: new Date().toISOString()
+  });
+
+  await promisifyTransaction(transaction);
+  console.log('Imported components of', kanji.length, 'kanji');
+}
+
+/**
+ * STROKE ORDER IMPORT
+ *
+ * Loads the bundled KanjiVG stroke data and replaces the strokes store
+ */
+async function importStrokeOrder(db) {
+  const data = await fetchBundledJson(KANJI_STROKES_URL);
+  const characters = Object.entries(data.characters || {});
+
+  const transaction = db.transaction(['strokes', 'meta'], 'readwrite');
+  const strokeStore = transaction.objectStore('strokes');
+
+  strokeStore.clear();
+  characters.forEach(([character, { strokes, numbers }]) => {
+    strokeStore.put({ character, strokes, numbers });
+  });
+  transaction.objectStore('meta').put({
+    key: 'strokes',
+    header: data.header || {},
+    count: characters.length,
+    importedAt: new Date().toISOString()
+  });
+
+  await promisifyTransaction(transaction);
+  console.log('Imported stroke order of', characters.length, 'characters');
+}
+
+/**
+ * EXAMPLE SENTENCE PARSER
+ *
+ * Converts one sentence of data/examples.json into a stored record. Index
+ * words are written 'headword' or 'headword{form as used}'.
+ */
+function parseExampleSentence(sentence) {
+  const words = [];
+  const forms = {};
+  sentence.words.forEach(word => {
+    const match = /^(.+?)(?:\{(.+)\})?$/.exec(word);
+    words.push(match[1]);
+    if (match[2]) {
+      forms[match[1]] = match[2];
+    }
+  });
+
+  return {
+    id: sentence.id,
+    japanese: sentence.japanese,
+    english: sentence.english,
+    words: [...new Set(words)],
+    forms,
+    kanji: [...new Set([...sentence.japanese].filter(char => /[\u4E00-\u9FAF\u3005]/.test(char)))]
+  };
+}
+
+/**
+ * EXAMPLE SENTENCES IMPORT
+ *
+ * Loads the bundled sentences and replaces the examples store
+ */
+async function importExampleSentences(db) {
+  const data = await fetchBundledJson(EXAMPLES_URL);
+  const sentences = data.sentences || [];
+
+  const transaction = db.transaction(['examples', 'meta'], 'readwrite');
+  const exampleStore = transaction.objectStore('examples');
+
+  exampleStore.clear();
+  sentences.forEach(sentence => {
+    exampleStore.put(parseExampleSentence(sentence));
+  });
+  transaction.objectStore('meta').put({
+    key: 'examples',
+    header: data.header || {},
+    count: sentences.length,
+    importedAt: new Date().toISOString()
+  });
+
+  await promisifyTransaction(transaction);
+  console.log('Imported', sentences.length, 'example sentences');
+}
+
+// Bundled datasets: meta key -> importer
+const DATA_IMPORTERS = {
+  kanjidic: importKanjidic,
+  jmdict: importJmdict,
+  components: importKanjiComponents,
+  strokes: importStrokeOrder,
+  examples: importExampleSentences
+};
+
+/**
+ * DATABASE ACCESS
+ *
+ * Resolves with an open database that has every bundled dataset imported.
+ * Pass forceImport to re-import even if data exists (install/update).
+ */
+function getDatabase(forceImport = false) {
+  if (!kanjiDatabasePromise || forceImport) {
+    const previous = kanjiDatabasePromise;
+
+    const current = (async () => {
+      // Reuse the connection of an in-flight open/import once it finishes
+      let db = previous ? await previous.catch(() => null) : null;
+      if (!db) {
+        db = await openDatabase();
+      }
+
+      const metaStore = db.transaction('meta').objectStore('meta');
+      const datasets = Object.keys(DATA_IMPORTERS);
+      const metas = await Promise.all(
+        datasets.map(key => promisifyRequest(metaStore.get(key)))
+      );
+
+      for (let i = 0; i < datasets.length; i++) {
+        if (forceImport || !metas[i]) {
+          await DATA_IMPORTERS[datasets[i]](db);
+        }
+      }
+      return db;
+    })();
+    kanjiDatabasePromise = current;
+
+    // Allow a retry on the next call if opening or importing failed
+    current.catch(() => {
+      if (kanjiDatabasePromise === current) {
+        kanjiDatabasePromise = null;
+      }
+    });
+  }
+
+  return kanjiDatabasePromise;
+}
+
+/**
+ * KANJI QUERIES
+ */
+
+// Record for one character, or null if it isn't in KANJIDIC2
+async function getKanjiRecord(char) {
+  const db = await getDatabase();
+  const record = await promisifyRequest(
+    db.transaction('kanji').objectStore('kanji').get(char)
+  );
+  return record || null;
+}
+
+// Records for several characters in one transaction: Map of character -> record
+async function getKanjiRecords(chars) {
+  const db = await getDatabase();
+  const store = db.transaction('kanji').objectStore('kanji');
+  const unique = [...new Set(chars)];
+
+  const records = await Promise.all(
+    unique.map(char => promisifyRequest(store.get(char)))
+  );
+
+  const found = new Map();
+  records.forEach(record => {
+    if (record) {
+      found.set(record.character, record);
+    }
+  });
+  return found;
+}
+
+// Every stored record (used for searching)
+async function getAllKanjiRecords() {
+  const db = await getDatabase();
+  return promisifyRequest(db.transaction('kanji').objectStore('kanji').getAll());
+}
+
+// Number of stored kanji
+async function countKanjiRecords() {
+  const db = await getDatabase();
+  return promisifyRequest(db.transaction('kanji').objectStore('kanji').count());
+}
+
+/**
+ * WORD QUERIES
+ */
+
+// Every headword in the words store with the part-of-speech codes of the
+// words spelled that way: {headwords: Map(headword -> Set), maxLength}
+function getHeadwordIndex() {
+  if (!headwordIndexPromise) {
+    headwordIndexPromise = (async () => {
+      const db = await getDatabase();
+      const records = await promisifyRequest(
+        db.transaction('words').objectStore('words').getAll()
+      );
+      const headwords = new Map();
+      let maxLength = 0;
+
+      records.forEach(record => {
+        const partOfSpeech = record.senses.flatMap(sense => sense.partOfSpeech);
+        record.headwords.forEach(headword => {
+          if (!headwords.has(headword)) {
+            headwords.set(headword, new Set());
+            maxLength = Math.max(maxLength, [...headword].length);
+          }
+          partOfSpeech.forEach(code => headwords.get(headword).add(code));
+        });
+      });
+
+      return { headwords, maxLength };
+    })();
+
+    headwordIndexPromise.catch(() => {
+      headwordIndexPromise = null;
+    });
+  }
+
+  return headwordIndexPromise;
+}
+
+// Word records for several headwords in one transaction: Map of headword -> [records]
+async function getWordRecords(headwords) {
+  const db = await getDatabase();
+  const index = db.transaction('words').objectStore('words').index('headwords');
+  const unique = [...new Set(headwords)];
+
+  const results = await Promise.all(
+    unique.map(headword => promisifyRequest(index.getAll(headword)))
+  );
+
+  const found = new Map();
+  unique.forEach((headword, i) => {
+    found.set(headword, results[i]);
+  });
+  return found;
+}
+
+/**
+ * COMPONENT QUERIES
+ */
+
+// Radicals of the picker: {radical: strokeCount}
+async function getComponentRadicals() {
+  const db = await getDatabase();
+  const meta = await promisifyRequest(
+    db.transaction('meta').objectStore('meta').get('components')
+  );
+  return meta ? meta.radicals : {};
+}
+
+// Component records of the kanji that contain every one of the radicals
+async function getKanjiWithComponents(radicals) {
+  const db = await getDatabase();
+  const store = db.transaction('components').objectStore('components');
+  if (radicals.length === 0) {
+    return promisifyRequest(store.getAll());
+  }
+
+  // Start from the radical with the fewest kanji, then check the rest
+  const candidates = await Promise.all(
+    radicals.map(radical => promisifyRequest(store.index('components').getAll(radical)))
+  );
+  const fewest = candidates.reduce((a, b) => (b.length < a.length ? b : a));
+  return fewest.filter(record =>
+    radicals.every(radical => record.components.includes(radical))
+  );
+}
+
+/**
+ * STROKE ORDER QUERIES
+ */
+
+// Stroke order record of a character, or null if KanjiVG has none bundled
+async function getStrokeOrderRecord(char) {
+  const db = await getDatabase();
+  const record = await promisifyRequest(
+    db.transaction('strokes').objectStore('strokes').get(char)
+  );
+  return record || null;
+}
+
+// Every stroke order record (templates of the handwriting recognizer)
+async function getAllStrokeOrderRecords() {
+  const db = await getDatabase();
+  return promisifyRequest(db.transaction('strokes').objectStore('strokes').getAll());
+}
+
+/**
+ * EXAMPLE SENTENCE QUERIES
+ */
+
+// Sentences with any of the keys in the 'words' or 'kanji' index, each once
+async function getExampleSentenceRecords(indexName, keys) {
+  const db = await getDatabase();
+  const index = db.transaction('examples').objectStore('examples').index(indexName);
+  const results = await Promise.all(
+    [...new Set(keys)].map(key => promisifyRequest(index.getAll(key)))
+  );
+
+  const found = new Map();
+  results.flat().forEach(record => found.set(record.id, record));
+  return [...found.values()];
+}
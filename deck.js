@@ -0,0 +1,214 @@
+/**
+ * REVIEW DECK (SPACED REPETITION)
+ *
+ * Study cards added from the page popup or the extension popup, scheduled
+ * with the SM-2 algorithm. Loaded into the background service worker with
+ * importScripts(); the popup and content script use it through messages.
+ * The deck is stored in chrome.storage.local under 'reviewDeck' as an
+ * object of cards keyed by id.
+ *
+ * Card schema:
+ * {
+ *   id: 'word:日本語',              // type + front, so a card is only added once
+ *   type: 'word',                  // 'word' | 'kanji'
+ *   front: '日本語',                // What is shown when reviewing
+ *   reading: 'にほんご',
+ *   meaning: 'Japanese (language)',
+ *   source: { sentence, url, title },  // Where it was looked up (may be empty)
+ *   addedAt: '2024-01-01T00:00:00.000Z',
+ *
+ *   // SM-2 scheduling
+ *   due: 1704067200000,            // Timestamp the card is next due
+ *   interval: 0,                   // Days until the next review
+ *   repetitions: 0,                // Successful reviews in a row
+ *   easeFactor: 2.5,
+ *   lapses: 0,                     // Times the card was forgotten
+ *   lastReviewedAt: null
+ * }
+ */
+
+const DECK_STORAGE_KEY = 'reviewDeck';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SM2_INITIAL_EASE = 2.5;
+const SM2_MINIMUM_EASE = 1.3;
+
+// Deck updates run one after another so concurrent messages don't
+// overwrite each other's changes
+let deckUpdateQueue = Promise.resolve();
+
+/**
+ * DECK STORAGE
+ */
+async function loadDeck() {
+  const result = await chrome.storage.local.get([DECK_STORAGE_KEY]);
+  return result[DECK_STORAGE_KEY] || {};
+}
+
+// Runs update(deck) on the stored deck and saves it; resolves with its result
+function updateDeck(update) {
+  const run = deckUpdateQueue.then(async () => {
+    const deck = await loadDeck();
+    const result = await update(deck);
+    await chrome.storage.local.set({ [DECK_STORAGE_KEY]: deck });
+    updateDueBadge(deck);
+    return result;
+  });
+
+  deckUpdateQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * SM-2 SCHEDULER
+ *
+ * Returns the card rescheduled after a review graded 0-5.
+ * Grades below 3 reset the card, which comes back the next day.
+ */
+function scheduleReview(card, grade, now = Date.now()) {
+  let { interval, repetitions, easeFactor, lapses } = card;
+
+  if (grade < 3) {
+    repetitions = 0;
+    interval = 1;
+    lapses++;
+  } else {
+    repetitions++;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+  }
+
+  easeFactor = Math.max(
+    SM2_MINIMUM_EASE,
+    easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+  );
+
+  return {
+    ...card,
+    interval,
+    repetitions,
+    easeFactor,
+    lapses,
+    due: now + interval * DAY_MS,
+    lastReviewedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * ADD CARD
+ *
+ * Adds a card built from {type, front, reading, meaning, source}.
+ * New cards are due immediately. Resolves with {card, added}; added is
+ * false if the card was already in the deck.
+ */
+function addDeckCard(fields) {
+  if (!fields || !fields.front || !['word', 'kanji'].includes(fields.type)) {
+    return Promise.reject(new Error('Invalid study card'));
+  }
+
+  return updateDeck(deck => {
+    const id = `${fields.type}:${fields.front}`;
+    if (deck[id]) {
+      return { card: deck[id], added: false };
+    }
+
+    const card = {
+      id,
+      type: fields.type,
+      front: fields.front,
+      reading: fields.reading || '',
+      meaning: fields.meaning || '',
+      source: fields.source || {},
+      addedAt: new Date().toISOString(),
+      due: Date.now(),
+      interval: 0,
+      repetitions: 0,
+      easeFactor: SM2_INITIAL_EASE,
+      lapses: 0,
+      lastReviewedAt: null
+    };
+    deck[id] = card;
+    return { card, added: true };
+  });
+}
+
+/**
+ * REVIEW CARD
+ *
+ * Records a review of a card and resolves with the rescheduled card
+ */
+function reviewDeckCard(id, grade) {
+  if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+    return Promise.reject(new Error(`Invalid review grade: ${grade}`));
+  }
+
+  return updateDeck(deck => {
+    if (!deck[id]) {
+      throw new Error(`Card not in deck: ${id}`);
+    }
+    deck[id] = scheduleReview(deck[id], grade);
+    return deck[id];
+  });
+}
+
+function removeDeckCard(id) {
+  return updateDeck(deck => {
+    const removed = Boolean(deck[id]);
+    delete deck[id];
+    return removed;
+  });
+}
+
+/**
+ * DECK QUERIES
+ */
+
+// Cards due now, most overdue first
+async function getDueCards(now = Date.now()) {
+  const deck = await loadDeck();
+  return Object.values(deck)
+    .filter(card => card.due <= now)
+    .sort((a, b) => a.due - b.due);
+}
+
+// Every card, e.g. for exporting
+async function getAllDeckCards() {
+  return Object.values(await loadDeck());
+}
+
+// Counts for the Home section: {total, due, new, learning}
+async function getDeckStats(now = Date.now()) {
+  return countDeck(await loadDeck(), now);
+}
+
+function countDeck(deck, now = Date.now()) {
+  const cards = Object.values(deck);
+  return {
+    total: cards.length,
+    due: cards.filter(card => card.due <= now).length,
+    new: cards.filter(card => !card.lastReviewedAt).length,
+    learning: cards.filter(card => card.lastReviewedAt && card.repetitions < 2).length
+  };
+}
+
+/**
+ * DUE BADGE
+ *
+ * Shows the number of due cards on the toolbar icon (nothing when none
+ * are due). Refreshed after every deck change and by a periodic alarm,
+ * since cards fall due as time passes.
+ */
+async function updateDueBadge(deck) {
+  try {
+    const { due } = countDeck(deck || await loadDeck());
+    await chrome.action.setBadgeBackgroundColor({ color: '#14b8a6' });
+    await chrome.action.setBadgeText({ text: due > 0 ? String(due) : '' });
+  } catch (error) {
+    console.error('Failed to update due badge:', error);
+  }
+}
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./testing');
+
+// In-memory chrome.storage.local and a badge that records its text
+const storage = {};
+const badge = { text: '' };
+global.chrome = {
+  storage: {
+    local: {
+      get: async keys => Object.fromEntries(keys.filter(key => key in storage).map(key => [key, storage[key]])),
+      set: async items => Object.assign(storage, JSON.parse(JSON.stringify(items)))
+    }
+  },
+  action: {
+    setBadgeBackgroundColor: async () => {},
+    setBadgeText: async ({ text }) => { badge.text = text; }
+  }
+};
+
+loadScripts('deck.js');
+
+const NOW = Date.UTC(2024, 0, 1);
+const NEW_CARD = { interval: 0, repetitions: 0, easeFactor: 2.5, lapses: 0 };
+
+// Grades in a row -> [interval, repetitions, easeFactor, lapses] after the last one
+const SCHEDULES = [
+  [[4], [1, 1, 2.5, 0]],
+  [[4, 4], [6, 2, 2.5, 0]],
+  [[4, 4, 4], [15, 3, 2.5, 0]],
+  [[5, 5, 5], [16, 3, 2.8, 0]],
+  [[3], [1, 1, 2.36, 0]],
+  [[4, 4, 1], [1, 0, 1.96, 1]],
+  [[4, 4, 1, 4], [1, 1, 1.96, 1]],
+  [[0, 0, 0, 0, 0], [1, 0, 1.3, 5]]
+];
+
+test('scheduleReview follows SM-2', () => {
+  SCHEDULES.forEach(([grades, [interval, repetitions, easeFactor, lapses]]) => {
+    const card = grades.reduce((current, grade) => scheduleReview(current, grade, NOW), NEW_CARD);
+    assert.strictEqual(card.interval, interval, `interval after ${grades}`);
+    assert.strictEqual(card.repetitions, repetitions, `repetitions after ${grades}`);
+    assert.strictEqual(Math.round(card.easeFactor * 100) / 100, easeFactor, `ease after ${grades}`);
+    assert.strictEqual(card.lapses, lapses, `lapses after ${grades}`);
+  });
+});
+
+test('scheduleReview sets the next due date and keeps the card fields', () => {
+  const card = scheduleReview({ ...NEW_CARD, id: 'kanji:日', front: '日' }, 4, NOW);
+  assert.strictEqual(card.due, NOW + DAY_MS);
+  assert.strictEqual(card.lastReviewedAt, new Date(NOW).toISOString());
+  assert.strictEqual(card.front, '日');
+});
+
+test('countDeck counts due, new and learning cards', () => {
+  const deck = {
+    a: { due: NOW - 1, lastReviewedAt: null, repetitions: 0 },
+    b: { due: NOW, lastReviewedAt: 'x', repetitions: 1 },
+    c: { due: NOW + DAY_MS, lastReviewedAt: 'x', repetitions: 3 }
+  };
+  assert.deepStrictEqual(countDeck(deck, NOW), { total: 3, due: 2, new: 1, learning: 1 });
+});
+
+test('cards are added once, reviewed and shown on the badge', async () => {
+  const { added } = await addDeckCard({ type: 'kanji', front: '日', reading: 'ニチ', meaning: 'day' });
+  assert.strictEqual(added, true);
+  assert.strictEqual((await addDeckCard({ type: 'kanji', front: '日' })).added, false);
+  assert.strictEqual(badge.text, '1');
+
+  const card = await reviewDeckCard('kanji:日', 4);
+  assert.strictEqual(card.repetitions, 1);
+  assert.deepStrictEqual(await getDueCards(), []);
+  assert.strictEqual(badge.text, '');
+
+  await assert.rejects(reviewDeckCard('kanji:日', 6), /Invalid review grade/);
+  await assert.rejects(reviewDeckCard('kanji:月', 4), /Card not in deck/);
+  await assert.rejects(addDeckCard({ type: 'sentence', front: '日' }), /Invalid study card/);
+});
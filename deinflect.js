@@ -0,0 +1,277 @@
+/**
+ * DEINFLECTION ENGINE
+ *
+ * Turns conjugated verbs and adjectives back into dictionary forms so they
+ * can be looked up: 学びます -> 学ぶ, 勉強しています -> 勉強する.
+ * Loaded into the background service worker with importScripts() and used
+ * by the word segmenter in dictionary.js.
+ *
+ * Each rule replaces an ending ("ます") with the dictionary ending ("る").
+ * Rules chain: しています -> している (polite) -> して (progressive) -> する.
+ * Word types are bit flags so a rule only applies to forms it can follow,
+ * and so a candidate is only accepted for dictionary words whose part of
+ * speech agrees with it.
+ */
+
+const DEINFLECT_TYPES = {
+  V1: 1,       // Ichidan verb (食べる)
+  V5: 2,       // Godan verb (学ぶ)
+  VK: 4,       // Kuru verb (来る)
+  VS: 8,       // Suru verb (する, 勉強する)
+  ADJ_I: 16,   // I-adjective (大きい)
+  COP: 32,     // Copula (です)
+  TE: 64       // Te-form inside a longer chain (している -> して)
+};
+
+// The surface text itself could be any kind of word
+const ALL_DEINFLECT_TYPES = Object.values(DEINFLECT_TYPES).reduce((all, type) => all | type, 0);
+
+// Longest chain of rules to follow for one candidate
+const MAX_DEINFLECT_DEPTH = 5;
+
+/**
+ * GODAN CONJUGATION TABLE
+ *
+ * One row per dictionary ending, with the kana each conjugation stem uses
+ */
+const GODAN_ROWS = [
+  { dict: 'う', a: 'わ', i: 'い', e: 'え', o: 'お', te: 'って', ta: 'った' },
+  { dict: 'く', a: 'か', i: 'き', e: 'け', o: 'こ', te: 'いて', ta: 'いた' },
+  { dict: 'ぐ', a: 'が', i: 'ぎ', e: 'げ', o: 'ご', te: 'いで', ta: 'いだ' },
+  { dict: 'す', a: 'さ', i: 'し', e: 'せ', o: 'そ', te: 'して', ta: 'した' },
+  { dict: 'つ', a: 'た', i: 'ち', e: 'て', o: 'と', te: 'って', ta: 'った' },
+  { dict: 'ぬ', a: 'な', i: 'に', e: 'ね', o: 'の', te: 'んで', ta: 'んだ' },
+  { dict: 'ぶ', a: 'ば', i: 'び', e: 'べ', o: 'ぼ', te: 'んで', ta: 'んだ' },
+  { dict: 'む', a: 'ま', i: 'み', e: 'め', o: 'も', te: 'んで', ta: 'んだ' },
+  { dict: 'る', a: 'ら', i: 'り', e: 'れ', o: 'ろ', te: 'って', ta: 'った' }
+];
+
+/**
+ * DEINFLECTION RULES
+ *
+ * Rule format:
+ * {
+ *   from: 'ます',        // Ending of the conjugated form
+ *   to: 'る',            // Ending of the form it comes from
+ *   accepts: V1 | ...,  // Types the conjugated form may have
+ *   becomes: V1 | VK,   // Types of the resulting form
+ *   reason: 'polite'     // Name of the conjugation (null = don't report)
+ * }
+ */
+function buildDeinflectionRules() {
+  const { V1, V5, VK, VS, ADJ_I, COP, TE } = DEINFLECT_TYPES;
+  const ANY = ALL_DEINFLECT_TYPES;
+  const rules = [];
+
+  const add = (from, to, accepts, becomes, reason) => {
+    rules.push({ from, to, accepts, becomes, reason });
+  };
+
+  // Endings attached to a verb stem, shared by every verb class.
+  // Ichidan/kuru stems drop る, godan stems use a row of GODAN_ROWS.
+  const stemForms = [
+    { suffix: 'ます', stem: 'i', accepts: ANY, reason: 'polite' },
+    { suffix: 'ません', stem: 'i', accepts: ANY, reason: 'polite negative' },
+    { suffix: 'ました', stem: 'i', accepts: ANY, reason: 'polite past' },
+    { suffix: 'ませんでした', stem: 'i', accepts: ANY, reason: 'polite past negative' },
+    { suffix: 'ましょう', stem: 'i', accepts: ANY, reason: 'polite volitional' },
+    { suffix: 'たい', stem: 'i', accepts: ANY, reason: 'want' },
+    { suffix: 'ない', stem: 'a', accepts: ANY, reason: 'negative' },
+    { suffix: 'れる', stem: 'a', accepts: ANY, reason: 'passive' },
+    { suffix: 'せる', stem: 'a', accepts: ANY, reason: 'causative' },
+    { suffix: 'る', stem: 'e', accepts: ANY, reason: 'potential' },
+    { suffix: 'ば', stem: 'e', accepts: ANY, reason: 'conditional' },
+    { suffix: 'う', stem: 'o', accepts: ANY, reason: 'volitional' }
+  ];
+
+  // GODAN VERBS
+  GODAN_ROWS.forEach(row => {
+    stemForms.forEach(form => {
+      add(row[form.stem] + form.suffix, row.dict, form.accepts, V5, form.reason);
+    });
+    add(row.te, row.dict, ANY, V5, 'te-form');
+    add(row.ta, row.dict, ANY, V5, 'past');
+  });
+
+  // 行く is the one godan verb with an irregular te/past form
+  add('行って', '行く', ANY, V5, 'te-form');
+  add('いって', 'いく', ANY, V5, 'te-form');
+  add('行った', '行く', ANY, V5, 'past');
+  add('いった', 'いく', ANY, V5, 'past');
+
+  // ICHIDAN VERBS (and kanji-written 来る, which conjugates the same on paper)
+  [
+    ['ます', 'polite'],
+    ['ません', 'polite negative'],
+    ['ました', 'polite past'],
+    ['ませんでした', 'polite past negative'],
+    ['ましょう', 'polite volitional'],
+    ['たい', 'want'],
+    ['ない', 'negative'],
+    ['て', 'te-form'],
+    ['た', 'past'],
+    ['られる', 'potential or passive'],
+    ['させる', 'causative'],
+    ['よう', 'volitional'],
+    ['れば', 'conditional']
+  ].forEach(([from, reason]) => {
+    add(from, 'る', ANY, V1 | VK, reason);
+  });
+
+  // KURU VERB written in kana
+  [
+    ['きます', 'polite'],
+    ['きません', 'polite negative'],
+    ['きました', 'polite past'],
+    ['きたい', 'want'],
+    ['こない', 'negative'],
+    ['きて', 'te-form'],
+    ['きた', 'past'],
+    ['こられる', 'potential or passive'],
+    ['こさせる', 'causative'],
+    ['こよう', 'volitional'],
+    ['くれば', 'conditional']
+  ].forEach(([from, reason]) => {
+    add(from, 'くる', ANY, VK, reason);
+  });
+
+  // SURU VERBS (する alone and noun + する)
+  [
+    ['します', 'polite'],
+    ['しません', 'polite negative'],
+    ['しました', 'polite past'],
+    ['しませんでした', 'polite past negative'],
+    ['しましょう', 'polite volitional'],
+    ['したい', 'want'],
+    ['しない', 'negative'],
+    ['して', 'te-form'],
+    ['した', 'past'],
+    ['される', 'passive'],
+    ['させる', 'causative'],
+    ['できる', 'potential'],
+    ['しよう', 'volitional'],
+    ['すれば', 'conditional']
+  ].forEach(([from, reason]) => {
+    add(from, 'する', ANY, VS, reason);
+  });
+
+  // PROGRESSIVE (〜ている conjugates like an ichidan verb)
+  add('ている', 'て', V1, TE, 'progressive');
+  add('でいる', 'で', V1, TE, 'progressive');
+  add('てる', 'て', V1, TE, 'progressive');
+  add('でる', 'で', V1, TE, 'progressive');
+
+  // I-ADJECTIVES (negative and want forms conjugate like these too)
+  add('くない', 'い', ANY, ADJ_I, 'negative');
+  add('かった', 'い', ANY, ADJ_I, 'past');
+  add('くて', 'い', ANY, ADJ_I, 'te-form');
+  add('ければ', 'い', ANY, ADJ_I, 'conditional');
+  add('く', 'い', ANY, ADJ_I, 'adverbial');
+
+  // COPULA
+  add('でした', 'です', ANY, COP, 'past');
+  add('でしょう', 'です', ANY, COP, 'presumptive');
+
+  // Longest endings first so the most specific rule is tried first
+  rules.sort((a, b) => b.from.length - a.from.length);
+  return rules;
+}
+
+const DEINFLECTION_RULES = buildDeinflectionRules();
+
+/**
+ * DEINFLECT
+ *
+ * Lists every form the text could have been conjugated from, the text
+ * itself first. Each candidate:
+ * {
+ *   word: '勉強する',                     // Candidate dictionary form
+ *   type: DEINFLECT_TYPES.VS,            // Types it may have
+ *   reasons: ['polite', 'progressive']   // Conjugations undone, outermost first
+ * }
+ */
+function deinflect(text) {
+  const candidates = [{ word: text, type: ALL_DEINFLECT_TYPES, reasons: [] }];
+  const seen = new Map([[text, ALL_DEINFLECT_TYPES]]);
+
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = candidates[i];
+    if (candidate.reasons.length >= MAX_DEINFLECT_DEPTH) {
+      continue;
+    }
+
+    DEINFLECTION_RULES.forEach(rule => {
+      if (!(candidate.type & rule.accepts) || !candidate.word.endsWith(rule.from)) {
+        return;
+      }
+
+      // A bare one-kana ending (る, い) is not a word; する and くる are
+      const stem = candidate.word.slice(0, -rule.from.length);
+      if (!stem && rule.to.length < 2) {
+        return;
+      }
+      const word = stem + rule.to;
+
+      // Skip forms already reached with the same (or wider) types
+      const seenType = seen.get(word) || 0;
+      if ((seenType & rule.becomes) === rule.becomes) {
+        return;
+      }
+      seen.set(word, seenType | rule.becomes);
+
+      // The te-form step of a progressive is part of "progressive"
+      const reasons = candidate.type === DEINFLECT_TYPES.TE
+        ? candidate.reasons
+        : candidate.reasons.concat(rule.reason);
+
+      candidates.push({ word, type: rule.becomes, reasons });
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * PART OF SPEECH CHECK
+ *
+ * Converts JMdict part-of-speech codes into DEINFLECT_TYPES flags,
+ * so a candidate can be checked against a dictionary word
+ */
+function getPartOfSpeechTypes(partOfSpeech) {
+  let types = 0;
+
+  partOfSpeech.forEach(code => {
+    if (code === 'v1' || code === 'v1-s') {
+      types |= DEINFLECT_TYPES.V1;
+    } else if (code.startsWith('v5')) {
+      types |= DEINFLECT_TYPES.V5;
+    } else if (code === 'vk') {
+      types |= DEINFLECT_TYPES.VK;
+    } else if (code === 'vs-i' || code === 'vs-s') {
+      types |= DEINFLECT_TYPES.VS;
+    } else if (code === 'adj-i' || code === 'adj-ix') {
+      types |= DEINFLECT_TYPES.ADJ_I;
+    } else if (code === 'cop') {
+      types |= DEINFLECT_TYPES.COP;
+    }
+  });
+
+  return types;
+}
+
+// Conjugations that make a new verb or adjective to conjugate further
+const DERIVATION_REASONS = ['causative', 'passive', 'potential', 'potential or passive', 'progressive', 'want'];
+
+/**
+ * INFLECTION DESCRIPTION
+ *
+ * Human readable summary of a deinflection, e.g.
+ * "polite progressive of 勉強する". Polite, tense and negative endings
+ * come first, outermost first; derivations follow innermost first, as in
+ * "causative passive of 書く".
+ */
+function describeInflection(reasons, baseForm) {
+  const endings = reasons.filter(reason => !DERIVATION_REASONS.includes(reason));
+  const derivations = reasons.filter(reason => DERIVATION_REASONS.includes(reason)).reverse();
+  return `${endings.concat(derivations).join(' ')} of ${baseForm}`;
+}
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./testing');
+
+loadScripts('deinflect.js');
+
+// [conjugated text, dictionary form, part of speech, reasons outermost first]
+const DEINFLECTIONS = [
+  ['勉強しています', '勉強する', ['vs-i'], ['polite', 'progressive']],
+  ['学びます', '学ぶ', ['v5b'], ['polite']],
+  ['食べられませんでした', '食べる', ['v1'], ['polite past negative', 'potential or passive']],
+  ['読んだ', '読む', ['v5m'], ['past']],
+  ['行って', '行く', ['v5k-s'], ['te-form']],
+  ['書かせられる', '書く', ['v5k'], ['passive', 'causative']],
+  ['大きくない', '大きい', ['adj-i'], ['negative']],
+  ['高かった', '高い', ['adj-i'], ['past']],
+  ['来なかった', '来る', ['vk'], ['past', 'negative']],
+  ['こない', 'くる', ['vk'], ['negative']],
+  ['見たくない', '見る', ['v1'], ['negative', 'want']],
+  ['でした', 'です', ['cop'], ['past']]
+];
+
+test('deinflect finds the dictionary form and the conjugations undone', () => {
+  DEINFLECTIONS.forEach(([text, baseForm, partOfSpeech, reasons]) => {
+    const candidate = deinflect(text).find(({ word, type }) =>
+      word === baseForm && (type & getPartOfSpeechTypes(partOfSpeech))
+    );
+    assert.ok(candidate, `${text} -> ${baseForm}`);
+    assert.deepStrictEqual(candidate.reasons, reasons, text);
+  });
+});
+
+test('deinflect lists the text itself first, unchanged', () => {
+  const [first] = deinflect('日本語');
+  assert.strictEqual(first.word, '日本語');
+  assert.deepStrictEqual(first.reasons, []);
+});
+
+test('deinflect does not reduce a lone ending to a word', () => {
+  assert.ok(!deinflect('ます').some(({ word }) => word === 'る'));
+});
+
+test('getPartOfSpeechTypes maps JMdict codes to deinflection types', () => {
+  const { V1, V5, VK, VS, ADJ_I, COP } = DEINFLECT_TYPES;
+  assert.strictEqual(getPartOfSpeechTypes(['v1', 'vt']), V1);
+  assert.strictEqual(getPartOfSpeechTypes(['v5r-i']), V5);
+  assert.strictEqual(getPartOfSpeechTypes(['vk']), VK);
+  assert.strictEqual(getPartOfSpeechTypes(['vs-i']), VS);
+  assert.strictEqual(getPartOfSpeechTypes(['adj-ix']), ADJ_I);
+  assert.strictEqual(getPartOfSpeechTypes(['cop']), COP);
+  assert.strictEqual(getPartOfSpeechTypes(['n', 'adj-na']), 0);
+});
+
+test('describeInflection puts endings first and derivations innermost first', () => {
+  assert.strictEqual(describeInflection(['polite', 'progressive'], '勉強する'), 'polite progressive of 勉強する');
+  assert.strictEqual(describeInflection(['passive', 'causative'], '書く'), 'causative passive of 書く');
+  assert.strictEqual(describeInflection(['past', 'negative'], '来る'), 'past negative of 来る');
+  assert.strictEqual(
+    describeInflection(['polite past negative', 'passive', 'causative'], '書く'),
+    'polite past negative causative passive of 書く'
+  );
+});
@@ -0,0 +1,513 @@
+/**
+ * SHARED KANJI DICTIONARY
+ *
+ * Single dictionary subsystem owned by the background service worker.
+ * background.js loads it with importScripts(); the content script and the
+ * popup never keep their own tables, they query it through messages
+ * (see the MESSAGE HANDLER in background.js).
+ *
+ * Kanji data comes from the KANJIDIC2 import and vocabulary from the JMdict
+ * import in IndexedDB (database.js), so every lookup here is asynchronous.
+ *
+ * Entry schema (stable, returned by every lookup):
+ * {
+ *   character: '日',              // The character itself
+ *   onyomi: ['ニチ', 'ジツ'],      // Chinese-derived readings (katakana)
+ *   kunyomi: ['ひ', '-び', '-か'], // Native Japanese readings (hiragana)
+ *   meanings: ['day', 'sun'],     // English meanings
+ *   type: 'kanji',                // 'kanji' | 'hiragana' | 'katakana' | 'other'
+ *
+ *   // KANJIDIC2 details (kanji entries only)
+ *   nanori: ['あき'],             // Name-only readings
+ *   strokeCount: 4,
+ *   grade: 1,                     // Kyouiku grade, or null
+ *   jlpt: 4,                      // Old JLPT level 4-1, or null
+ *   frequency: 1,                 // Newspaper frequency rank, or null
+ *   radical: 72                   // Classical radical number
+ * }
+ *
+ * Word entry schema (word-level lookups):
+ * {
+ *   id: 1,
+ *   kanji: ['日本人'],                // Kanji spellings (empty for kana-only words)
+ *   kana: ['にほんじん'],              // Kana readings
+ *   reading: 'にほんじん',             // Main reading
+ *   senses: [{ partOfSpeech: ['n'], glosses: ['Japanese person'] }]
+ * }
+ */
+
+/**
+ * CHARACTER TYPE DETECTION
+ *
+ * Determines if a character is hiragana, katakana, or kanji
+ */
+function getCharacterType(char) {
+  const code = char.charCodeAt(0);
+
+  // Hiragana range: U+3040–U+309F
+  if (code >= 0x3040 && code <= 0x309F) {
+    return 'hiragana';
+  }
+
+  // Katakana range: U+30A0–U+30FF
+  if (code >= 0x30A0 && code <= 0x30FF) {
+    return 'katakana';
+  }
+
+  // CJK Unified Ideographs (main kanji range): U+4E00–U+9FAF
+  if (code >= 0x4E00 && code <= 0x9FAF) {
+    return 'kanji';
+  }
+
+  // Other character types
+  return 'other';
+}
+
+/**
+ * ENTRY BUILDER
+ *
+ * Turns a stored KANJIDIC2 record into a dictionary entry
+ */
+function toDictionaryEntry(record) {
+  return {
+    character: record.character,
+    onyomi: record.onyomi,
+    kunyomi: record.kunyomi,
+    meanings: record.meanings,
+    type: getCharacterType(record.character),
+    nanori: record.nanori,
+    strokeCount: record.strokeCount,
+    grade: record.grade,
+    jlpt: record.jlpt,
+    frequency: record.frequency,
+    radical: record.radical
+  };
+}
+
+/**
+ * SINGLE CHARACTER LOOKUP
+ *
+ * Resolves with the dictionary entry for a character, or null if unknown
+ */
+async function lookupCharacter(char) {
+  const record = await getKanjiRecord(char);
+  return record ? toDictionaryEntry(record) : null;
+}
+
+/**
+ * WORD ENTRY BUILDER
+ *
+ * Turns a stored JMdict record into a word entry
+ */
+function toWordEntry(record) {
+  return {
+    id: record.id,
+    kanji: record.kanji,
+    kana: record.kana,
+    reading: record.kana[0] || '',
+    senses: record.senses
+  };
+}
+
+/**
+ * HEADWORD MATCHING
+ *
+ * Finds the dictionary word a piece of text is a form of, undoing
+ * conjugations with deinflect(). Returns null if no candidate
+ * is a headword whose part of speech fits the conjugation.
+ * Returns {headword, type, reasons, baseForm}.
+ */
+function matchHeadword(text, headwords) {
+  for (const candidate of deinflect(text)) {
+    const codes = headwords.get(candidate.word);
+
+    // The text as written matches a word of any part of speech
+    if (codes && (candidate.reasons.length === 0 ||
+        getPartOfSpeechTypes([...codes]) & candidate.type)) {
+      return {
+        headword: candidate.word,
+        type: candidate.type,
+        reasons: candidate.reasons,
+        baseForm: candidate.word
+      };
+    }
+
+    // Noun + する (勉強する) is listed under the noun, marked 'vs'
+    if ((candidate.type & DEINFLECT_TYPES.VS) && candidate.word.endsWith('する')) {
+      const noun = candidate.word.slice(0, -2);
+      const nounCodes = headwords.get(noun);
+      if (nounCodes && nounCodes.has('vs')) {
+        return {
+          headword: noun,
+          type: DEINFLECT_TYPES.VS,
+          reasons: candidate.reasons,
+          baseForm: candidate.word,
+          suruNoun: true
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * LONGEST MATCH
+ *
+ * Finds the longest text starting at a position that is (a conjugated
+ * form of) a headword. Returns {text, start, end, match} or null.
+ */
+function findLongestMatch(chars, position, headwords, maxLength) {
+  // Conjugated forms are longer than their headwords (させられませんでした)
+  let length = Math.min(maxLength + 10, chars.length - position);
+
+  while (length > 0) {
+    const text = chars.slice(position, position + length).join('');
+    const match = matchHeadword(text, headwords);
+    if (match) {
+      return { text, start: position, end: position + length, match };
+    }
+    length--;
+  }
+
+  return null;
+}
+
+/**
+ * SEGMENT RESOLVER
+ *
+ * Fetches the word entries for matched segments in one database round trip.
+ * Resolves with [{text, start, end, entries: [word entry], inflection}],
+ * where inflection is {baseForm, reasons, description} for conjugated
+ * words, otherwise null.
+ */
+async function resolveSegments(segments) {
+  const records = await getWordRecords(segments.map(segment => segment.match.headword));
+
+  return segments.map(({ match, ...segment }) => {
+    let wordRecords = records.get(match.headword);
+
+    // A conjugated form only belongs to words of the right part of speech
+    if (match.reasons.length > 0) {
+      wordRecords = wordRecords.filter(record => {
+        const codes = record.senses.flatMap(sense => sense.partOfSpeech);
+        return match.suruNoun
+          ? codes.includes('vs')
+          : (getPartOfSpeechTypes(codes) & match.type);
+      });
+    }
+
+    return {
+      ...segment,
+      entries: wordRecords.map(toWordEntry),
+      inflection: match.reasons.length > 0 ? {
+        baseForm: match.baseForm,
+        reasons: match.reasons,
+        description: describeInflection(match.reasons, match.baseForm)
+      } : null
+    };
+  });
+}
+
+/**
+ * WORD SEGMENTER
+ *
+ * Splits text into dictionary words by longest match: at each position the
+ * longest match wins, otherwise the position is skipped. Start/end of each
+ * segment are character (code point) offsets into the text.
+ */
+async function segmentWords(text) {
+  const { headwords, maxLength } = await getHeadwordIndex();
+  const chars = [...text];
+  const segments = [];
+
+  let position = 0;
+  while (position < chars.length) {
+    const segment = findLongestMatch(chars, position, headwords, maxLength);
+    if (segment) {
+      segments.push(segment);
+      position = segment.end;
+    } else {
+      position++;
+    }
+  }
+
+  return resolveSegments(segments);
+}
+
+/**
+ * WORD AT START OF TEXT
+ *
+ * Resolves with the longest word the text starts with (same shape as a
+ * segmentWords() item), or null. Used by hover lookups, which send the
+ * text from the mouse position onwards.
+ */
+async function lookupWordAt(text) {
+  const { headwords, maxLength } = await getHeadwordIndex();
+  const segment = findLongestMatch([...text], 0, headwords, maxLength);
+  if (!segment) {
+    return null;
+  }
+
+  const [word] = await resolveSegments([segment]);
+  return word;
+}
+
+/**
+ * EXAMPLE WORDS
+ *
+ * Resolves with up to `limit` dictionary words written with the character,
+ * shortest spellings first: word entries plus the spelling as `text`
+ */
+async function findExampleWords(char, limit = 3) {
+  const { headwords } = await getHeadwordIndex();
+  const spellings = [...headwords.keys()]
+    .filter(headword => headword !== char && headword.includes(char))
+    .sort((a, b) => [...a].length - [...b].length || a.localeCompare(b))
+    .slice(0, limit);
+
+  const records = await getWordRecords(spellings);
+  const seen = new Set();
+  const examples = [];
+  spellings.forEach(spelling => {
+    records.get(spelling).forEach(record => {
+      if (!seen.has(record.id)) {
+        seen.add(record.id);
+        examples.push({ ...toWordEntry(record), text: spelling });
+      }
+    });
+  });
+  return examples.slice(0, limit);
+}
+
+/**
+ * TEXT TRANSLATION FUNCTION
+ *
+ * Processes Japanese text into dictionary words and, for the
+ * character-by-character breakdown, individual characters.
+ * Every character item follows the entry schema plus an inDictionary flag.
+ */
+async function translateText(text) {
+  // Skip whitespace
+  const chars = [...text].filter(char => !char.match(/\s/));
+
+  // Fetch every kanji in one database round trip
+  const records = await getKanjiRecords(chars);
+  const results = [];
+
+  for (const char of chars) {
+    const record = records.get(char);
+    if (record) {
+      results.push({ ...toDictionaryEntry(record), inDictionary: true });
+      continue;
+    }
+
+    // Character not in dictionary
+    const type = getCharacterType(char);
+    let meanings = [];
+    if (type === 'kanji') {
+      meanings = ['Not in dictionary'];
+    } else if (type === 'hiragana') {
+      meanings = ['Hiragana character'];
+    } else if (type === 'katakana') {
+      meanings = ['Katakana character'];
+    }
+
+    results.push({
+      character: char,
+      onyomi: [],
+      kunyomi: [],
+      meanings: meanings,
+      type: type,
+      inDictionary: false
+    });
+  }
+
+  return {
+    originalText: text,
+    words: await segmentWords(text),
+    translations: results,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * DICTIONARY SEARCH
+ *
+ * Ranks kanji against a query: the characters themselves, readings (typed
+ * in hiragana, katakana or romaji, see kana.js) and English meanings.
+ * Exact matches come first, then prefix matches, then substring matches;
+ * within each, more frequent kanji first.
+ *
+ * Filters, all optional: {jlpt, grade, minStrokes, maxStrokes, radical}.
+ * With filters, an empty query lists every kanji they allow.
+ *
+ * Resolves with one page of entries: {results, total, page, pageSize}
+ */
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 100;
+
+const SEARCH_MATCH = { none: 0, substring: 1, prefix: 2, exact: 3 };
+
+async function searchDictionary(query, filters = {}, page = 0, pageSize = SEARCH_PAGE_SIZE) {
+  pageSize = Math.min(Math.max(1, pageSize), MAX_SEARCH_PAGE_SIZE);
+  page = Math.max(0, page);
+
+  const terms = getSearchTerms(query);
+  const hasFilters = Object.values(filters).some(value => value !== null && value !== undefined);
+  if (!terms && !hasFilters) {
+    return { results: [], total: 0, page, pageSize };
+  }
+
+  const ranked = [];
+  (await getAllKanjiRecords()).forEach(record => {
+    if (!matchesSearchFilters(record, filters)) {
+      return;
+    }
+    const match = terms ? getSearchMatch(record, terms) : SEARCH_MATCH.exact;
+    if (match !== SEARCH_MATCH.none) {
+      ranked.push({ record, match });
+    }
+  });
+
+  // Kanji without a frequency rank are rare - list them last
+  ranked.sort((a, b) =>
+    b.match - a.match ||
+    (a.record.frequency || Infinity) - (b.record.frequency || Infinity) ||
+    (a.record.strokeCount || 0) - (b.record.strokeCount || 0)
+  );
+
+  return {
+    results: ranked
+      .slice(page * pageSize, (page + 1) * pageSize)
+      .map(({ record }) => toDictionaryEntry(record)),
+    total: ranked.length,
+    page,
+    pageSize
+  };
+}
+
+// The forms a query is compared in: {characters, kana, latin}, or null
+// for an empty query
+function getSearchTerms(query) {
+  const text = query.trim();
+  if (!text) {
+    return null;
+  }
+
+  const lower = text.toLowerCase();
+  const romajiKana = isRomaji(lower) ? romajiToHiragana(lower.replace(/\s+/g, '')) : '';
+
+  return {
+    // Pasted kanji find themselves
+    characters: new Set([...text].filter(char => getCharacterType(char) === 'kanji')),
+    // Readings are compared in hiragana
+    kana: /[\u3040-\u30FF]/.test(text)
+      ? katakanaToHiragana(text)
+      : (romajiKana && !/[a-z]/.test(romajiKana) ? romajiKana : ''),
+    latin: /[a-z]/.test(lower) ? lower : ''
+  };
+}
+
+function getSearchMatch(record, terms) {
+  if (terms.characters.has(record.character)) {
+    return SEARCH_MATCH.exact;
+  }
+
+  let best = SEARCH_MATCH.none;
+  if (terms.kana) {
+    getSearchReadings(record).forEach(reading => {
+      best = Math.max(best, compareSearchText(reading, terms.kana));
+    });
+  }
+  if (terms.latin) {
+    record.meanings.forEach(meaning => {
+      const lower = meaning.toLowerCase();
+      // "water" is a prefix match for "water (tap)" and "running water"
+      const wordMatch = lower.split(/[^a-z']+/).some(word => word.startsWith(terms.latin))
+        ? SEARCH_MATCH.prefix
+        : SEARCH_MATCH.none;
+      best = Math.max(best, compareSearchText(lower, terms.latin), wordMatch);
+    });
+  }
+  return best;
+}
+
+function compareSearchText(value, term) {
+  if (value === term) {
+    return SEARCH_MATCH.exact;
+  }
+  if (value.startsWith(term)) {
+    return SEARCH_MATCH.prefix;
+  }
+  return value.includes(term) ? SEARCH_MATCH.substring : SEARCH_MATCH.none;
+}
+
+// Readings in hiragana without KANJIDIC marks. Kun'yomi with okurigana
+// count with and without it: まな.ぶ is searchable as まなぶ and まな.
+function getSearchReadings(record) {
+  return record.onyomi.concat(record.kunyomi).flatMap(reading => {
+    const plain = katakanaToHiragana(reading.replace(/-/g, ''));
+    const [stem] = plain.split('.');
+    return stem === plain ? [plain] : [plain.replace('.', ''), stem];
+  });
+}
+
+function matchesSearchFilters(record, filters) {
+  const { jlpt, grade, minStrokes, maxStrokes, radical } = filters;
+  return (!jlpt || record.jlpt === jlpt) &&
+    (!grade || record.grade === grade) &&
+    (!minStrokes || record.strokeCount >= minStrokes) &&
+    (!maxStrokes || record.strokeCount <= maxStrokes) &&
+    (!radical || record.radical === radical);
+}
+
+/**
+ * RADICAL LOOKUP
+ *
+ * Finds kanji that can't be typed by the parts they are made of
+ * (KRADFILE-style components, see database.js). getRadicals() lists the
+ * picker's radicals with their stroke counts, fewest strokes first.
+ *
+ * searchByRadicals() resolves with the kanji containing every picked
+ * radical, fewest strokes first (at most RADICAL_LOOKUP_LIMIT of them),
+ * their total, and the radicals that appear in them - the ones that can
+ * still narrow the results: {results, total, available}
+ */
+const RADICAL_LOOKUP_LIMIT = 100;
+
+async function getRadicals() {
+  const radicals = await getComponentRadicals();
+  return Object.entries(radicals)
+    .map(([radical, strokes]) => ({ radical, strokes }))
+    .sort((a, b) => a.strokes - b.strokes || a.radical.codePointAt(0) - b.radical.codePointAt(0));
+}
+
+async function searchByRadicals(radicals) {
+  if (radicals.length === 0) {
+    return { results: [], total: 0, available: Object.keys(await getComponentRadicals()) };
+  }
+
+  const matches = await getKanjiWithComponents(radicals);
+  const available = new Set(matches.flatMap(match => match.components));
+  const records = await getKanjiRecords(matches.map(match => match.character));
+  const sorted = [...records.values()].sort((a, b) =>
+    (a.strokeCount || 0) - (b.strokeCount || 0) ||
+    (a.frequency || Infinity) - (b.frequency || Infinity)
+  );
+
+  return {
+    results: sorted.slice(0, RADICAL_LOOKUP_LIMIT).map(toDictionaryEntry),
+    total: sorted.length,
+    available: [...available]
+  };
+}
+
+/**
+ * DICTIONARY SIZE
+ *
+ * Resolves with the number of kanji in the database
+ */
+function getDictionarySize() {
+  return countKanjiRecords();
+}
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./testing');
+
+loadScripts('kana.js', 'dictionary.js');
+
+// Stored KANJIDIC2 records, as database.js keeps them
+const RECORDS = [
+  ['水', ['スイ'], ['みず'], ['water'], 223, 4, 1, 85],
+  ['氷', ['ヒョウ'], ['こおり', 'ひ'], ['icicle', 'ice', 'freeze'], 1500, 5, 3, 85],
+  ['泳', ['エイ'], ['およ.ぐ'], ['swim'], 1311, 8, 3, 85],
+  ['湯', ['トウ'], ['ゆ'], ['hot water', 'bath', 'hot spring'], 1286, 12, 3, 85],
+  ['日', ['ニチ', 'ジツ'], ['ひ', '-び', '-か'], ['day', 'sun', 'Japan'], 1, 4, 1, 72],
+  ['火', ['カ'], ['ひ', '-び', 'ほ-'], ['fire'], 574, 4, 1, 86],
+  ['学', ['ガク'], ['まな.ぶ'], ['study', 'learning', 'science'], 63, 8, 1, 39]
+].map(([character, onyomi, kunyomi, meanings, frequency, strokeCount, grade, radical]) => ({
+  character, onyomi, kunyomi, meanings, nanori: [], frequency, strokeCount, grade, jlpt: null, radical
+}));
+
+global.getAllKanjiRecords = async () => RECORDS;
+
+const characters = ({ results }) => results.map(entry => entry.character).join('');
+
+// [query, filters, kanji found, best match first]
+const SEARCHES = [
+  ['water', {}, '水湯'],             // Exact meaning, then a word of a longer one
+  ['ater', {}, '水湯'],              // Substring, more frequent first
+  ['ひ', {}, '日火氷'],               // Exact readings, by frequency
+  ['hi', {}, '日火氷'],               // Romaji reading
+  ['スイ', {}, '水'],                 // Katakana reading
+  ['まなぶ', {}, '学'],               // Kun'yomi with okurigana...
+  ['まな', {}, '学'],                 // ...or only its stem
+  ['manabu', {}, '学'],
+  ['日本', {}, '日'],                 // Pasted kanji find themselves
+  ['', { radical: 85 }, '水湯泳氷'],   // Filters alone list every kanji they allow
+  ['', { grade: 3, maxStrokes: 8 }, '泳氷'],
+  ['ice', { minStrokes: 6 }, ''],
+  ['', {}, '']
+];
+
+test('searchDictionary ranks exact, prefix and substring matches, then frequency', async () => {
+  for (const [query, filters, expected] of SEARCHES) {
+    assert.strictEqual(characters(await searchDictionary(query, filters)), expected, `${query} ${JSON.stringify(filters)}`);
+  }
+});
+
+test('searchDictionary pages through the ranked results', async () => {
+  const page = await searchDictionary('', { radical: 85 }, 1, 3);
+  assert.strictEqual(characters(page), '氷');
+  assert.deepStrictEqual([page.total, page.page, page.pageSize], [4, 1, 3]);
+
+  assert.strictEqual(characters(await searchDictionary('', { radical: 85 }, 2, 3)), '');
+});
+
+test('searchDictionary keeps the page and page size in range', async () => {
+  const { page, pageSize } = await searchDictionary('water', {}, -1, 1000);
+  assert.deepStrictEqual([page, pageSize], [0, MAX_SEARCH_PAGE_SIZE]);
+  assert.strictEqual((await searchDictionary('water', {}, 0, 0)).pageSize, 1);
+});
+
+test('searchDictionary returns dictionary entries', async () => {
+  const { results: [entry] } = await searchDictionary('fire');
+  assert.deepStrictEqual(entry, {
+    character: '火', onyomi: ['カ'], kunyomi: ['ひ', '-び', 'ほ-'], meanings: ['fire'], type: 'kanji',
+    nanori: [], strokeCount: 4, grade: 1, jlpt: null, frequency: 574, radical: 86
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * EXAMPLE SENTENCES
+ *
+ * Example sentences for word and kanji cards (getExampleSentences
+ * message), from the bundled Tatoeba sentences (database.js examples
+ * store). Loaded into the background service worker with importScripts()
+ * after furigana.js.
+ *
+ * Words are found through the sentences' word index, by dictionary form,
+ * so conjugated uses count; kanji through every kanji the sentences
+ * contain. Shorter sentences come first, and each page of sentences is
+ * sent with its furigana already worked out, as segments:
+ * {
+ *   id: 4701,
+ *   japanese: '駅で友達に会いました。',
+ *   english: 'I met a friend at the station.',
+ *   segments: [
+ *     { text: '駅', reading: 'えき', match: false },
+ *     { text: 'で', reading: null, match: false },
+ *     { text: '会', reading: 'あ', match: true },   // The word or kanji looked up
+ *     ...
+ *   ]
+ * }
+ */
+
+const EXAMPLE_PAGE_SIZE = 3;
+
+// Dictionary forms the word's sentences are indexed under: the spelling
+// each of its entries is shown with, as in scripts/tatoeba-to-examples.js
+async function getExampleHeadwords(text) {
+  const records = (await getWordRecords([text])).get(text);
+  if (records.length === 0) {
+    return [text];
+  }
+  return records.map(record => record.kanji[0] || record.kana[0]);
+}
+
+// Ranges [start, end) of the sentence to highlight, in UTF-16 offsets
+function findExampleMatches(record, type, headwords) {
+  const needles = type === 'kanji'
+    ? headwords
+    : headwords.filter(headword => record.words.includes(headword))
+      .map(headword => record.forms[headword] || headword);
+
+  const matches = [];
+  needles.forEach(needle => {
+    let start = record.japanese.indexOf(needle);
+    while (start !== -1) {
+      matches.push({ start, end: start + needle.length });
+      start = record.japanese.indexOf(needle, start + needle.length);
+    }
+  });
+  return matches;
+}
+
+/**
+ * SEGMENTS
+ *
+ * Splits the sentence at its furigana and match boundaries. A reading
+ * covers its whole segment, so a match inside an annotated run (本 in
+ * 日本) marks the run.
+ */
+function buildExampleSegments(text, annotations, matches) {
+  const insideAnnotation = offset =>
+    annotations.some(annotation => offset > annotation.start && offset < annotation.end);
+
+  const boundaries = new Set([0, text.length]);
+  annotations.forEach(annotation => {
+    boundaries.add(annotation.start);
+    boundaries.add(annotation.end);
+  });
+  matches.forEach(match => {
+    [match.start, match.end]
+      .filter(offset => !insideAnnotation(offset))
+      .forEach(offset => boundaries.add(offset));
+  });
+
+  const points = [...boundaries].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    const annotation = annotations.find(candidate => candidate.start === start && candidate.end === end);
+    const match = matches.some(candidate => candidate.start < end && candidate.end > start);
+    const previous = segments[segments.length - 1];
+
+    // Consecutive plain text stays one segment
+    if (!annotation && previous && previous.reading === null && previous.match === match) {
+      previous.text += text.slice(start, end);
+    } else {
+      segments.push({ text: text.slice(start, end), reading: annotation ? annotation.reading : null, match });
+    }
+  }
+  return segments;
+}
+
+/**
+ * FIND EXAMPLES
+ *
+ * Resolves with one page of example sentences for a word (type 'word', in
+ * dictionary form) or a kanji (type 'kanji'), and how many there are:
+ * {sentences, total}
+ */
+async function findExampleSentences(text, type, offset = 0, limit = EXAMPLE_PAGE_SIZE) {
+  const headwords = type === 'kanji' ? [text] : await getExampleHeadwords(text);
+  const records = await getExampleSentenceRecords(type === 'kanji' ? 'kanji' : 'words', headwords);
+  records.sort((a, b) => a.japanese.length - b.japanese.length || a.id - b.id);
+
+  const page = records.slice(offset, offset + limit);
+  const sentences = await Promise.all(page.map(async record => ({
+    id: record.id,
+    japanese: record.japanese,
+    english: record.english,
+    segments: buildExampleSegments(
+      record.japanese,
+      await getFurigana(record.japanese, 'all'),
+      findExampleMatches(record, type, headwords)
+    )
+  })));
+
+  return { sentences, total: records.length };
+}
@@ -0,0 +1,150 @@
+/**
+ * FAVORITES
+ *
+ * Words and kanji starred in the page popup or the extension popup, with
+ * the user's own tags and notes. Loaded into the background service worker
+ * with importScripts(); the popup and content script use it through
+ * messages.
+ *
+ * Favorites are kept in chrome.storage.sync so they follow the user to
+ * every browser they sign in to. Sync storage limits each item to 8 KB
+ * and 512 items, so every favorite is its own item ('favorite:' + id)
+ * and meanings and notes are trimmed. It also holds only 100 KB in all,
+ * which long notes reach well before MAX_FAVORITES, so every write
+ * checks the bytes in use first.
+ *
+ * Favorite schema:
+ * {
+ *   id: 'word:日本語',              // type + front, like review deck cards
+ *   type: 'word',                  // 'word' | 'kanji'
+ *   front: '日本語',
+ *   reading: 'にほんご',
+ *   meaning: 'Japanese (language)',
+ *   tags: ['jlpt-n5', 'travel'],   // Lowercase, no duplicates
+ *   note: 'Seen on the station sign',
+ *   addedAt: '2024-01-01T00:00:00.000Z'
+ * }
+ */
+
+const FAVORITE_KEY_PREFIX = 'favorite:';
+const MAX_FAVORITES = 500;
+const MAX_FAVORITE_MEANING_LENGTH = 300;
+const MAX_FAVORITE_NOTE_LENGTH = 1000;
+const MAX_FAVORITE_TAGS = 10;
+const MAX_FAVORITE_TAG_LENGTH = 30;
+
+// Favorite updates run one after another so a star click and a note
+// edit can't overwrite each other
+let favoritesUpdateQueue = Promise.resolve();
+
+function runFavoritesUpdate(update) {
+  const run = favoritesUpdateQueue.then(update);
+  favoritesUpdateQueue = run.catch(() => {});
+  return run;
+}
+
+// Every favorite, newest first
+async function readFavorites() {
+  const items = await chrome.storage.sync.get(null);
+  return Object.entries(items)
+    .filter(([key]) => key.startsWith(FAVORITE_KEY_PREFIX))
+    .map(([, favorite]) => favorite)
+    .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+}
+
+async function readFavorite(id) {
+  const key = FAVORITE_KEY_PREFIX + id;
+  const result = await chrome.storage.sync.get([key]);
+  return result[key] || null;
+}
+
+// Sync storage counts an item as its key plus its value as JSON
+async function writeFavorite(favorite) {
+  const key = FAVORITE_KEY_PREFIX + favorite.id;
+  const size = new TextEncoder().encode(key + JSON.stringify(favorite)).length;
+  const [inUse, replaced] = await Promise.all([
+    chrome.storage.sync.getBytesInUse(null),
+    chrome.storage.sync.getBytesInUse(key)
+  ]);
+  if (inUse - replaced + size > chrome.storage.sync.QUOTA_BYTES) {
+    throw new Error('Favorites storage is full; remove some favorites or shorten notes to save more');
+  }
+  await chrome.storage.sync.set({ [key]: favorite });
+}
+
+// Trimmed, lowercase and without duplicates or empty tags
+function normalizeFavoriteTags(tags) {
+  const normalized = tags
+    .map(tag => tag.trim().toLowerCase().slice(0, MAX_FAVORITE_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_FAVORITE_TAGS);
+}
+
+/**
+ * ADD FAVORITE
+ *
+ * Adds a favorite built from {type, front, reading, meaning} (the same
+ * fields as a study card). Resolves with {favorite, added}; added is
+ * false if it was already a favorite.
+ */
+function addFavorite(fields) {
+  if (!fields || !fields.front || !['word', 'kanji'].includes(fields.type)) {
+    return Promise.reject(new Error('Invalid favorite'));
+  }
+
+  return runFavoritesUpdate(async () => {
+    const id = `${fields.type}:${fields.front}`;
+    const existing = await readFavorite(id);
+    if (existing) {
+      return { favorite: existing, added: false };
+    }
+
+    if ((await readFavorites()).length >= MAX_FAVORITES) {
+      throw new Error(`Favorites are full (${MAX_FAVORITES}); remove some to add more`);
+    }
+
+    const favorite = {
+      id,
+      type: fields.type,
+      front: fields.front,
+      reading: fields.reading || '',
+      meaning: (fields.meaning || '').slice(0, MAX_FAVORITE_MEANING_LENGTH),
+      tags: [],
+      note: '',
+      addedAt: new Date().toISOString()
+    };
+    await writeFavorite(favorite);
+    return { favorite, added: true };
+  });
+}
+
+/**
+ * UPDATE FAVORITE
+ *
+ * Replaces the tags and/or note of a favorite and resolves with it
+ */
+function updateFavorite(id, { tags, note }) {
+  return runFavoritesUpdate(async () => {
+    const favorite = await readFavorite(id);
+    if (!favorite) {
+      throw new Error(`Not a favorite: ${id}`);
+    }
+
+    if (tags) {
+      favorite.tags = normalizeFavoriteTags(tags);
+    }
+    if (typeof note === 'string') {
+      favorite.note = note.trim().slice(0, MAX_FAVORITE_NOTE_LENGTH);
+    }
+    await writeFavorite(favorite);
+    return favorite;
+  });
+}
+
+function removeFavorite(id) {
+  return runFavoritesUpdate(async () => {
+    const removed = Boolean(await readFavorite(id));
+    await chrome.storage.sync.remove(FAVORITE_KEY_PREFIX + id);
+    return removed;
+  });
+}
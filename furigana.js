@@ -0,0 +1,226 @@
+/**
+ * FURIGANA READINGS
+ *
+ * Works out the readings to print above the kanji of a text, for the
+ * page-wide furigana overlay in content.js. Loaded into the background
+ * service worker with importScripts() after kana.js and dictionary.js.
+ *
+ * Words found by the segmenter get their JMdict reading, aligned to the
+ * kanji so okurigana stays outside the ruby: 学びます -> 学(まな)びます.
+ * Kanji outside any known word fall back to a KANJIDIC2 reading.
+ *
+ * Annotation format (offsets are UTF-16 indexes into the text, like a
+ * DOM text node's data):
+ * {
+ *   start: 0,
+ *   end: 2,
+ *   reading: 'にほん'
+ * }
+ */
+
+const KANJI_RUN_PATTERN = /[一-龯々]+/g;
+
+/**
+ * TEXT HELPERS
+ */
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Splits text into alternating kanji and non-kanji runs: [{text, kanji}]
+function splitKanjiRuns(text) {
+  const runs = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(KANJI_RUN_PATTERN)) {
+    if (match.index > lastIndex) {
+      runs.push({ text: text.slice(lastIndex, match.index), kanji: false });
+    }
+    runs.push({ text: match[0], kanji: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    runs.push({ text: text.slice(lastIndex), kanji: false });
+  }
+
+  return runs;
+}
+
+/**
+ * READING ALIGNMENT
+ *
+ * Splits the reading of a written form over its kanji runs by matching the
+ * kana around them: 食べ物 + たべもの -> ['た', 'もの'].
+ * Returns one reading per kanji run, or null if the reading doesn't fit.
+ */
+function alignReading(written, reading) {
+  const runs = splitKanjiRuns(written);
+  const pattern = runs
+    .map(run => (run.kanji ? '(.+?)' : escapeRegExp(katakanaToHiragana(run.text))))
+    .join('');
+
+  const match = new RegExp(`^${pattern}$`).exec(katakanaToHiragana(reading));
+  return match ? match.slice(1) : null;
+}
+
+/**
+ * WORD READINGS
+ *
+ * Readings for the kanji runs of one segmented word, using the spelling of
+ * its entry that has the same kanji runs as the text (a conjugation only
+ * changes the kana ending). Returns [{start, end, reading}] relative to
+ * the word, or [] if no spelling and reading line up.
+ */
+function getWordFurigana(word) {
+  const surfaceRuns = word.text.match(KANJI_RUN_PATTERN) || [];
+
+  for (const entry of word.entries) {
+    for (const spelling of entry.kanji) {
+      const spellingRuns = spelling.match(KANJI_RUN_PATTERN) || [];
+      if (spellingRuns.join('|') !== surfaceRuns.join('|')) {
+        continue;
+      }
+
+      for (const kana of entry.kana) {
+        const readings = alignReading(spelling, kana);
+        if (!readings) {
+          continue;
+        }
+
+        const annotations = [];
+        let searchFrom = 0;
+        surfaceRuns.forEach((run, i) => {
+          const start = word.text.indexOf(run, searchFrom);
+          annotations.push({ start, end: start + run.length, reading: readings[i] });
+          searchFrom = start + run.length;
+        });
+        return annotations;
+      }
+    }
+  }
+
+  return [];
+}
+
+/**
+ * KANJI READING FALLBACK
+ *
+ * KANJIDIC2 reading for a kanji run no word covers: a lone kanji gets its
+ * first kun'yomi stem (山 -> やま), compounds get on'yomi (漢字 -> かんじ)
+ */
+function getKanjiRunReading(run, records) {
+  const chars = [...run];
+
+  if (chars.length === 1) {
+    const record = records.get(chars[0]);
+    const kunyomi = record && record.kunyomi.find(reading => !reading.includes('-'));
+    if (kunyomi) {
+      return kunyomi.split('.')[0];
+    }
+  }
+
+  const readings = chars.map(char => {
+    const record = records.get(char);
+    if (record && record.onyomi.length > 0) {
+      return katakanaToHiragana(record.onyomi[0]);
+    }
+    if (record && record.kunyomi.length > 0) {
+      return record.kunyomi[0].replace(/-/g, '').split('.')[0];
+    }
+    return null;
+  });
+
+  return readings.includes(null) ? null : readings.join('');
+}
+
+/**
+ * LEVEL FILTER
+ *
+ * Level setting: 'all', 'jlpt-N' (annotate kanji harder than old JLPT
+ * level N, 4 = easiest) or 'grade-N' (annotate kanji taught after grade N).
+ * Kanji with no level at all are always annotated.
+ */
+function isAboveLevel(record, level) {
+  const [type, value] = (level || 'all').split('-');
+  const threshold = parseInt(value, 10);
+
+  if (type === 'jlpt') {
+    return !record || !record.jlpt || record.jlpt < threshold;
+  }
+  if (type === 'grade') {
+    return !record || !record.grade || record.grade > threshold;
+  }
+  return true;
+}
+
+/**
+ * TEXT FURIGANA
+ *
+ * Resolves with the annotations for one text, leaving out kanji runs whose
+ * kanji are all at or below the chosen level
+ */
+async function getFurigana(text, level) {
+  const kanjiRuns = text.match(KANJI_RUN_PATTERN);
+  if (!kanjiRuns) {
+    return [];
+  }
+
+  const [words, records] = await Promise.all([
+    segmentWords(text),
+    getKanjiRecords([...kanjiRuns.join('')])
+  ]);
+
+  const annotations = [];
+  const covered = new Set();
+
+  // Segment offsets count code points, annotations count UTF-16 units
+  const indexes = [0];
+  for (const char of text) {
+    indexes.push(indexes[indexes.length - 1] + char.length);
+  }
+
+  words.forEach(word => {
+    const wordStart = indexes[word.start];
+    getWordFurigana(word).forEach(annotation => {
+      annotations.push({
+        start: wordStart + annotation.start,
+        end: wordStart + annotation.end,
+        reading: annotation.reading
+      });
+    });
+    for (let i = wordStart; i < indexes[word.end]; i++) {
+      covered.add(i);
+    }
+  });
+
+  // Parts of kanji runs that no word covers
+  for (const match of text.matchAll(KANJI_RUN_PATTERN)) {
+    const runEnd = match.index + match[0].length;
+    let start = match.index;
+
+    while (start < runEnd) {
+      if (covered.has(start)) {
+        start++;
+        continue;
+      }
+      let end = start;
+      while (end < runEnd && !covered.has(end)) {
+        end++;
+      }
+
+      const reading = getKanjiRunReading(text.slice(start, end), records);
+      if (reading) {
+        annotations.push({ start, end, reading });
+      }
+      start = end;
+    }
+  }
+
+  return annotations
+    .filter(annotation =>
+      [...text.slice(annotation.start, annotation.end)]
+        .some(char => isAboveLevel(records.get(char), level))
+    )
+    .sort((a, b) => a.start - b.start);
+}
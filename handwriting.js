@@ -0,0 +1,202 @@
+/**
+ * HANDWRITING RECOGNITION
+ *
+ * Proposes the characters a drawing from the popup's Search section could
+ * be (the recognizeHandwriting message). Loaded into the background
+ * service worker with importScripts(); nothing leaves the browser.
+ *
+ * The templates are the bundled KanjiVG strokes (database.js strokes
+ * store). Each stroke, drawn or template, is resampled to a fixed number
+ * of points along its length, and both characters are scaled into the
+ * same unit box. Strokes are compared in writing order, so a kanji drawn
+ * in its standard stroke order (the one the stroke order viewer shows)
+ * matches best; missing or extra strokes cost a fixed amount each.
+ */
+
+const STROKE_SAMPLE_POINTS = 10;
+const BEZIER_SEGMENT_STEPS = 8;          // Points per curve of a KanjiVG path
+const STROKE_COUNT_TOLERANCE = 2;        // Templates with this many strokes more or fewer are compared
+const MISSING_STROKE_COST = 0.5;         // In unit-box distance, per stroke too many or too few
+const HANDWRITING_CANDIDATES = 10;
+
+// Templates built from the strokes store: [{character, strokes: [[[x, y], ...], ...]}]
+let strokeTemplatesPromise = null;
+
+/**
+ * PATH SAMPLING
+ *
+ * Points along a KanjiVG stroke path. KanjiVG strokes only use moveto and
+ * (smooth) cubic curves: M/m, C/c and S/s.
+ */
+function samplePathPoints(d) {
+  const tokens = d.match(/[A-Za-z]|-?(?:\d+\.?\d*|\.\d+)/g) || [];
+  const points = [];
+  let command = 'M';
+  let current = [0, 0];
+  let lastControl = null;   // Second control point of the previous curve, for S
+  let i = 0;
+
+  const read = () => parseFloat(tokens[i++]);
+  const readPoint = relative => {
+    const x = read();
+    const y = read();
+    return relative ? [current[0] + x, current[1] + y] : [x, y];
+  };
+  const addCurve = (control1, control2, end) => {
+    for (let step = 1; step <= BEZIER_SEGMENT_STEPS; step++) {
+      const t = step / BEZIER_SEGMENT_STEPS;
+      const u = 1 - t;
+      points.push([0, 1].map(axis =>
+        u * u * u * current[axis] + 3 * u * u * t * control1[axis] +
+        3 * u * t * t * control2[axis] + t * t * t * end[axis]
+      ));
+    }
+    lastControl = control2;
+    current = end;
+  };
+
+  while (i < tokens.length) {
+    if (/[A-Za-z]/.test(tokens[i])) {
+      command = tokens[i++];
+    }
+    const relative = command === command.toLowerCase();
+    switch (command.toUpperCase()) {
+      case 'M':
+        current = readPoint(relative);
+        lastControl = null;
+        points.push(current);
+        break;
+      case 'C': {
+        const control1 = readPoint(relative);
+        const control2 = readPoint(relative);
+        addCurve(control1, control2, readPoint(relative));
+        break;
+      }
+      case 'S': {
+        // First control point mirrors the previous curve's second one
+        const control1 = lastControl
+          ? [2 * current[0] - lastControl[0], 2 * current[1] - lastControl[1]]
+          : current;
+        const control2 = readPoint(relative);
+        addCurve(control1, control2, readPoint(relative));
+        break;
+      }
+      default:
+        console.error('Unsupported path command in stroke data:', command);
+        return points;
+    }
+  }
+  return points;
+}
+
+// The polyline resampled to `count` points evenly spaced along its length
+function resampleStroke(points, count = STROKE_SAMPLE_POINTS) {
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + Math.hypot(
+      points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]
+    ));
+  }
+  const length = distances[distances.length - 1];
+  if (length === 0) {
+    return Array.from({ length: count }, () => points[0]);
+  }
+
+  const resampled = [];
+  let segment = 1;
+  for (let n = 0; n < count; n++) {
+    const target = (length * n) / (count - 1);
+    while (segment < points.length - 1 && distances[segment] < target) {
+      segment++;
+    }
+    const span = distances[segment] - distances[segment - 1];
+    const t = span === 0 ? 0 : (target - distances[segment - 1]) / span;
+    resampled.push([0, 1].map(axis =>
+      points[segment - 1][axis] + t * (points[segment][axis] - points[segment - 1][axis])
+    ));
+  }
+  return resampled;
+}
+
+// Strokes centered on the origin and scaled so the longer side of their
+// bounding box is 1, keeping the proportions
+function normalizeStrokes(strokes) {
+  const all = strokes.flat();
+  const xs = all.map(point => point[0]);
+  const ys = all.map(point => point[1]);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const scale = Math.max(width, height) || 1;
+  const centerX = minX + width / 2;
+  const centerY = minY + height / 2;
+
+  return strokes.map(stroke => stroke.map(([x, y]) => [(x - centerX) / scale, (y - centerY) / scale]));
+}
+
+function prepareStrokes(strokes) {
+  return normalizeStrokes(strokes.map(stroke => resampleStroke(stroke)));
+}
+
+function getStrokeTemplates() {
+  if (!strokeTemplatesPromise) {
+    strokeTemplatesPromise = getAllStrokeOrderRecords().then(records =>
+      records.map(record => ({
+        character: record.character,
+        strokes: prepareStrokes(record.strokes.map(samplePathPoints))
+      }))
+    );
+
+    strokeTemplatesPromise.catch(() => {
+      strokeTemplatesPromise = null;
+    });
+  }
+  return strokeTemplatesPromise;
+}
+
+// Mean distance between corresponding points of two resampled strokes
+function compareStrokes(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.hypot(a[i][0] - b[i][0], a[i][1] - b[i][1]);
+  }
+  return total / a.length;
+}
+
+// Lower is closer: stroke distances plus the cost of missing or extra
+// strokes, averaged over the larger stroke count
+function scoreTemplate(drawn, template) {
+  const shared = Math.min(drawn.length, template.length);
+  let total = Math.abs(drawn.length - template.length) * MISSING_STROKE_COST;
+  for (let i = 0; i < shared; i++) {
+    total += compareStrokes(drawn[i], template[i]);
+  }
+  return total / Math.max(drawn.length, template.length);
+}
+
+/**
+ * RECOGNIZE
+ *
+ * Best matching characters for strokes drawn as [[x, y], ...] point lists
+ * (in any coordinates, y pointing down), closest first
+ */
+async function recognizeHandwriting(strokes, limit = HANDWRITING_CANDIDATES) {
+  const points = strokes
+    .map(stroke => stroke.filter(point =>
+      Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1])
+    ))
+    .filter(stroke => stroke.length > 0);
+  if (points.length === 0) {
+    return [];
+  }
+
+  const drawn = prepareStrokes(points);
+  const templates = await getStrokeTemplates();
+  return templates
+    .filter(template => Math.abs(template.strokes.length - drawn.length) <= STROKE_COUNT_TOLERANCE)
+    .map(template => ({ character: template.character, score: scoreTemplate(drawn, template.strokes) }))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit)
+    .map(candidate => candidate.character);
+}
@@ -0,0 +1,96 @@
+/**
+ * TRANSLATION HISTORY
+ *
+ * The 50 most recent lookups, newest first. Loaded into the background
+ * service worker with importScripts(), which records every translateText
+ * request: popup translations, the right-click menu and hover lookups on
+ * pages. The popup reads it through messages. Stored in
+ * chrome.storage.local under 'translationHistory'.
+ *
+ * Entry schema:
+ * {
+ *   id: '3b241101-e2bb-4255-8caf-4136c566a962',
+ *   originalText: '日本語',
+ *   words: [...],                  // Segments from segmentWords()
+ *   translations: [...],           // Kanji entries from translateText()
+ *   timestamp: '2024-01-01T00:00:00.000Z',
+ *   origin: 'contextMenu',         // 'popup' | 'contextMenu' | 'hover'
+ *   source: {                      // Page it was looked up on (empty for the popup)
+ *     sentence: '日本語を勉強しています。',
+ *     url: 'https://...',
+ *     title: 'Page title'
+ *   }
+ * }
+ *
+ * Looking the same text up again on the same page moves its entry to the
+ * top instead of adding another one.
+ */
+
+const HISTORY_STORAGE_KEY = 'translationHistory';
+const MAX_HISTORY_ENTRIES = 50;
+const HISTORY_ORIGINS = ['popup', 'contextMenu', 'hover'];
+
+// History updates run one after another so concurrent messages don't
+// overwrite each other's entries
+let historyUpdateQueue = Promise.resolve();
+
+async function readHistory() {
+  const result = await chrome.storage.local.get([HISTORY_STORAGE_KEY]);
+  return result[HISTORY_STORAGE_KEY] || [];
+}
+
+// Runs update(history) on the stored history, saves what it returns and
+// resolves with that
+function updateHistory(update) {
+  const run = historyUpdateQueue.then(async () => {
+    const history = update(await readHistory());
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history });
+    return history;
+  });
+
+  historyUpdateQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * ADD ENTRY
+ *
+ * Records a translateText() result with where it was looked up and
+ * resolves with the new entry
+ */
+async function addHistoryEntry(result, origin = 'popup', source = {}) {
+  if (!result || !result.originalText || !Array.isArray(result.translations)) {
+    throw new Error('Invalid history entry');
+  }
+  if (!HISTORY_ORIGINS.includes(origin)) {
+    throw new Error(`Unknown lookup origin: ${origin}`);
+  }
+
+  const entry = {
+    // Lookups from several frames can land in the same millisecond
+    id: crypto.randomUUID(),
+    originalText: result.originalText,
+    words: result.words || [],
+    translations: result.translations,
+    timestamp: new Date().toISOString(),
+    origin,
+    source: {
+      sentence: source.sentence || '',
+      url: source.url || '',
+      title: source.title || ''
+    }
+  };
+
+  await updateHistory(history => {
+    const others = history.filter(previous =>
+      previous.originalText !== entry.originalText ||
+      (previous.source ? previous.source.url : '') !== entry.source.url
+    );
+    return [entry, ...others].slice(0, MAX_HISTORY_ENTRIES);
+  });
+  return entry;
+}
+
+function clearHistory() {
+  return updateHistory(() => []);
+}
@@ -0,0 +1,299 @@
+/**
+ * KANA AND ROMAJI
+ *
+ * Conversions between romaji, hiragana and katakana, shared by the
+ * background service worker (loaded with importScripts()), the content
+ * script and the popup.
+ *
+ * - romajiToHiragana() turns romaji typed into the search box into kana,
+ *   so "manabu" finds 学 by its reading まな.ぶ
+ * - kanaToRomaji() spells readings in Hepburn or Kunrei romaji for the
+ *   romajiReadings setting
+ *
+ * Both Hepburn (shi, chi, tsu, fu, ja) and Kunrei (si, ti, tu, hu, zya)
+ * spellings are read; long vowels may be typed doubled (kou), with a
+ * macron (kō) or a circumflex (kô).
+ */
+
+// Syllable rows: consonant -> kana for a, i, u, e, o
+const ROMAJI_ROWS = {
+  '': ['あ', 'い', 'う', 'え', 'お'],
+  k: ['か', 'き', 'く', 'け', 'こ'],
+  g: ['が', 'ぎ', 'ぐ', 'げ', 'ご'],
+  s: ['さ', 'し', 'す', 'せ', 'そ'],
+  z: ['ざ', 'じ', 'ず', 'ぜ', 'ぞ'],
+  t: ['た', 'ち', 'つ', 'て', 'と'],
+  d: ['だ', 'ぢ', 'づ', 'で', 'ど'],
+  n: ['な', 'に', 'ぬ', 'ね', 'の'],
+  h: ['は', 'ひ', 'ふ', 'へ', 'ほ'],
+  b: ['ば', 'び', 'ぶ', 'べ', 'ぼ'],
+  p: ['ぱ', 'ぴ', 'ぷ', 'ぺ', 'ぽ'],
+  m: ['ま', 'み', 'む', 'め', 'も'],
+  y: ['や', 'い', 'ゆ', 'いぇ', 'よ'],
+  r: ['ら', 'り', 'る', 'れ', 'ろ'],
+  w: ['わ', 'うぃ', 'う', 'うぇ', 'を'],
+  f: ['ふぁ', 'ふぃ', 'ふ', 'ふぇ', 'ふぉ'],
+  v: ['ゔぁ', 'ゔぃ', 'ゔ', 'ゔぇ', 'ゔぉ'],
+  j: ['じゃ', 'じ', 'じゅ', 'じぇ', 'じょ']
+};
+
+// Contracted sounds: these + a, u, o (and e) add a small ya, yu, yo
+const ROMAJI_CONTRACTIONS = {
+  ky: 'き', gy: 'ぎ', sy: 'し', sh: 'し', zy: 'じ', jy: 'じ', ty: 'ち', ch: 'ち',
+  cy: 'ち', dy: 'ぢ', ny: 'に', hy: 'ひ', by: 'び', py: 'ぴ', my: 'み', ry: 'り'
+};
+
+// Hepburn spellings and small kana that don't follow the rows
+const ROMAJI_EXCEPTIONS = {
+  shi: 'し', chi: 'ち', tsu: 'つ', she: 'しぇ', che: 'ちぇ', dzu: 'づ',
+  // Small kana, typed with x or l as in Japanese IMEs
+  xa: 'ぁ', xi: 'ぃ', xu: 'ぅ', xe: 'ぇ', xo: 'ぉ',
+  la: 'ぁ', li: 'ぃ', lu: 'ぅ', le: 'ぇ', lo: 'ぉ',
+  xya: 'ゃ', xyu: 'ゅ', xyo: 'ょ', xtu: 'っ', xtsu: 'っ', xwa: 'ゎ', xka: 'ゕ', xke: 'ゖ',
+  lya: 'ゃ', lyu: 'ゅ', lyo: 'ょ', ltu: 'っ', ltsu: 'っ', lwa: 'ゎ', lka: 'ゕ', lke: 'ゖ',
+  // Loanword sounds (ti and di stay ち and ぢ, as in Kunrei)
+  tsa: 'つぁ', tsi: 'つぃ', tse: 'つぇ', tso: 'つぉ',
+  thi: 'てぃ', thu: 'てゅ', dhi: 'でぃ', dhu: 'でゅ', twu: 'とぅ', dwu: 'どぅ',
+  kwa: 'くぁ', gwa: 'ぐぁ'
+};
+
+const ROMAJI_VOWELS = 'aiueo';
+const ROMAJI_SYLLABLES = buildRomajiSyllables();
+const MAX_ROMAJI_SYLLABLE_LENGTH = 4;
+
+// Long vowels as written with a macron (Hepburn) or circumflex (Kunrei)
+const LONG_VOWELS = {
+  hepburn: { a: 'ā', i: 'ī', u: 'ū', e: 'ē', o: 'ō' },
+  kunrei: { a: 'â', i: 'î', u: 'û', e: 'ê', o: 'ô' }
+};
+
+// Typed long vowels -> the kana spelling they usually stand for
+const LONG_VOWEL_SPELLINGS = {
+  ā: 'aa', ī: 'ii', ū: 'uu', ē: 'ei', ō: 'ou',
+  â: 'aa', î: 'ii', û: 'uu', ê: 'ei', ô: 'ou'
+};
+
+const ROMAJI_PATTERN = /^[a-zāīūēōâîûêô' -]+$/i;
+
+function buildRomajiSyllables() {
+  const syllables = {};
+  Object.entries(ROMAJI_ROWS).forEach(([consonant, kana]) => {
+    [...ROMAJI_VOWELS].forEach((vowel, i) => {
+      syllables[consonant + vowel] = kana[i];
+    });
+  });
+  Object.entries(ROMAJI_CONTRACTIONS).forEach(([start, kana]) => {
+    syllables[start + 'a'] = kana + 'ゃ';
+    syllables[start + 'u'] = kana + 'ゅ';
+    syllables[start + 'o'] = kana + 'ょ';
+  });
+  return { ...syllables, ...ROMAJI_EXCEPTIONS };
+}
+
+/**
+ * KANA HELPERS
+ */
+
+// Katakana -> hiragana (on'yomi are stored in katakana)
+function katakanaToHiragana(text) {
+  return text.replace(/[ァ-ヶ]/g, char =>
+    String.fromCharCode(char.charCodeAt(0) - 0x60)
+  );
+}
+
+function hiraganaToKatakana(text) {
+  return text.replace(/[ぁ-ゖ]/g, char =>
+    String.fromCharCode(char.charCodeAt(0) + 0x60)
+  );
+}
+
+// Only romaji letters, long vowel marks, apostrophes, hyphens and spaces
+function isRomaji(text) {
+  return ROMAJI_PATTERN.test(text);
+}
+
+/**
+ * ROMAJI -> HIRAGANA
+ *
+ * Doubled consonants become a small tsu (gakkou -> がっこう, matcha ->
+ * まっちゃ). n becomes ん before a consonant, at the end, or when written
+ * n' or nn before a vowel (kan'i -> かんい, konnichiwa -> こんにちわ), and
+ * so does m before b, m or p (shimbun -> しんぶん). A hyphen is a long
+ * vowel mark (ー). Anything that isn't romaji is kept as it is, so
+ * callers can tell a complete conversion by the absence of latin letters.
+ */
+function romajiToHiragana(text) {
+  const input = text.toLowerCase().normalize('NFC')
+    .replace(/[āīūēōâîûêô]/g, vowel => LONG_VOWEL_SPELLINGS[vowel]);
+  let output = '';
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    const next = input[i + 1];
+
+    if (char === 'n' && !isRomajiVowelOrY(next)) {
+      output += 'ん';
+      // n' and a doubled n that isn't the start of na, ni, ... are one ん
+      i += next === "'" || (next === 'n' && !isRomajiVowelOrY(input[i + 2])) ? 2 : 1;
+      continue;
+    }
+    if (char === 'm' && /[bmp]/.test(next || '')) {
+      output += 'ん';
+      i++;
+      continue;
+    }
+    if (/[bcdfghjkmpqrstvwz]/.test(char) && (next === char || (char === 't' && next === 'c'))) {
+      output += 'っ';
+      i++;
+      continue;
+    }
+    if (char === '-') {
+      output += 'ー';
+      i++;
+      continue;
+    }
+
+    let length = MAX_ROMAJI_SYLLABLE_LENGTH;
+    while (length > 0 && !ROMAJI_SYLLABLES[input.slice(i, i + length)]) {
+      length--;
+    }
+    if (length > 0) {
+      output += ROMAJI_SYLLABLES[input.slice(i, i + length)];
+      i += length;
+    } else {
+      output += char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+function romajiToKatakana(text) {
+  return hiraganaToKatakana(romajiToHiragana(text));
+}
+
+function isRomajiVowelOrY(char) {
+  return Boolean(char) && (ROMAJI_VOWELS.includes(char) || char === 'y');
+}
+
+/**
+ * KANA -> ROMAJI
+ */
+
+// Hiragana -> Kunrei spelling, built from the romaji rows
+const KANA_ROMAJI = buildKanaRomaji();
+
+// Where Hepburn and Kunrei differ from the rows
+const KANA_SPELLINGS = {
+  hepburn: { し: 'shi', ち: 'chi', つ: 'tsu', ふ: 'fu', じ: 'ji', ぢ: 'ji', づ: 'zu' },
+  kunrei: { ぢ: 'zi', づ: 'zu' }
+};
+
+const SMALL_Y_KANA = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+const SMALL_VOWEL_KANA = { ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o' };
+
+// Kunrei has no f or ts, so ふぁ and つぁ keep the Hepburn consonant
+const SMALL_VOWEL_CONSONANTS = { ふ: 'f', つ: 'ts' };
+
+function buildKanaRomaji() {
+  const romaji = {};
+  ['', 'k', 'g', 's', 'z', 't', 'd', 'n', 'h', 'b', 'p', 'm', 'r'].forEach(consonant => {
+    ROMAJI_ROWS[consonant].forEach((kana, i) => {
+      romaji[kana] = consonant + ROMAJI_VOWELS[i];
+    });
+  });
+  return {
+    ...romaji,
+    や: 'ya', ゆ: 'yu', よ: 'yo', わ: 'wa', を: 'o', ゐ: 'i', ゑ: 'e', ゔ: 'vu',
+    ゎ: 'wa', ゕ: 'ka', ゖ: 'ke'
+  };
+}
+
+/**
+ * KANA -> ROMAJI
+ *
+ * Spells hiragana and katakana in 'hepburn' or 'kunrei' romaji:
+ * - Small ya, yu, yo contract (きょう -> kyou, しゃ -> sha / sya)
+ * - Small vowels spell loanword sounds (ファン -> fan in both systems,
+ *   チェ -> che / tye)
+ * - Small tsu doubles the next consonant (がっこう -> gakkou, まっちゃ ->
+ *   matcha / mattya); at the end of a word it is dropped
+ * - ん before a vowel or y is written n' (かんい -> kan'i)
+ * - ー lengthens the vowel before it (ラーメン -> rāmen / râmen), and so
+ *   do ou, oo and uu in katakana (コウ -> kō), where on'yomi are written.
+ *   In hiragana they stay as written, as おもう is omo + u, not omō.
+ * Anything else (kanji, KANJIDIC's . and - marks) is kept as it is.
+ */
+function kanaToRomaji(text, system = 'hepburn') {
+  const spellings = KANA_SPELLINGS[system] || KANA_SPELLINGS.hepburn;
+  const longVowels = LONG_VOWELS[system] || LONG_VOWELS.hepburn;
+
+  // Syllables as {kana, romaji, katakana}; small kana join the one before
+  const syllables = [];
+  [...text].forEach(char => {
+    const kana = katakanaToHiragana(char);
+    const previous = syllables[syllables.length - 1];
+    const previousRomaji = previous && previous.romaji;
+
+    const palatal = previousRomaji && previousRomaji.length > 1 && previousRomaji.endsWith('i');
+    if (SMALL_Y_KANA[kana] && palatal) {
+      const stem = previousRomaji.slice(0, -1);
+      // Hepburn sh, ch and j already carry the y sound: sha, cha, ja
+      previous.romaji = stem + (/(sh|ch|j)$/.test(stem) ? '' : 'y') + SMALL_Y_KANA[kana];
+    } else if (SMALL_VOWEL_KANA[kana] && previousRomaji && /[aiueo]$/.test(previousRomaji)) {
+      const vowel = SMALL_VOWEL_KANA[kana];
+      if (previousRomaji === 'u') {
+        previous.romaji = 'w' + vowel;        // うぃ -> wi
+      } else if (previousRomaji === 'i') {
+        previous.romaji = 'y' + vowel;        // いぇ -> ye
+      } else if (palatal && vowel !== 'i') {
+        // Like small ya, yu, yo: しぇ -> she / sye, ちぇ -> che / tye
+        const stem = previousRomaji.slice(0, -1);
+        previous.romaji = stem + (/(sh|ch|j)$/.test(stem) ? '' : 'y') + vowel;
+      } else {
+        const consonant = SMALL_VOWEL_CONSONANTS[previous.kana] || previousRomaji.slice(0, -1);
+        previous.romaji = consonant + vowel;  // ふぁ -> fa, てぃ -> ti
+      }
+    } else if (kana === 'っ' || kana === 'ん' || kana === 'ー') {
+      syllables.push({ kana, romaji: '', katakana: kana !== char });
+    } else {
+      // Small kana on their own read like the full-size ones
+      const romaji = spellings[kana] || KANA_ROMAJI[kana] || SMALL_VOWEL_KANA[kana] ||
+        (SMALL_Y_KANA[kana] && 'y' + SMALL_Y_KANA[kana]);
+      syllables.push(romaji
+        ? { kana, romaji, katakana: kana !== char }
+        : { kana: null, romaji: char, katakana: false });
+    }
+  });
+
+  let output = '';
+  syllables.forEach((syllable, i) => {
+    const next = syllables[i + 1];
+    const previous = syllables[i - 1];
+
+    if (syllable.kana === 'っ') {
+      if (next && next.kana && /^[bcdfghjkmpqrstvwz]/.test(next.romaji)) {
+        output += next.romaji.startsWith('ch') ? 't' : next.romaji[0];
+      }
+    } else if (syllable.kana === 'ん') {
+      output += next && next.kana && /^[aiueoy]/.test(next.romaji) ? "n'" : 'n';
+    } else if (syllable.kana === 'ー') {
+      output = lengthenLastVowel(output, longVowels);
+    } else if (syllable.katakana && previous && previous.katakana && previous.kana &&
+               (syllable.romaji === 'u' || syllable.romaji === 'o') &&
+               /[ou]$/.test(output) && (output.endsWith('o') || syllable.romaji === 'u')) {
+      output = lengthenLastVowel(output, longVowels);
+    } else {
+      output += syllable.romaji;
+    }
+  });
+
+  return output;
+}
+
+function lengthenLastVowel(romaji, longVowels) {
+  const vowel = romaji[romaji.length - 1];
+  return longVowels[vowel] ? romaji.slice(0, -1) + longVowels[vowel] : romaji;
+}
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./testing');
+
+loadScripts('kana.js');
+
+// [romaji as typed, hiragana]
+const ROMAJI = [
+  ['manabu', 'まなぶ'],
+  ['zya', 'じゃ'],                   // Kunrei
+  ['tyotto', 'ちょっと'],
+  ['gakkou', 'がっこう'],             // Doubled consonants
+  ['matcha', 'まっちゃ'],
+  ["kan'i", 'かんい'],                // n before vowels
+  ['konnichiwa', 'こんにちわ'],
+  ['shimbun', 'しんぶん'],
+  ['kō', 'こう'],                     // Long vowels
+  ['kô', 'こう'],
+  ['ra-men', 'らーめん'],
+  ['Tokyo', 'ときょ'],
+  ['xtsu', 'っ'],                     // Small kana, x or l
+  ['ltsu', 'っ'],
+  ['ltu', 'っ'],
+  ['la', 'ぁ'],
+  ['lya', 'ゃ'],
+  ['lwa', 'ゎ'],
+  ['lke', 'ゖ'],
+  ['fan', 'ふぁん'],                  // Loanword sounds
+  ['tsa', 'つぁ'],
+  ['thi', 'てぃ'],
+  ['dhi', 'でぃ'],
+  ['twu', 'とぅ'],
+  ['wi', 'うぃ'],
+  ['ye', 'いぇ'],
+  ['je', 'じぇ'],
+  ['che', 'ちぇ'],
+  ['va', 'ゔぁ'],
+  ['kwa', 'くぁ'],
+  ['ti', 'ち'],                       // Kunrei, not てぃ
+  ['kanji 漢字', 'かんじ 漢字']        // Anything else is kept
+];
+
+test('romajiToHiragana reads Hepburn, Kunrei and IME spellings', () => {
+  ROMAJI.forEach(([romaji, hiragana]) => {
+    assert.strictEqual(romajiToHiragana(romaji), hiragana, romaji);
+  });
+});
+
+test('romajiToKatakana writes the same kana in katakana', () => {
+  assert.strictEqual(romajiToKatakana('ka-do'), 'カード');
+  assert.strictEqual(romajiToKatakana('tsa'), 'ツァ');
+});
+
+// [kana, Hepburn, Kunrei]
+const READINGS = [
+  ['きょう', 'kyou', 'kyou'],
+  ['しゃ', 'sha', 'sya'],
+  ['じゃ', 'ja', 'zya'],
+  ['つ', 'tsu', 'tu'],
+  ['ふ', 'fu', 'hu'],
+  ['ぢ', 'ji', 'zi'],
+  ['しんぶん', 'shinbun', 'sinbun'],
+  ['がっこう', 'gakkou', 'gakkou'],
+  ['まっちゃ', 'matcha', 'mattya'],
+  ['あっ', 'a', 'a'],
+  ['かんい', "kan'i", "kan'i"],
+  ['ラーメン', 'rāmen', 'râmen'],
+  ['コウ', 'kō', 'kô'],
+  ['おもう', 'omou', 'omou'],           // Hiragana ou stays as written
+  ['ファン', 'fan', 'fan'],
+  ['ツァ', 'tsa', 'tsa'],
+  ['ちぇ', 'che', 'tye'],
+  ['ウィ', 'wi', 'wi'],
+  ['イェ', 'ye', 'ye'],
+  ['まな.ぶ', 'mana.bu', 'mana.bu'],    // KANJIDIC marks are kept
+  ['-か', '-ka', '-ka']
+];
+
+test('kanaToRomaji spells readings in Hepburn and Kunrei', () => {
+  READINGS.forEach(([kana, hepburn, kunrei]) => {
+    assert.strictEqual(kanaToRomaji(kana), hepburn, kana);
+    assert.strictEqual(kanaToRomaji(kana, 'kunrei'), kunrei, kana);
+  });
+});
+
+test('katakanaToHiragana and hiraganaToKatakana only change kana', () => {
+  assert.strictEqual(katakanaToHiragana('ニチ・ジツ'), 'にち・じつ');
+  assert.strictEqual(hiraganaToKatakana('まな.ぶ'), 'マナ.ブ');
+});
+
+test('isRomaji accepts romaji, long vowel marks and separators only', () => {
+  assert.ok(isRomaji("Kan'i kō-do"));
+  assert.ok(!isRomaji('かんじ'));
+  assert.ok(!isRomaji('kanji2'));
+});
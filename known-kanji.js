@@ -0,0 +1,84 @@
+/**
+ * KNOWN KANJI
+ *
+ * The kanji the user already knows, marked from result cards, imported
+ * from a list, or set in bulk up to a JLPT level or school grade. Page
+ * reports count them as covered, the kanji of the day skips them, and on
+ * pages they are left out of the unknown-kanji highlight and toned down
+ * in popups and furigana.
+ *
+ * Stored in chrome.storage.local under 'knownKanji' as an array of
+ * characters. Loaded into the background service worker (importScripts())
+ * and the content script (manifest); only the background writes it, the
+ * content script follows changes through chrome.storage.onChanged and the
+ * popup asks with getKnownKanji.
+ */
+
+const KNOWN_KANJI_STORAGE_KEY = 'knownKanji';
+
+// Known-kanji updates run one after another, like the deck's
+let knownKanjiUpdateQueue = Promise.resolve();
+
+// Stored value (array or missing) as a Set
+function toKnownKanjiSet(stored) {
+  return new Set(Array.isArray(stored) ? stored : []);
+}
+
+async function readKnownKanji() {
+  const result = await chrome.storage.local.get([KNOWN_KANJI_STORAGE_KEY]);
+  return toKnownKanjiSet(result[KNOWN_KANJI_STORAGE_KEY]);
+}
+
+// Runs update(set) on the stored kanji and saves them; resolves with
+// {added, count}: kanji added (negative when removed) and the new total
+function updateKnownKanji(update) {
+  const run = knownKanjiUpdateQueue.then(async () => {
+    const known = await readKnownKanji();
+    const before = known.size;
+    await update(known);
+    await chrome.storage.local.set({ [KNOWN_KANJI_STORAGE_KEY]: [...known] });
+    return { added: known.size - before, count: known.size };
+  });
+
+  knownKanjiUpdateQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * WRITERS (background only: they use the dictionary)
+ */
+
+// Marks characters known or not known; anything but kanji is ignored
+function setKanjiKnown(chars, known) {
+  return updateKnownKanji(set => {
+    chars.filter(char => getCharacterType(char) === 'kanji').forEach(char => {
+      if (known) {
+        set.add(char);
+      } else {
+        set.delete(char);
+      }
+    });
+  });
+}
+
+// Adds every kanji in a pasted or uploaded list, whatever separates them
+function importKnownKanji(text) {
+  return setKanjiKnown([...text], true);
+}
+
+// Adds every dictionary kanji at or below an old JLPT level (4 = easiest,
+// so jlpt 3 adds levels 4 and 3) or taught up to a school grade
+async function markKnownKanjiByLevel({ jlpt, grade }) {
+  const records = await getAllKanjiRecords();
+  const chars = records
+    .filter(record =>
+      (jlpt && record.jlpt && record.jlpt >= jlpt) ||
+      (grade && record.grade && record.grade <= grade)
+    )
+    .map(record => record.character);
+  return setKanjiKnown(chars, true);
+}
+
+function clearKnownKanji() {
+  return updateKnownKanji(set => set.clear());
+}
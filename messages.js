@@ -0,0 +1,397 @@
+/**
+ * MESSAGE PROTOCOL
+ *
+ * The one way the background service worker, content script and popup
+ * talk to each other. Loaded into all three contexts (importScripts() in
+ * background.js, the manifest content_scripts list, a <script> tag in
+ * popup.html), so both ends of every message share the same schemas.
+ *
+ * Request envelope:
+ * {
+ *   protocol: 'kanji-helper',
+ *   version: 1,
+ *   action: 'translateText',
+ *   payload: { text: '日本語' }
+ * }
+ *
+ * Response envelope:
+ * { protocol: 'kanji-helper', version: 1, ok: true, data: {...} }
+ * { protocol: 'kanji-helper', version: 1, ok: false, error: { code, message } }
+ *
+ * Payloads and response data are checked against MESSAGE_SCHEMAS on both
+ * sides. Failures reach the sender as a rejected promise with a
+ * MessageError instead of an undefined response.
+ */
+
+const MESSAGE_PROTOCOL = 'kanji-helper';
+const MESSAGE_PROTOCOL_VERSION = 1;
+
+/**
+ * MESSAGE SCHEMAS
+ *
+ * Field types: 'string', 'number', 'integer', 'boolean', 'object', 'array'
+ * or 'string[]'. A trailing '?' allows null/undefined. Fields not listed
+ * are rejected, so a typo fails loudly.
+ */
+const MESSAGE_SCHEMAS = {
+  // Content script / popup -> background: dictionary
+  translateText: {
+    // origin and source are recorded in the history (see history.js)
+    request: { text: 'string', origin: 'string?', source: 'object?' },
+    response: { originalText: 'string', words: 'array', translations: 'array', timestamp: 'string' }
+  },
+  lookupCharacter: {
+    request: { character: 'string' },
+    response: { entry: 'object?' }
+  },
+  lookupWord: {
+    request: { text: 'string' },
+    response: { word: 'object?' }
+  },
+  searchDictionary: {
+    // filters: {jlpt, grade, minStrokes, maxStrokes, radical}, see dictionary.js
+    request: { query: 'string', filters: 'object?', page: 'integer?', pageSize: 'integer?' },
+    response: { results: 'array', total: 'integer', page: 'integer', pageSize: 'integer' }
+  },
+  getRadicals: {
+    request: {},
+    response: { radicals: 'array' }  // [{radical, strokes}]
+  },
+  searchByRadicals: {
+    request: { radicals: 'string[]' },
+    response: { results: 'array', total: 'integer', available: 'string[]' }
+  },
+  getStrokeOrder: {
+    request: { character: 'string' },
+    response: { strokeOrder: 'object?' }  // {character, strokes, numbers}, see database.js
+  },
+  recognizeHandwriting: {
+    // strokes: [[[x, y], ...], ...] in drawing order, see handwriting.js
+    request: { strokes: 'array' },
+    response: { candidates: 'string[]' }
+  },
+  getExampleSentences: {
+    // type: 'word' (text in dictionary form) or 'kanji', see examples.js
+    request: { text: 'string', type: 'string', offset: 'integer?', limit: 'integer?' },
+    response: { sentences: 'array', total: 'integer' }  // [{id, japanese, english, segments}]
+  },
+  getFurigana: {
+    request: { texts: 'string[]', level: 'string' },
+    response: { annotations: 'array' }
+  },
+  speak: {
+    request: { text: 'string' },
+    response: { spoken: 'boolean' }
+  },
+  getVoices: {
+    request: {},
+    response: { voices: 'array' }
+  },
+
+  // Content script / popup -> background: settings and history
+  getSettings: {
+    request: {},
+    response: { settings: 'object' }
+  },
+  updateSettings: {
+    request: { changes: 'object' },
+    response: { settings: 'object' }
+  },
+  getHistory: {
+    request: {},
+    response: { history: 'array' }
+  },
+  clearHistory: {
+    request: {},
+    response: {}
+  },
+
+  // Content script / popup -> background: review deck
+  addToDeck: {
+    request: { card: 'object' },
+    response: { card: 'object', added: 'boolean' }
+  },
+  removeFromDeck: {
+    request: { id: 'string' },
+    response: { removed: 'boolean' }
+  },
+  reviewCard: {
+    request: { id: 'string', grade: 'integer' },
+    response: { card: 'object' }
+  },
+  getDueCards: {
+    request: {},
+    response: { cards: 'array', stats: 'object' }
+  },
+  getDeckCards: {
+    request: {},
+    response: { cards: 'array' }
+  },
+  getDeckStats: {
+    request: {},
+    response: { stats: 'object' }
+  },
+
+  // Content script / popup -> background: favorites
+  addFavorite: {
+    request: { favorite: 'object' },
+    response: { favorite: 'object', added: 'boolean' }
+  },
+  updateFavorite: {
+    request: { id: 'string', tags: 'string[]?', note: 'string?' },
+    response: { favorite: 'object' }
+  },
+  removeFavorite: {
+    request: { id: 'string' },
+    response: { removed: 'boolean' }
+  },
+  getFavorites: {
+    request: {},
+    response: { favorites: 'array' }
+  },
+
+  // Content script / popup -> background: known kanji (known-kanji.js)
+  getKnownKanji: {
+    request: {},
+    response: { kanji: 'string[]' }
+  },
+  setKanjiKnown: {
+    request: { kanji: 'string[]', known: 'boolean' },
+    response: { added: 'integer', count: 'integer' }
+  },
+  importKnownKanji: {
+    request: { text: 'string' },
+    response: { added: 'integer', count: 'integer' }
+  },
+  markKnownKanjiByLevel: {
+    // Old JLPT level (4 = easiest) or school grade to mark known up to
+    request: { jlpt: 'integer?', grade: 'integer?' },
+    response: { added: 'integer', count: 'integer' }
+  },
+  clearKnownKanji: {
+    request: {},
+    response: { added: 'integer', count: 'integer' }
+  },
+
+  getTabInfo: {
+    request: {},
+    response: { tabId: 'integer?' }
+  },
+
+  // Popup -> background: Home section
+  getKanjiOfTheDay: {
+    request: {},
+    response: { date: 'string', entry: 'object?', examples: 'array' }
+  },
+  analyzePage: {
+    // texts from collectPageText; report schema in page-analysis.js
+    request: { texts: 'string[]' },
+    response: { report: 'object' }
+  },
+
+  // Content script -> background -> popup: open a word in the extension popup
+  openInPopup: {
+    request: { text: 'string' },
+    response: {}
+  },
+  takePendingLookup: {
+    request: {},
+    response: { text: 'string?' }
+  },
+
+  // Background -> content script
+  showTranslation: {
+    request: { text: 'string' },
+    response: { text: 'string' }
+  },
+  toggleFurigana: {
+    request: {},
+    response: { enabled: 'boolean' }
+  },
+
+  // Popup -> content script
+  collectPageText: {
+    request: {},
+    response: { texts: 'string[]', truncated: 'boolean' }
+  }
+};
+
+/**
+ * MESSAGE ERRORS
+ *
+ * Codes: INVALID_MESSAGE, UNKNOWN_ACTION, VERSION_MISMATCH,
+ * HANDLER_FAILED, NO_RECEIVER, NO_RESPONSE
+ */
+class MessageError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MessageError';
+    this.code = code;
+  }
+}
+
+/**
+ * SCHEMA VALIDATION
+ */
+function matchesMessageType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'string[]': return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+// Throws a MessageError describing the first field that doesn't fit
+function validateMessageFields(fields, value, label) {
+  if (!matchesMessageType(value, 'object')) {
+    throw new MessageError('INVALID_MESSAGE', `${label} must be an object`);
+  }
+
+  Object.keys(value).forEach(key => {
+    if (!(key in fields)) {
+      throw new MessageError('INVALID_MESSAGE', `${label} has unknown field "${key}"`);
+    }
+  });
+
+  Object.entries(fields).forEach(([key, spec]) => {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const fieldValue = value[key];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (!optional) {
+        throw new MessageError('INVALID_MESSAGE', `${label} is missing "${key}"`);
+      }
+      return;
+    }
+    if (!matchesMessageType(fieldValue, type)) {
+      throw new MessageError('INVALID_MESSAGE', `${label} field "${key}" must be ${type}`);
+    }
+  });
+}
+
+function getMessageSchema(action) {
+  const schema = MESSAGE_SCHEMAS[action];
+  if (!schema) {
+    throw new MessageError('UNKNOWN_ACTION', `Unknown message action: ${action}`);
+  }
+  return schema;
+}
+
+function createErrorResponse(error) {
+  return {
+    protocol: MESSAGE_PROTOCOL,
+    version: MESSAGE_PROTOCOL_VERSION,
+    ok: false,
+    error: {
+      code: error instanceof MessageError ? error.code : 'HANDLER_FAILED',
+      message: error.message || String(error)
+    }
+  };
+}
+
+/**
+ * SENDING
+ *
+ * Validates the payload, sends the request and resolves with the
+ * validated response data
+ */
+async function deliverMessage(send, action, payload) {
+  const schema = getMessageSchema(action);
+  validateMessageFields(schema.request, payload, `${action} request`);
+
+  let response;
+  try {
+    response = await send({
+      protocol: MESSAGE_PROTOCOL,
+      version: MESSAGE_PROTOCOL_VERSION,
+      action,
+      payload
+    });
+  } catch (error) {
+    // No listener in the target context (e.g. content script not injected)
+    throw new MessageError('NO_RECEIVER', error.message);
+  }
+
+  if (!response || response.protocol !== MESSAGE_PROTOCOL) {
+    throw new MessageError('NO_RESPONSE', `No response to ${action}`);
+  }
+  if (!response.ok) {
+    throw new MessageError(response.error.code, response.error.message);
+  }
+
+  validateMessageFields(schema.response, response.data, `${action} response`);
+  return response.data;
+}
+
+// To the background service worker
+function sendRuntimeMessage(action, payload = {}) {
+  return deliverMessage(message => chrome.runtime.sendMessage(message), action, payload);
+}
+
+// To the content scripts of a tab; options.frameId picks one frame
+function sendTabMessage(tabId, action, payload = {}, options = {}) {
+  return deliverMessage(message => chrome.tabs.sendMessage(tabId, message, options), action, payload);
+}
+
+/**
+ * RECEIVING
+ *
+ * Registers handlers: { action: (payload, sender) => data or Promise }.
+ * Requests for actions without a handler are left to other listeners,
+ * unless replyToUnknown is set (the background answers those with an
+ * UNKNOWN_ACTION error so senders never wait on nothing).
+ */
+function listenForMessages(handlers, { replyToUnknown = false } = {}) {
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.protocol !== MESSAGE_PROTOCOL) {
+      return false;
+    }
+    if (!handlers[message.action] && !replyToUnknown) {
+      return false;
+    }
+
+    let schema;
+    try {
+      if (message.version !== MESSAGE_PROTOCOL_VERSION) {
+        throw new MessageError(
+          'VERSION_MISMATCH',
+          `Protocol version ${message.version} is not supported (expected ${MESSAGE_PROTOCOL_VERSION})`
+        );
+      }
+      schema = getMessageSchema(message.action);
+      if (!handlers[message.action]) {
+        throw new MessageError('UNKNOWN_ACTION', `No handler for ${message.action}`);
+      }
+      validateMessageFields(schema.request, message.payload, `${message.action} request`);
+    } catch (error) {
+      console.error('Rejected message:', error.message);
+      sendResponse(createErrorResponse(error));
+      return false;
+    }
+
+    Promise.resolve()
+      .then(() => handlers[message.action](message.payload, sender))
+      .then(data => {
+        validateMessageFields(schema.response, data, `${message.action} response`);
+        sendResponse({
+          protocol: MESSAGE_PROTOCOL,
+          version: MESSAGE_PROTOCOL_VERSION,
+          ok: true,
+          data
+        });
+      })
+      .catch(error => {
+        console.error(`${message.action} failed:`, error);
+        sendResponse(createErrorResponse(error));
+      });
+
+    // Keep the channel open for the asynchronous response
+    return true;
+  });
+}
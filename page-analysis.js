@@ -0,0 +1,160 @@
+/**
+ * PAGE ANALYSIS
+ *
+ * Difficulty report of a page's Japanese text for the popup's "Analyze
+ * this page" action (analyzePage message). Loaded into the background
+ * service worker with importScripts(); the popup gets the text from the
+ * page's content script (collectPageText) and passes it on.
+ *
+ * Kanji are counted by occurrence and bucketed by their KANJIDIC2 JLPT
+ * level and school grade. Words are found by the segmenter's longest
+ * match, counted by dictionary form, and bucketed by their hardest kanji.
+ * Known kanji are the user's known-kanji list (known-kanji.js).
+ *
+ * Report schema:
+ * {
+ *   kanji: { total, unique, known, coverage },  // coverage: % of occurrences that are known
+ *   words: { total, unique, kanaOnly },
+ *   jlpt: [{ level: 4, kanji, words }, ..., { level: null, kanji, words }],
+ *   grades: [{ grade: 1, kanji }, ..., { grade: null, kanji }],
+ *   estimatedLevel: 3,                           // Old JLPT level 4-1, or null if harder
+ *   unknownKanji: [{ ...entry, count, inDictionary }]  // Most frequent first
+ * }
+ */
+
+const PAGE_JLPT_LEVELS = [4, 3, 2, 1];                // Easiest first
+const PAGE_GRADES = [1, 2, 3, 4, 5, 6, 8];            // 8 = secondary school
+const PAGE_LEVEL_COVERAGE = 0.95;                     // Share of kanji occurrences a level must cover
+const PAGE_TOP_UNKNOWN_KANJI = 20;
+
+// Occurrences of each kanji in the texts: Map of character -> count
+function countKanji(texts) {
+  const counts = new Map();
+  texts.forEach(text => {
+    for (const char of text) {
+      if (getCharacterType(char) === 'kanji') {
+        counts.set(char, (counts.get(char) || 0) + 1);
+      }
+    }
+  });
+  return counts;
+}
+
+// Occurrences of each word, by dictionary form: Map of base form -> count
+async function countWords(texts) {
+  const { headwords, maxLength } = await getHeadwordIndex();
+  const counts = new Map();
+  texts.forEach(text => {
+    const chars = [...text];
+    let position = 0;
+    while (position < chars.length) {
+      const segment = findLongestMatch(chars, position, headwords, maxLength);
+      if (segment) {
+        const baseForm = segment.match.baseForm;
+        counts.set(baseForm, (counts.get(baseForm) || 0) + 1);
+        position = segment.end;
+      } else {
+        position++;
+      }
+    }
+  });
+  return counts;
+}
+
+// Hardest JLPT level among the word's kanji (1 is hardest), null if one
+// of them has no level, undefined for kana-only words
+function getWordLevel(word, records) {
+  const kanji = [...word].filter(char => getCharacterType(char) === 'kanji');
+  if (kanji.length === 0) {
+    return undefined;
+  }
+  const levels = kanji.map(char => (records.get(char) ? records.get(char).jlpt : null));
+  return levels.includes(null) ? null : Math.min(...levels);
+}
+
+/**
+ * ESTIMATED LEVEL
+ *
+ * The easiest JLPT level whose kanji, with those of the easier levels,
+ * make up PAGE_LEVEL_COVERAGE of the kanji on the page; null if even
+ * JLPT 1 falls short
+ */
+function estimateJlptLevel(jlptBuckets, totalKanji) {
+  let covered = 0;
+  for (const level of PAGE_JLPT_LEVELS) {
+    covered += jlptBuckets.get(level).occurrences;
+    if (covered >= totalKanji * PAGE_LEVEL_COVERAGE) {
+      return level;
+    }
+  }
+  return null;
+}
+
+/**
+ * ANALYZE
+ *
+ * Resolves with the report (see the schema above) for the page's texts
+ */
+async function analyzePageText(texts) {
+  const kanjiCounts = countKanji(texts);
+  const wordCounts = await countWords(texts);
+  const [records, known] = await Promise.all([
+    getKanjiRecords([...kanjiCounts.keys()]),
+    readKnownKanji()
+  ]);
+
+  const jlptBuckets = new Map([...PAGE_JLPT_LEVELS, null].map(level =>
+    [level, { level, kanji: 0, words: 0, occurrences: 0 }]
+  ));
+  const gradeBuckets = new Map([...PAGE_GRADES, null].map(grade => [grade, { grade, kanji: 0 }]));
+
+  let totalKanji = 0;
+  let knownOccurrences = 0;
+  const unknownKanji = [];
+  kanjiCounts.forEach((count, char) => {
+    const record = records.get(char);
+    const jlptBucket = jlptBuckets.get(record && jlptBuckets.has(record.jlpt) ? record.jlpt : null);
+    jlptBucket.kanji++;
+    jlptBucket.occurrences += count;
+    gradeBuckets.get(record && gradeBuckets.has(record.grade) ? record.grade : null).kanji++;
+
+    totalKanji += count;
+    if (known.has(char)) {
+      knownOccurrences += count;
+    } else {
+      // Kanji outside the bundled KANJIDIC2 subset are listed without details
+      const entry = record
+        ? toDictionaryEntry(record)
+        : { character: char, onyomi: [], kunyomi: [], meanings: [], type: 'kanji' };
+      unknownKanji.push({ ...entry, count, inDictionary: Boolean(record) });
+    }
+  });
+
+  let totalWords = 0;
+  let kanaOnly = 0;
+  wordCounts.forEach((count, word) => {
+    totalWords += count;
+    const level = getWordLevel(word, records);
+    if (level === undefined) {
+      kanaOnly++;
+    } else {
+      jlptBuckets.get(jlptBuckets.has(level) ? level : null).words++;
+    }
+  });
+
+  unknownKanji.sort((a, b) => b.count - a.count || (a.frequency || Infinity) - (b.frequency || Infinity));
+
+  return {
+    kanji: {
+      total: totalKanji,
+      unique: kanjiCounts.size,
+      known: kanjiCounts.size - unknownKanji.length,
+      coverage: totalKanji > 0 ? Math.round((knownOccurrences / totalKanji) * 100) : 0
+    },
+    words: { total: totalWords, unique: wordCounts.size, kanaOnly },
+    jlpt: [...jlptBuckets.values()].map(({ level, kanji, words }) => ({ level, kanji, words })),
+    grades: [...gradeBuckets.values()],
+    estimatedLevel: totalKanji > 0 ? estimateJlptLevel(jlptBuckets, totalKanji) : null,
+    unknownKanji: unknownKanji.slice(0, PAGE_TOP_UNKNOWN_KANJI)
+  };
+}
@@ -2,19 +2,71 @@
  * POPUP SCRIPT - MAIN INTERFACE CONTROLLER
  * 
  * This is the main JavaScript file for the Kanji Helper popup interface.
- * It manages a 5-section interactive popup with navigation, translation,
- * search, history, and settings functionality.
+ * It manages a 7-section interactive popup with navigation, translation,
+ * search, favorites, review, history, and settings functionality.
  * 
  * Key Features:
  * - Class-based architecture for organization
  * - Section navigation system
  * - Real-time kanji translation
  * - Search through built-in dictionary
+ * - Favorites with tags and notes, synced across browsers
  * - Translation history with persistence
+ * - Kanji of the Day on the Home section
+ * - Spaced-repetition review of saved words and kanji
+ * - Anki export (TSV and .apkg, see anki-export.js)
  * - User settings with local storage
  * - Modern UI with loading states and animations
  */
 
+/**
+ * REVIEW GRADES
+ * 
+ * Buttons shown when reviewing, mapped to SM-2 quality 0-5 (see deck.js)
+ */
+const REVIEW_GRADES = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+/**
+ * HISTORY ORIGINS
+ *
+ * Where a history entry was looked up (see history.js)
+ */
+const HISTORY_ORIGIN_LABELS = {
+    popup: '⌨️ Popup',
+    contextMenu: '🖱️ Right-click',
+    hover: '👆 Hover'
+};
+
+/**
+ * SEARCH FILTERS
+ *
+ * Filter of searchDictionary() (dictionary.js) -> control in the Search section
+ */
+const SEARCH_FILTER_INPUTS = {
+    jlpt: 'searchJlptSelect',
+    grade: 'searchGradeSelect',
+    minStrokes: 'searchMinStrokesInput',
+    maxStrokes: 'searchMaxStrokesInput',
+    radical: 'searchRadicalSelect'
+};
+
+/**
+ * FAVORITE SORT ORDERS
+ *
+ * Options of the Favorites sort menu (favorites come from favorites.js)
+ */
+const FAVORITE_SORTS = {
+    newest: (a, b) => b.addedAt.localeCompare(a.addedAt),
+    oldest: (a, b) => a.addedAt.localeCompare(b.addedAt),
+    front: (a, b) => a.front.localeCompare(b.front, 'ja'),
+    reading: (a, b) => (a.reading || a.front).localeCompare(b.reading || b.front, 'ja')
+};
+
 /**
  * MAIN POPUP CLASS
  * 
@@ -28,13 +80,46 @@ class KanjiHelperPopup {
         
         // Array to store translation history
         this.translationHistory = [];
+
+        // Incremented per search so stale responses can be ignored
+        this.searchRequestId = 0;
+        this.searchPage = 0;
+
+        // Radical picker: [{radical, strokes}] once loaded, and the picked ones
+        this.radicals = null;
+        this.selectedRadicals = [];
+        this.radicalRequestId = 0;
+
+        // Handwriting: strokes drawn so far, each a list of [x, y] points
+        this.handwritingStrokes = [];
+        this.handwritingRequestId = 0;
+
+        // Deck cards behind the "+ Study" and ☆ buttons of the latest results
+        this.studyCards = [];
+
+        // Today's pick for the Home section: {date, entry, examples} (daily-kanji.js)
+        this.dailyKanji = null;
+
+        // Kanji marked known (known-kanji.js), for the Known buttons
+        this.knownKanji = new Set();
+
+        // Unknown kanji of the last page report: study cards for "+ Study
+        // all" and the characters for "Mark all known"
+        this.pageReportKanji = [];
+        this.pageReportUnknown = [];
+
+        // Starred words and kanji (favorites.js), and their ids for the ☆ buttons
+        this.favorites = [];
+        this.favoriteIds = new Set();
+
+        // Review session: due cards still to review, and whether the
+        // answer of the current one is showing
+        this.reviewQueue = [];
+        this.reviewedCount = 0;
+        this.answerShown = false;
         
-        // User settings with defaults
-        this.settings = {
-            autoHide: true,        // Auto-hide webpage popups
-            showReadings: true,    // Show kanji readings in results
-            showMeanings: true     // Show kanji meanings in results
-        };
+        // User settings, defaults until the saved ones load (settings.js)
+        this.settings = { ...DEFAULT_SETTINGS };
         
         // Start the popup initialization process
         this.initializePopup();
@@ -45,7 +130,7 @@ class KanjiHelperPopup {
      * 
      * Sets up the popup when it first loads:
      * 1. Load saved settings from storage
-     * 2. Load translation history from storage
+     * 2. Load translation history and favorites
      * 3. Set up all event listeners
      * 4. Initialize the home section
      * 5. Start the real-time clock
@@ -53,9 +138,13 @@ class KanjiHelperPopup {
     async initializePopup() {
         await this.loadSettings();
         await this.loadTranslationHistory();
+        await this.loadFavorites();
+        await this.loadKnownKanji();
         this.setupEventListeners();
         this.updateDateTime();
         this.showSection('Home');
+        this.loadDeckStats();
+        this.openPendingLookup();
         
         // Update the clock display every second
         setInterval(() => this.updateDateTime(), 1000);
@@ -78,11 +167,47 @@ class KanjiHelperPopup {
         });
 
         // HOME SECTION
-        // "Learn More" button on home page
+        // "Learn More" translates the kanji of the day, with its example words
         const learnMoreBtn = document.getElementById('learnMoreBtn');
         if (learnMoreBtn) {
             learnMoreBtn.addEventListener('click', () => {
-                this.showSection('Translation');
+                if (!this.dailyKanji) {
+                    this.showSection('Translation');
+                    return;
+                }
+                const text = [this.dailyKanji.entry.character, ...this.dailyKanji.examples.map(example => example.text)].join('、');
+                this.fillTranslationInput(text);
+                this.translateText(text);
+            });
+        }
+
+        // "Review Now" button under the due counts
+        const reviewNowBtn = document.getElementById('reviewNowBtn');
+        if (reviewNowBtn) {
+            reviewNowBtn.addEventListener('click', () => {
+                this.showSection('Review');
+            });
+        }
+
+        // Page difficulty report: clicking an unknown kanji translates it
+        const analyzePageBtn = document.getElementById('analyzePageBtn');
+        if (analyzePageBtn) {
+            analyzePageBtn.addEventListener('click', () => {
+                this.analyzePage();
+            });
+        }
+
+        const pageReport = document.getElementById('pageReport');
+        if (pageReport) {
+            pageReport.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-fill-text]');
+                if (item) {
+                    this.fillTranslationInput(item.dataset.fillText);
+                } else if (e.target.closest('#pageReportStudyBtn')) {
+                    this.studyPageReportKanji(e.target.closest('#pageReportStudyBtn'));
+                } else if (e.target.closest('#pageReportKnownBtn')) {
+                    this.markPageReportKnown(e.target.closest('#pageReportKnownBtn'));
+                }
             });
         }
 
@@ -124,7 +249,7 @@ class KanjiHelperPopup {
         }
 
         // SEARCH SECTION
-        // Live search as user types
+        // Live search as user types, or changes a filter
         const searchInput = document.getElementById('searchInput');
         if (searchInput) {
             searchInput.addEventListener('input', (e) => {
@@ -132,6 +257,173 @@ class KanjiHelperPopup {
             });
         }
 
+        this.renderRadicalOptions();
+        Object.values(SEARCH_FILTER_INPUTS).forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => {
+                    this.searchKanji(searchInput ? searchInput.value : '');
+                });
+            }
+        });
+
+        const searchPrevBtn = document.getElementById('searchPrevBtn');
+        const searchNextBtn = document.getElementById('searchNextBtn');
+        if (searchPrevBtn && searchNextBtn) {
+            searchPrevBtn.addEventListener('click', () => {
+                this.searchKanji(searchInput ? searchInput.value : '', this.searchPage - 1);
+            });
+            searchNextBtn.addEventListener('click', () => {
+                this.searchKanji(searchInput ? searchInput.value : '', this.searchPage + 1);
+            });
+        }
+
+        // Clicking a result translates it (no inline onclick: the extension CSP blocks those)
+        const searchResults = document.getElementById('searchResults');
+        if (searchResults) {
+            searchResults.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-fill-text]');
+                if (item && !e.target.closest('button')) {
+                    this.fillTranslationInput(item.dataset.fillText);
+                }
+            });
+        }
+
+        // Text search or radical picker
+        document.querySelectorAll('[data-search-mode]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.showSearchMode(button.dataset.searchMode);
+            });
+        });
+
+        const radicalGrid = document.getElementById('radicalGrid');
+        if (radicalGrid) {
+            radicalGrid.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-radical]');
+                if (button && !button.disabled) {
+                    this.toggleRadical(button.dataset.radical);
+                }
+            });
+        }
+
+        const radicalClearBtn = document.getElementById('radicalClearBtn');
+        if (radicalClearBtn) {
+            radicalClearBtn.addEventListener('click', () => {
+                this.selectedRadicals = [];
+                this.searchByRadicals();
+            });
+        }
+
+        const radicalResults = document.getElementById('radicalResults');
+        if (radicalResults) {
+            radicalResults.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-fill-text]');
+                if (item) {
+                    this.fillTranslationInput(item.dataset.fillText);
+                }
+            });
+        }
+
+        // Handwriting: draw, then pick one of the candidates
+        this.setupHandwritingCanvas();
+
+        const handwritingCandidates = document.getElementById('handwritingCandidates');
+        if (handwritingCandidates) {
+            handwritingCandidates.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-fill-text]');
+                if (item) {
+                    this.fillTranslationInput(item.dataset.fillText);
+                }
+            });
+        }
+
+        const handwritingUndoBtn = document.getElementById('handwritingUndoBtn');
+        if (handwritingUndoBtn) {
+            handwritingUndoBtn.addEventListener('click', () => {
+                this.handwritingStrokes.pop();
+                this.drawHandwriting();
+                this.recognizeHandwriting();
+            });
+        }
+
+        const handwritingClearBtn = document.getElementById('handwritingClearBtn');
+        if (handwritingClearBtn) {
+            handwritingClearBtn.addEventListener('click', () => {
+                this.handwritingStrokes = [];
+                this.drawHandwriting();
+                this.recognizeHandwriting();
+            });
+        }
+
+        // FAVORITES SECTION
+        // Filter and sort controls redraw the list
+        ['favoritesFilterInput', 'favoritesTagSelect', 'favoritesTypeSelect', 'favoritesSortSelect'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener(control.tagName === 'INPUT' ? 'input' : 'change', () => {
+                    this.displayFavorites();
+                });
+            }
+        });
+
+        // Favorite cards are re-rendered on every change, so listen on the list
+        const favoritesResults = document.getElementById('favoritesResults');
+        if (favoritesResults) {
+            favoritesResults.addEventListener('click', (e) => {
+                const favoriteElement = e.target.closest('[data-favorite-id]');
+                if (!favoriteElement) return;
+                const id = favoriteElement.dataset.favoriteId;
+
+                if (e.target.closest('[data-favorite-action="remove"]')) {
+                    this.removeFavorite(id);
+                } else if (e.target.closest('[data-favorite-action="open"]')) {
+                    const favorite = this.favorites.find(item => item.id === id);
+                    this.fillTranslationInput(favorite.front);
+                } else if (e.target.closest('[data-favorite-tag]')) {
+                    this.filterFavoritesByTag(e.target.closest('[data-favorite-tag]').dataset.favoriteTag);
+                }
+            });
+            favoritesResults.addEventListener('change', (e) => {
+                const favoriteElement = e.target.closest('[data-favorite-id]');
+                if (!favoriteElement) return;
+                const id = favoriteElement.dataset.favoriteId;
+
+                if (e.target.matches('[data-favorite-field="tags"]')) {
+                    this.updateFavorite(id, { tags: e.target.value.split(',') });
+                } else if (e.target.matches('[data-favorite-field="note"]')) {
+                    this.updateFavorite(id, { note: e.target.value });
+                }
+            });
+        }
+
+        // REVIEW SECTION
+        // Show answer / grade buttons are re-rendered per card, so listen on the container
+        const reviewCard = document.getElementById('reviewCard');
+        if (reviewCard) {
+            reviewCard.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-review-action]');
+                if (!button) return;
+                if (button.dataset.reviewAction === 'show') {
+                    this.showReviewAnswer();
+                } else {
+                    this.gradeReviewCard(button.dataset.reviewAction);
+                }
+            });
+        }
+
+        // Keyboard: Space shows the answer, 1-4 grade it
+        document.addEventListener('keydown', (e) => {
+            if (this.currentSection !== 'Review' || this.reviewQueue.length === 0) return;
+            if (e.target.matches('input, textarea, select')) return;
+
+            if (e.key === ' ' && !this.answerShown) {
+                e.preventDefault();
+                this.showReviewAnswer();
+            } else if (this.answerShown && ['1', '2', '3', '4'].includes(e.key)) {
+                this.gradeReviewCard(Object.keys(REVIEW_GRADES)[Number(e.key) - 1]);
+            }
+        });
+
         // HISTORY SECTION
         // Clear all translation history
         const clearHistoryBtn = document.getElementById('clearHistoryBtn');
@@ -141,11 +433,52 @@ class KanjiHelperPopup {
             });
         }
 
+        // Export to Anki
+        this.renderAnkiFieldMapping();
+
+        const ankiFieldMapping = document.getElementById('ankiFieldMapping');
+        if (ankiFieldMapping) {
+            ankiFieldMapping.addEventListener('change', () => {
+                this.settings.ankiFieldMapping = Object.keys(ANKI_EXPORT_FIELDS)
+                    .filter(field => ankiFieldMapping.querySelector(`[data-anki-field="${field}"]`).checked)
+                    .map(field => ({
+                        field,
+                        name: ankiFieldMapping.querySelector(`[data-anki-field-name="${field}"]`).value.trim()
+                    }));
+                this.saveSettings();
+            });
+        }
+
+        const ankiSkipExportedToggle = document.getElementById('ankiSkipExportedToggle');
+        if (ankiSkipExportedToggle) {
+            ankiSkipExportedToggle.checked = this.settings.ankiSkipExported;
+            ankiSkipExportedToggle.addEventListener('change', (e) => {
+                this.settings.ankiSkipExported = e.target.checked;
+                this.saveSettings();
+            });
+        }
+
+        const ankiExportBtn = document.getElementById('ankiExportBtn');
+        if (ankiExportBtn) {
+            ankiExportBtn.addEventListener('click', () => {
+                this.exportToAnki();
+            });
+        }
+
         // SETTINGS SECTION
         // Toggle switches for user preferences
         const autoHideToggle = document.getElementById('autoHideToggle');
         const showReadingsToggle = document.getElementById('showReadingsToggle');
         const showMeaningsToggle = document.getElementById('showMeaningsToggle');
+        const hoverModeToggle = document.getElementById('hoverModeToggle');
+        const furiganaLevelSelect = document.getElementById('furiganaLevelSelect');
+
+        // Webpage popup look and behavior, applied to open popups right away
+        this.bindNumberSetting('autoHideDelayInput', 'autoHideDelay');
+        this.bindNumberSetting('maxCardsInput', 'maxCards');
+        this.bindSelectSetting('fontSizeSelect', 'fontSize');
+        this.bindSelectSetting('themeSelect', 'theme');
+        this.bindSelectSetting('romajiReadingsSelect', 'romajiReadings');
 
         // Auto-hide webpage popups setting
         if (autoHideToggle) {
@@ -173,13 +506,171 @@ class KanjiHelperPopup {
                 this.saveSettings();
             });
         }
+
+        // Hover-to-lookup mode (also toggled with Alt+Shift+K on a page)
+        if (hoverModeToggle) {
+            hoverModeToggle.checked = this.settings.hoverMode;
+            hoverModeToggle.addEventListener('change', (e) => {
+                this.settings.hoverMode = e.target.checked;
+                this.saveSettings();
+            });
+        }
+
+        // Saves send every setting, so settings written elsewhere (hover
+        // mode from its shortcut) must replace the cached copy first
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[SETTINGS_STORAGE_KEY]) {
+                this.settings = withDefaultSettings(changes[SETTINGS_STORAGE_KEY].newValue);
+                if (hoverModeToggle) {
+                    hoverModeToggle.checked = this.settings.hoverMode;
+                }
+            }
+        });
+
+        // Which kanji the furigana overlay (Alt+Shift+F) annotates
+        if (furiganaLevelSelect) {
+            furiganaLevelSelect.value = this.settings.furiganaLevel;
+            furiganaLevelSelect.addEventListener('change', (e) => {
+                this.settings.furiganaLevel = e.target.value;
+                this.saveSettings();
+            });
+        }
+
+        // KNOWN KANJI
+        const highlightUnknownKanjiToggle = document.getElementById('highlightUnknownKanjiToggle');
+        if (highlightUnknownKanjiToggle) {
+            highlightUnknownKanjiToggle.checked = this.settings.highlightUnknownKanji;
+            highlightUnknownKanjiToggle.addEventListener('change', (e) => {
+                this.settings.highlightUnknownKanji = e.target.checked;
+                this.saveSettings();
+            });
+        }
+
+        // Bulk: everything up to a JLPT level ('jlpt-3') or grade ('grade-6')
+        const knownLevelBtn = document.getElementById('knownLevelBtn');
+        if (knownLevelBtn) {
+            knownLevelBtn.addEventListener('click', () => {
+                const [kind, value] = document.getElementById('knownLevelSelect').value.split('-');
+                this.updateKnownKanji('markKnownKanjiByLevel', { [kind]: Number(value) });
+            });
+        }
+
+        const knownImportInput = document.getElementById('knownImportInput');
+        const knownImportBtn = document.getElementById('knownImportBtn');
+        if (knownImportInput && knownImportBtn) {
+            knownImportBtn.addEventListener('click', async () => {
+                if (await this.updateKnownKanji('importKnownKanji', { text: knownImportInput.value })) {
+                    knownImportInput.value = '';
+                }
+            });
+        }
+
+        const knownImportFile = document.getElementById('knownImportFile');
+        if (knownImportFile) {
+            knownImportFile.addEventListener('change', async () => {
+                const [file] = knownImportFile.files;
+                if (!file) return;
+                this.updateKnownKanji('importKnownKanji', { text: await file.text() });
+                knownImportFile.value = '';
+            });
+        }
+
+        const knownClearBtn = document.getElementById('knownClearBtn');
+        if (knownClearBtn) {
+            knownClearBtn.addEventListener('click', () => {
+                this.updateKnownKanji('clearKnownKanji');
+            });
+        }
+
+        // Kanji of the day: target level (a new pick right away) and notification
+        const dailyKanjiLevelSelect = document.getElementById('dailyKanjiLevelSelect');
+        if (dailyKanjiLevelSelect) {
+            dailyKanjiLevelSelect.value = this.settings.dailyKanjiLevel;
+            dailyKanjiLevelSelect.addEventListener('change', async (e) => {
+                this.settings.dailyKanjiLevel = Number(e.target.value);
+                await this.saveSettings();
+                this.loadKanjiOfTheDay();
+            });
+        }
+
+        const dailyKanjiNotificationToggle = document.getElementById('dailyKanjiNotificationToggle');
+        if (dailyKanjiNotificationToggle) {
+            dailyKanjiNotificationToggle.checked = this.settings.dailyKanjiNotification;
+            dailyKanjiNotificationToggle.addEventListener('change', (e) => {
+                this.settings.dailyKanjiNotification = e.target.checked;
+                this.saveSettings();
+            });
+        }
+
+        // Text-to-speech voice, speed and reading lookups aloud
+        this.bindSelectSetting('speechVoiceSelect', 'speechVoice');
+        this.bindNumberSetting('speechRateInput', 'speechRate');
+        this.loadSpeechVoices();
+
+        const speakOnLookupToggle = document.getElementById('speakOnLookupToggle');
+        if (speakOnLookupToggle) {
+            speakOnLookupToggle.checked = this.settings.speakOnLookup;
+            speakOnLookupToggle.addEventListener('change', (e) => {
+                this.settings.speakOnLookup = e.target.checked;
+                this.saveSettings();
+            });
+        }
+
+        // STROKE ORDER DIALOG
+        // Esc closes it too (native <dialog>); the viewer stops once removed
+        const strokeOrderDialog = document.getElementById('strokeOrderDialog');
+        const strokeOrderCloseBtn = document.getElementById('strokeOrderCloseBtn');
+        if (strokeOrderDialog && strokeOrderCloseBtn) {
+            strokeOrderCloseBtn.addEventListener('click', () => {
+                strokeOrderDialog.close();
+            });
+            strokeOrderDialog.addEventListener('close', () => {
+                document.getElementById('strokeOrderViewer').innerHTML = '';
+            });
+        }
+    }
+
+    /**
+     * SETTING INPUTS
+     * 
+     * Show a setting in its input and save it when the input changes.
+     * Numbers outside SETTING_RANGES (settings.js) are clamped.
+     * 
+     * @param {string} id - Input or select element id
+     * @param {string} key - Setting name
+     */
+    bindNumberSetting(id, key) {
+        const input = document.getElementById(id);
+        if (!input) return;
+
+        input.value = this.settings[key];
+        input.addEventListener('change', (e) => {
+            const { min, max } = SETTING_RANGES[key];
+            const value = parseInt(e.target.value, 10);
+            this.settings[key] = Number.isNaN(value)
+                ? this.settings[key]
+                : Math.min(max, Math.max(min, value));
+            input.value = this.settings[key];
+            this.saveSettings();
+        });
+    }
+
+    bindSelectSetting(id, key) {
+        const select = document.getElementById(id);
+        if (!select) return;
+
+        select.value = this.settings[key];
+        select.addEventListener('change', (e) => {
+            this.settings[key] = e.target.value;
+            this.saveSettings();
+        });
     }
 
     /**
      * SECTION NAVIGATION SYSTEM
      * 
-     * Handles switching between the 5 main sections:
-     * Home, Search, Translation, History, Settings
+     * Handles switching between the 7 main sections:
+     * Home, Search, Favorites, Translation, Review, History, Settings
      * 
      * @param {string} sectionName - The name of the section to show
      */
@@ -208,8 +699,17 @@ class KanjiHelperPopup {
         }
 
         // Load section-specific content when needed
-        if (sectionName === 'History') {
-            this.displayHistory();
+        if (sectionName === 'Favorites') {
+            // Stars may have changed on pages or in other browsers
+            this.loadFavorites().then(() => this.displayFavorites());
+        } else if (sectionName === 'History') {
+            // Pages may have added lookups since the popup opened
+            this.loadTranslationHistory().then(() => this.displayHistory());
+        } else if (sectionName === 'Review') {
+            this.startReview();
+        } else if (sectionName === 'Home') {
+            this.loadDeckStats();
+            this.loadKanjiOfTheDay();
         }
     }
 
@@ -241,15 +741,16 @@ class KanjiHelperPopup {
 
         try {
             // Send text to background script for processing
-            const response = await this.sendMessage({ action: 'translateText', text });
+            // The background also records it in the history
+            const response = await this.sendMessage('translateText', { text, origin: 'popup' });
             
-            if (response && response.translations) {
-                // Display successful translation results
-                this.displayTranslationResults(response, resultsDiv);
-                // Save to history for later reference
-                this.saveTranslationToHistory(response);
-            } else {
-                throw new Error('No translation received');
+            // Display successful translation results
+            this.displayTranslationResults(response, resultsDiv);
+            this.loadTranslationHistory();
+
+            if (this.settings.speakOnLookup && response.translations.length > 0) {
+                const firstWord = response.words[0];
+                this.speakText(firstWord ? firstWord.entries[0].reading : text, resultsDiv);
             }
         } catch (error) {
             console.error('Translation error:', error);
@@ -276,27 +777,50 @@ class KanjiHelperPopup {
      * @param {HTMLElement} container - DOM element to display results in
      */
     displayTranslationResults(result, container) {
+        this.studyCards = [];
+
         // Header showing original text
         let html = `
             <div class="bg-gray-800 bg-opacity-50 p-4 rounded-lg border border-teal-500 mb-4">
                 <div class="text-sm text-gray-400 mb-2">Original Text:</div>
-                <div class="text-2xl font-bold text-center text-teal-300">${result.originalText}</div>
+                <div class="text-2xl font-bold text-center text-teal-300">${this.escapeHtml(result.originalText)}</div>
             </div>
         `;
 
+        // Word cards (longest dictionary matches)
+        if (result.words && result.words.length > 0) {
+            html += `<div class="text-sm text-gray-400 mb-2">Words:</div>`;
+            result.words.forEach(word => {
+                html += this.renderWordCard(word, { sentence: result.originalText });
+            });
+            html += `<div class="text-sm text-gray-400 mt-4 mb-2">Characters:</div>`;
+        }
+
         // Individual character cards
         if (result.translations && result.translations.length > 0) {
             result.translations.forEach(trans => {
                 html += `
                     <div class="translation-char">
                         <div class="flex items-center gap-4">
-                            <div class="character-display">${trans.character}</div>
+                            <div class="character-display">${this.escapeHtml(trans.character)}</div>
                             <div class="character-info">
                                 <div class="character-type">${trans.type.toUpperCase()}</div>
-                                ${trans.readings && trans.readings.length > 0 ? 
-                                    `<div class="character-readings">${trans.readings.join(', ')}</div>` : ''
+                                ${this.formatReadings(trans) ? 
+                                    `<div class="character-readings">${this.formatReadings(trans)}</div>` : ''
+                                }
+                                ${this.renderRomaji(this.formatReadings(trans))}
+                                <div class="character-meanings">${this.escapeHtml(trans.meanings.join(', '))}</div>
+                                ${this.formatKanjiDetails(trans) ? 
+                                    `<div class="text-xs text-gray-400">${this.formatKanjiDetails(trans)}</div>` : ''
+                                }
+                                ${this.formatReadings(trans) ? this.renderSpeakButton(this.getSpokenReadings(trans)) : ''}
+                                ${this.renderStrokeOrderButton(trans)}
+                                ${this.renderKnownButton(trans)}
+                                ${trans.inDictionary && trans.type === 'kanji' ? this.renderExamplesButton(trans.character, 'kanji') : ''}
+                                ${trans.inDictionary ? 
+                                    this.renderFavoriteButton(this.toKanjiStudyCard(trans, { sentence: result.originalText })) +
+                                    this.renderStudyButton(this.toKanjiStudyCard(trans, { sentence: result.originalText })) : ''
                                 }
-                                <div class="character-meanings">${trans.meanings.join(', ')}</div>
                             </div>
                         </div>
                     </div>
@@ -313,79 +837,552 @@ class KanjiHelperPopup {
         }
 
         container.innerHTML = html;
+        this.bindStudyButtons(container);
+        this.bindSpeakButtons(container);
+        this.bindStrokeOrderButtons(container);
+        this.bindKnownButtons(container);
+        this.bindExamplesButtons(container);
+        this.bindFavoriteButtons(container);
     }
 
     /**
-     * CLEAR TRANSLATION RESULTS
+     * WORD CARD RENDERER
      * 
-     * Removes all translation results from the display area
+     * Creates the HTML for one segmented word: the word as written,
+     * its kana reading, the conjugation it was found through (if any),
+     * and numbered senses with part-of-speech tags
+     * 
+     * @param {Object} word - Segment {text, start, end, entries} from the background
+     * @param {Object} source - {sentence} the word was found in (saved with study cards)
+     * @returns {string} HTML for the word card
      */
-    clearTranslationResults() {
-        const resultsDiv = document.getElementById('translationResults');
-        if (resultsDiv) {
-            resultsDiv.innerHTML = '';
-        }
+    renderWordCard(word, source) {
+        const entry = word.entries[0];
+        const senses = word.entries.flatMap(wordEntry => wordEntry.senses);
+
+        return `
+            <div class="translation-char">
+                <div class="flex items-baseline gap-3 mb-1">
+                    <div class="text-2xl font-bold text-teal-300">${this.escapeHtml(word.text)}</div>
+                    ${entry.reading && entry.reading !== word.text ? 
+                        `<div class="character-readings text-yellow-400">${this.escapeHtml(entry.reading)}</div>` : ''
+                    }
+                    ${this.renderSpeakButton(entry.reading || word.text)}
+                </div>
+                ${this.renderRomaji(entry.reading || word.text, 'mb-1')}
+                ${word.inflection ? 
+                    `<div class="text-xs text-teal-300 mb-1">${this.escapeHtml(word.inflection.description)}</div>` : ''
+                }
+                ${senses.map((sense, index) => `
+                    <div class="text-sm text-gray-300">
+                        ${senses.length > 1 ? `${index + 1}. ` : ''}<span class="text-xs italic text-gray-400">${this.escapeHtml(sense.partOfSpeech.join(', '))}</span>
+                        ${this.escapeHtml(sense.glosses.join('; '))}
+                    </div>
+                `).join('')}
+                ${this.renderExamplesButton(entry.kanji[0] || entry.reading, 'word')}
+                ${this.renderFavoriteButton(this.toWordStudyCard(word, source))}
+                ${this.renderStudyButton(this.toWordStudyCard(word, source))}
+            </div>
+        `;
     }
 
     /**
-     * TRANSLATION HISTORY MANAGEMENT
+     * STUDY BUTTONS
      * 
-     * Saves a translation result to the history array and persists to storage.
-     * Maintains a maximum of 50 entries to prevent unlimited growth.
+     * "+ Study" buttons add a word or kanji to the review deck kept by the
+     * background (deck.js). The card data waits in this.studyCards until
+     * bindStudyButtons() hooks the rendered buttons up.
      * 
-     * @param {Object} result - Translation result to save
+     * @param {Object} studyCard - {type, front, reading, meaning, source}
+     * @returns {string} HTML for the button
      */
-    async saveTranslationToHistory(result) {
-        const historyEntry = {
-            originalText: result.originalText,
-            translations: result.translations,
-            timestamp: new Date().toISOString(),
-            id: Date.now() // Simple unique ID
-        };
+    renderStudyButton(studyCard) {
+        const index = this.studyCards.push(studyCard) - 1;
+        return `
+            <button class="study-btn mt-2 text-xs bg-teal-700 hover:bg-teal-500 text-white py-1 px-2 rounded transition-colors"
+                    data-study-index="${index}" title="Add to review deck">+ Study</button>
+        `;
+    }
 
-        // Add to beginning of array (most recent first)
-        this.translationHistory.unshift(historyEntry);
-        
-        // Keep only the 50 most recent translations
-        if (this.translationHistory.length > 50) {
-            this.translationHistory = this.translationHistory.slice(0, 50);
+    bindStudyButtons(container) {
+        // Each render starts a new array, so keep the one these buttons index into
+        const studyCards = this.studyCards;
+        container.querySelectorAll('[data-study-index]').forEach(button => {
+            button.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                button.disabled = true;
+                try {
+                    const response = await this.sendMessage('addToDeck', {
+                        card: studyCards[button.dataset.studyIndex]
+                    });
+                    button.textContent = response.added ? '✓ Added' : '✓ In deck';
+                } catch (error) {
+                    console.error('Failed to add card to deck:', error);
+                    button.disabled = false;
+                }
+            });
+        });
+    }
+
+    /**
+     * SPEAK BUTTONS
+     * 
+     * 🔊 buttons read a word or a kanji's readings aloud through the
+     * background (speech.js), which picks the Japanese voice
+     * 
+     * @param {string} text - Word or readings to speak
+     * @returns {string} HTML for the button
+     */
+    renderSpeakButton(text) {
+        return `
+            <button class="speak-btn mt-2 mr-1 text-xs border border-teal-500 hover:bg-teal-700 py-1 px-2 rounded transition-colors"
+                    data-speech-text="${this.escapeHtml(text)}" title="Play pronunciation"
+                    aria-label="Play ${this.escapeHtml(text)}">🔊</button>
+        `;
+    }
+
+    bindSpeakButtons(container) {
+        container.querySelectorAll('[data-speech-text]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.speakText(button.dataset.speechText, container);
+            });
+        });
+    }
+
+    /**
+     * STROKE ORDER BUTTONS
+     * 
+     * ✍ buttons open the stroke order dialog for a kanji or kana
+     * (stroke-order.js draws it from the background's KanjiVG data)
+     * 
+     * @param {Object} entry - Dictionary entry {character, type}
+     * @returns {string} HTML for the button, or '' for other characters
+     */
+    renderStrokeOrderButton(entry) {
+        if (!STROKE_ORDER_TYPES.includes(entry.type)) {
+            return '';
         }
+        return `
+            <button class="stroke-order-btn mt-2 mr-1 text-xs border border-teal-500 hover:bg-teal-700 py-1 px-2 rounded transition-colors"
+                    data-stroke-character="${entry.character}" title="Show stroke order"
+                    aria-label="Show stroke order of ${entry.character}">✍</button>
+        `;
+    }
+
+    bindStrokeOrderButtons(container) {
+        container.querySelectorAll('[data-stroke-character]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showStrokeOrder(button.dataset.strokeCharacter);
+            });
+        });
+    }
+
+    /**
+     * EXAMPLE SENTENCES
+     * 
+     * 例 buttons open example sentences at the end of their card, with
+     * furigana, the word or kanji marked and the English translation;
+     * "Show more" adds the next few (examples.js in the background)
+     * 
+     * @param {string} text - Word in dictionary form, or a kanji
+     * @param {string} type - 'word' or 'kanji'
+     * @returns {string} HTML for the button
+     */
+    renderExamplesButton(text, type) {
+        return `
+            <button class="examples-btn mt-2 mr-1 text-xs border border-teal-500 hover:bg-teal-700 py-1 px-2 rounded transition-colors"
+                    data-example-text="${this.escapeHtml(text)}" data-example-type="${type}" aria-expanded="false"
+                    title="Example sentences" aria-label="Example sentences with ${this.escapeHtml(text)}">例</button>
+        `;
+    }
 
-        // Persist to Chrome storage
+    bindExamplesButtons(container) {
+        container.querySelectorAll('[data-example-text]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const section = button.parentElement.querySelector(':scope > .example-sentences');
+                if (section) {
+                    section.remove();
+                    button.setAttribute('aria-expanded', 'false');
+                } else {
+                    this.showMoreExamples(button);
+                }
+            });
+        });
+    }
+
+    /**
+     * @param {Object} sentence - {japanese, english, segments} from getExampleSentences
+     * @returns {string} HTML for the sentence, readings as <ruby>
+     */
+    renderExampleSentence(sentence) {
+        const japanese = sentence.segments.map(segment => {
+            const text = segment.reading
+                ? `<ruby>${this.escapeHtml(segment.text)}<rt>${this.escapeHtml(segment.reading)}</rt></ruby>`
+                : this.escapeHtml(segment.text);
+            return segment.match ? `<mark class="example-match">${text}</mark>` : text;
+        }).join('');
+
+        return `
+            <li class="example-sentence">
+                <div class="text-base" lang="ja">${japanese}</div>
+                <div class="text-xs text-gray-400">${this.escapeHtml(sentence.english)}</div>
+            </li>
+        `;
+    }
+
+    // Adds the next page of sentences after the button's card, creating
+    // the list on the first one
+    async showMoreExamples(button) {
+        const text = button.dataset.exampleText;
+        let section = button.parentElement.querySelector(':scope > .example-sentences');
+        const offset = section ? section.querySelectorAll('.example-sentence').length : 0;
+        // One request at a time, so a page isn't added twice
+        const busyButton = section ? section.querySelector('.example-more-btn') : button;
+
+        let result;
+        busyButton.disabled = true;
         try {
-            await chrome.storage.local.set({ 
-                translationHistory: this.translationHistory 
+            result = await this.sendMessage('getExampleSentences', {
+                text,
+                type: button.dataset.exampleType,
+                offset
             });
         } catch (error) {
-            console.error('Failed to save translation history:', error);
+            console.error('Failed to load example sentences:', error);
+            return;
+        } finally {
+            busyButton.disabled = false;
+        }
+
+        if (!section) {
+            section = document.createElement('div');
+            section.className = 'example-sentences mt-2 pt-2 border-t border-gray-600 text-left';
+            section.innerHTML = result.total > 0 ? `
+                <ul class="example-sentences-list" aria-label="Example sentences with ${this.escapeHtml(text)}"></ul>
+                <button class="example-more-btn text-xs border border-teal-500 hover:bg-teal-700 py-1 px-2 rounded transition-colors"></button>
+            ` : `<div class="text-xs text-gray-400">No example sentences with ${this.escapeHtml(text)}</div>`;
+            // Clicks inside don't reach the card (search results translate on click)
+            section.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (e.target.closest('.example-more-btn')) {
+                    this.showMoreExamples(button);
+                }
+            });
+            button.parentElement.appendChild(section);
+            button.setAttribute('aria-expanded', 'true');
         }
+        if (result.total === 0) return;
+
+        const list = section.querySelector('.example-sentences-list');
+        list.insertAdjacentHTML('beforeend', result.sentences.map(sentence => this.renderExampleSentence(sentence)).join(''));
+
+        const remaining = result.total - list.children.length;
+        const moreButton = section.querySelector('.example-more-btn');
+        moreButton.hidden = remaining <= 0;
+        moreButton.textContent = `Show more (${remaining})`;
     }
 
     /**
-     * LOAD TRANSLATION HISTORY
+     * STROKE ORDER DIALOG
+     * 
+     * Opens the dialog and plays the character's strokes
      * 
-     * Retrieves saved translation history from Chrome storage on startup
+     * @param {string} character - Kanji or kana
      */
-    async loadTranslationHistory() {
+    async showStrokeOrder(character) {
+        const dialog = document.getElementById('strokeOrderDialog');
+        const viewerContainer = document.getElementById('strokeOrderViewer');
+        if (!dialog || !viewerContainer) return;
+
+        document.getElementById('strokeOrderTitle').textContent = `Stroke order: ${character}`;
+        viewerContainer.innerHTML = '<div class="spinner mx-auto"></div>';
+        if (!dialog.open) {
+            dialog.showModal();
+        }
+
         try {
-            const result = await chrome.storage.local.get(['translationHistory']);
-            if (result.translationHistory) {
-                this.translationHistory = result.translationHistory;
+            const { strokeOrder } = await this.sendMessage('getStrokeOrder', { character });
+            viewerContainer.innerHTML = '';
+            if (strokeOrder) {
+                viewerContainer.appendChild(createStrokeOrderViewer(strokeOrder));
+            } else {
+                viewerContainer.innerHTML = `<div class="text-gray-400">No stroke order data for ${character}</div>`;
             }
         } catch (error) {
-            console.error('Failed to load translation history:', error);
-            this.translationHistory = [];
+            console.error('Failed to load stroke order:', error);
+            viewerContainer.innerHTML = '<div class="text-red-400">Could not load the stroke order</div>';
         }
     }
 
+    // Readings joined with a Japanese comma so the voice pauses between them
+    getSpokenReadings(entry) {
+        return (entry.onyomi || []).concat(entry.kunyomi || []).join('、');
+    }
+
     /**
-     * HISTORY DISPLAY GENERATOR
+     * SPEAK
+     * 
+     * Without a Japanese voice, says so at the top of the results
+     * 
+     * @param {string} text - Japanese text to speak
+     * @param {HTMLElement} container - Results the text came from
+     */
+    async speakText(text, container) {
+        let message = '';
+        try {
+            const { spoken } = await this.sendMessage('speak', { text });
+            if (!spoken) {
+                message = 'No Japanese voice is installed. Add one in your system\'s language settings to hear readings.';
+            }
+        } catch (error) {
+            console.error('Speech failed:', error);
+            message = 'Could not play the pronunciation';
+        }
+
+        let status = container.querySelector('.speech-status');
+        if (!message) {
+            if (status) status.remove();
+            return;
+        }
+        if (!status) {
+            status = document.createElement('div');
+            status.className = 'speech-status text-sm text-yellow-400 mb-2';
+            status.setAttribute('role', 'status');
+            container.prepend(status);
+        }
+        status.textContent = message;
+    }
+
+    /**
+     * SPEECH VOICES
+     * 
+     * Fills the voice setting with the installed Japanese voices
+     */
+    async loadSpeechVoices() {
+        const select = document.getElementById('speechVoiceSelect');
+        if (!select) return;
+
+        let voices = [];
+        try {
+            ({ voices } = await this.sendMessage('getVoices'));
+        } catch (error) {
+            console.error('Failed to load voices:', error);
+        }
+
+        select.innerHTML = voices.length > 0
+            ? '<option value="">Default Japanese voice</option>'
+            : '<option value="">No Japanese voice installed</option>';
+        voices.forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.name;
+            option.textContent = voice.remote ? `${voice.name} (online)` : voice.name;
+            select.appendChild(option);
+        });
+        select.disabled = voices.length === 0;
+        // A voice that was uninstalled falls back to the default
+        select.value = voices.some(voice => voice.name === this.settings.speechVoice)
+            ? this.settings.speechVoice
+            : '';
+    }
+
+    /**
+     * STUDY CARD BUILDERS
+     * 
+     * Turn a word segment or kanji entry into the fields of a deck card
+     * 
+     * @param {Object} word - Segment from the background
+     * @param {Object} source - {sentence, url, title} it was found in, if any
+     * @returns {Object} {type, front, reading, meaning, source}
+     */
+    toWordStudyCard(word, source = {}) {
+        const entry = word.entries[0];
+        return {
+            type: 'word',
+            front: entry.kanji[0] || entry.reading,
+            reading: entry.reading,
+            meaning: entry.senses.slice(0, 3).map(sense => sense.glosses.join(', ')).join('; '),
+            source
+        };
+    }
+
+    toKanjiStudyCard(entry, source = {}) {
+        return {
+            type: 'kanji',
+            front: entry.character,
+            reading: this.formatReadings(entry),
+            meaning: entry.meanings.join(', '),
+            source
+        };
+    }
+
+    /**
+     * READINGS FORMATTER
+     * 
+     * Joins a dictionary entry's readings for display, on'yomi first
+     * 
+     * @param {Object} entry - Dictionary entry with onyomi/kunyomi arrays
+     * @returns {string} Comma-separated readings, or '' if there are none
+     */
+    formatReadings(entry) {
+        return (entry.onyomi || []).concat(entry.kunyomi || []).join(', ');
+    }
+
+    /**
+     * ROMAJI READINGS
+     * 
+     * Readings spelled in romaji (kana.js) to show beneath the kana, when
+     * the romajiReadings setting is 'hepburn' or 'kunrei'
+     * 
+     * @param {string} reading - Kana reading(s), e.g. "ニチ, ひ"
+     * @param {string} classes - Extra classes for the line
+     * @returns {string} HTML for the romaji line, or '' if it's turned off
+     */
+    renderRomaji(reading, classes = '') {
+        if (!reading || this.settings.romajiReadings === 'off') {
+            return '';
+        }
+        return `<div class="reading-romaji text-xs text-gray-400 ${classes}">${this.escapeHtml(kanaToRomaji(reading, this.settings.romajiReadings))}</div>`;
+    }
+
+    /**
+     * KANJI DETAILS FORMATTER
+     * 
+     * Summarizes KANJIDIC2 details for display, e.g. "4 strokes · Grade 1 · JLPT 4"
+     * 
+     * @param {Object} entry - Dictionary entry
+     * @returns {string} Summary, or '' for non-kanji entries
+     */
+    formatKanjiDetails(entry) {
+        const parts = [];
+        if (entry.strokeCount) {
+            parts.push(`${entry.strokeCount} stroke${entry.strokeCount !== 1 ? 's' : ''}`);
+        }
+        if (entry.grade) {
+            parts.push(`Grade ${entry.grade}`);
+        }
+        if (entry.jlpt) {
+            parts.push(`JLPT ${entry.jlpt}`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * CLEAR TRANSLATION RESULTS
+     * 
+     * Removes all translation results from the display area
+     */
+    clearTranslationResults() {
+        const resultsDiv = document.getElementById('translationResults');
+        if (resultsDiv) {
+            resultsDiv.innerHTML = '';
+        }
+    }
+
+    /**
+     * KNOWN KANJI
+     * 
+     * Kanji the user already knows, kept by the background (known-kanji.js):
+     * marked with the Known buttons on kanji cards, imported from a list or
+     * set in bulk up to a JLPT level or grade in Settings
+     */
+    async loadKnownKanji() {
+        try {
+            const { kanji } = await this.sendMessage('getKnownKanji');
+            this.knownKanji = new Set(kanji);
+        } catch (error) {
+            console.error('Failed to load known kanji:', error);
+        }
+
+        const count = document.getElementById('knownKanjiCount');
+        if (count) {
+            count.textContent = `${this.knownKanji.size} kanji marked known`;
+        }
+    }
+
+    // Sends a known-kanji change from Settings; resolves with whether it worked
+    async updateKnownKanji(action, payload = {}) {
+        const status = document.getElementById('knownKanjiStatus');
+        try {
+            const { added } = await this.sendMessage(action, payload);
+            if (action === 'clearKnownKanji') {
+                status.textContent = 'Cleared the known kanji';
+            } else {
+                status.textContent = added > 0 ? `Marked ${added} more kanji known` : 'No new kanji to mark known';
+            }
+        } catch (error) {
+            console.error('Failed to update known kanji:', error);
+            status.textContent = 'The known kanji couldn\'t be updated';
+            return false;
+        }
+        await this.loadKnownKanji();
+        return true;
+    }
+
+    /**
+     * @param {Object} entry - Dictionary entry {character, type}
+     * @returns {string} HTML for the Known button, or '' if it isn't a kanji
+     */
+    renderKnownButton(entry) {
+        if (entry.type !== 'kanji') {
+            return '';
+        }
+        const known = this.knownKanji.has(entry.character);
+        return `
+            <button class="known-btn mt-2 mr-1 text-xs border border-teal-500 hover:bg-teal-700 py-1 px-2 rounded transition-colors"
+                    data-known-character="${entry.character}" aria-pressed="${known}"
+                    title="${known ? 'Remove from known kanji' : 'Mark as known'}">${known ? '✓ Known' : 'Mark known'}</button>
+        `;
+    }
+
+    bindKnownButtons(container) {
+        container.querySelectorAll('[data-known-character]').forEach(button => {
+            button.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const character = button.dataset.knownCharacter;
+                const known = !this.knownKanji.has(character);
+                button.disabled = true;
+                try {
+                    await this.sendMessage('setKanjiKnown', { kanji: [character], known });
+                    await this.loadKnownKanji();
+                    button.textContent = known ? '✓ Known' : 'Mark known';
+                    button.title = known ? 'Remove from known kanji' : 'Mark as known';
+                    button.setAttribute('aria-pressed', String(known));
+                } catch (error) {
+                    console.error('Failed to update known kanji:', error);
+                }
+                button.disabled = false;
+            });
+        });
+    }
+
+    /**
+     * LOAD TRANSLATION HISTORY
+     * 
+     * Retrieves the history from the background (history.js), which
+     * records every lookup: popup translations, the right-click menu and
+     * hover lookups on pages
+     */
+    async loadTranslationHistory() {
+        try {
+            const { history } = await this.sendMessage('getHistory');
+            this.translationHistory = history;
+        } catch (error) {
+            console.error('Failed to load translation history:', error);
+            this.translationHistory = [];
+        }
+    }
+
+    /**
+     * HISTORY DISPLAY GENERATOR
      * 
      * Creates HTML for the history section showing all saved translations
      * with timestamps and the ability to view character breakdowns
      */
     displayHistory() {
-        const historyContainer = document.getElementById('historyList');
+        const historyContainer = document.getElementById('historyResults');
         if (!historyContainer) return;
 
         if (this.translationHistory.length === 0) {
@@ -399,29 +1396,47 @@ class KanjiHelperPopup {
             return;
         }
 
+        this.studyCards = [];
         let html = '';
         this.translationHistory.forEach(entry => {
             const date = new Date(entry.timestamp);
             const timeString = date.toLocaleString();
+            // A lookup of exactly one word can be starred as that word
+            const word = entry.words.length === 1 && entry.words[0].text === entry.originalText
+                ? entry.words[0]
+                : null;
+            // Cards added here keep the page the lookup was made on
+            const source = { ...entry.source, sentence: (entry.source && entry.source.sentence) || entry.originalText };
             
             html += `
                 <div class="history-item">
                     <div class="flex justify-between items-start mb-2">
-                        <div class="text-lg font-bold text-teal-300">${entry.originalText}</div>
-                        <div class="text-xs text-gray-400">${timeString}</div>
+                        <div class="text-lg font-bold text-teal-300">
+                            ${this.escapeHtml(entry.originalText)}
+                            ${word ? this.renderFavoriteButton(this.toWordStudyCard(word, source)) + this.renderStudyButton(this.toWordStudyCard(word, source)) : ''}
+                        </div>
+                        <div class="text-xs text-gray-400 text-right">
+                            ${timeString}
+                            <div>${HISTORY_ORIGIN_LABELS[entry.origin] || HISTORY_ORIGIN_LABELS.popup}</div>
+                        </div>
                     </div>
+                    ${this.renderHistorySource(entry.source)}
                     <div class="text-sm text-gray-300 mb-3">
                         ${entry.translations.length} character${entry.translations.length !== 1 ? 's' : ''} translated
                     </div>
                     <div class="grid grid-cols-2 gap-2">
                         ${entry.translations.map(trans => `
                             <div class="bg-gray-800 bg-opacity-50 p-2 rounded border border-gray-600">
-                                <div class="text-center text-teal-400 text-xl font-bold mb-1">${trans.character}</div>
+                                <div class="text-center text-teal-400 text-xl font-bold mb-1">${this.escapeHtml(trans.character)}</div>
                                 <div class="text-xs text-center text-gray-400">${trans.type}</div>
-                                ${trans.readings && trans.readings.length > 0 ? 
-                                    `<div class="text-xs text-center text-yellow-400">${trans.readings.join(', ')}</div>` : ''
+                                ${this.formatReadings(trans) ? 
+                                    `<div class="text-xs text-center text-yellow-400">${this.formatReadings(trans)}</div>` : ''
+                                }
+                                ${this.renderRomaji(this.formatReadings(trans), 'text-center')}
+                                <div class="text-xs text-center text-gray-300">${this.escapeHtml(trans.meanings.join(', '))}</div>
+                                ${trans.inDictionary ? 
+                                    `<div class="text-center">${this.renderFavoriteButton(this.toKanjiStudyCard(trans, source))}${this.renderStudyButton(this.toKanjiStudyCard(trans, source))}</div>` : ''
                                 }
-                                <div class="text-xs text-center text-gray-300">${trans.meanings.join(', ')}</div>
                             </div>
                         `).join('')}
                     </div>
@@ -430,6 +1445,241 @@ class KanjiHelperPopup {
         });
 
         historyContainer.innerHTML = html;
+        this.bindStudyButtons(historyContainer);
+        this.bindFavoriteButtons(historyContainer);
+    }
+
+    /**
+     * HISTORY SOURCE
+     * 
+     * The sentence and page a lookup came from. Page text is untrusted,
+     * so it is escaped.
+     * 
+     * @param {Object} source - {sentence, url, title}, empty for the popup
+     * @returns {string} HTML, or '' without a source page
+     */
+    renderHistorySource(source) {
+        if (!source || !source.url) return '';
+
+        return `
+            <div class="text-xs mb-3">
+                ${source.sentence ? 
+                    `<div class="text-gray-300 mb-1">${this.escapeHtml(source.sentence)}</div>` : ''
+                }
+                <a href="${this.escapeHtml(source.url)}" target="_blank" rel="noopener"
+                   class="text-teal-400 hover:underline">${this.escapeHtml(source.title || source.url)}</a>
+            </div>
+        `;
+    }
+
+    /**
+     * FAVORITE BUTTONS
+     * 
+     * ☆ stars a word or kanji in the favorites kept by the background
+     * (favorites.js, in chrome.storage.sync); ★ unstars it. Like the
+     * "+ Study" buttons, the fields wait in this.studyCards.
+     * 
+     * @param {Object} fields - {type, front, reading, meaning}
+     * @returns {string} HTML for the button
+     */
+    renderFavoriteButton(fields) {
+        const index = this.studyCards.push(fields) - 1;
+        const starred = this.favoriteIds.has(`${fields.type}:${fields.front}`);
+        return `
+            <button class="favorite-btn mt-2 mr-1 text-xs text-yellow-400 border border-yellow-500 hover:bg-yellow-900 py-1 px-2 rounded transition-colors"
+                    data-favorite-index="${index}" aria-label="Favorite" aria-pressed="${starred}"
+                    title="${starred ? 'Remove from favorites' : 'Add to favorites'}">${starred ? '★' : '☆'}</button>
+        `;
+    }
+
+    bindFavoriteButtons(container) {
+        // Each render starts a new array, so keep the one these buttons index into
+        const studyCards = this.studyCards;
+        container.querySelectorAll('[data-favorite-index]').forEach(button => {
+            button.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const fields = studyCards[button.dataset.favoriteIndex];
+                const starred = button.getAttribute('aria-pressed') === 'true';
+
+                button.disabled = true;
+                try {
+                    if (starred) {
+                        await this.sendMessage('removeFavorite', { id: `${fields.type}:${fields.front}` });
+                    } else {
+                        await this.sendMessage('addFavorite', { favorite: fields });
+                    }
+                    button.textContent = starred ? '☆' : '★';
+                    button.title = starred ? 'Add to favorites' : 'Remove from favorites';
+                    button.setAttribute('aria-pressed', String(!starred));
+                    await this.loadFavorites();
+                    this.setFavoritesStatus('');
+                } catch (error) {
+                    console.error('Failed to update favorites:', error);
+                    this.setFavoritesStatus(error.message);
+                    button.title = error.message;
+                } finally {
+                    button.disabled = false;
+                }
+            });
+        });
+    }
+
+    /**
+     * LOAD FAVORITES
+     * 
+     * Retrieves the favorites from the background (favorites.js)
+     */
+    async loadFavorites() {
+        try {
+            const { favorites } = await this.sendMessage('getFavorites');
+            this.favorites = favorites;
+        } catch (error) {
+            console.error('Failed to load favorites:', error);
+            this.favorites = [];
+        }
+        this.favoriteIds = new Set(this.favorites.map(favorite => favorite.id));
+    }
+
+    /**
+     * FAVORITES DISPLAY
+     * 
+     * Lists the favorites that match the search box, tag and type filters,
+     * in the chosen order (FAVORITE_SORTS). Tags and notes are edited in
+     * place and saved when the field changes.
+     */
+    displayFavorites() {
+        const container = document.getElementById('favoritesResults');
+        if (!container) return;
+
+        // Tag filter lists every tag in use, keeping the current choice
+        const tagSelect = document.getElementById('favoritesTagSelect');
+        const tags = [...new Set(this.favorites.flatMap(favorite => favorite.tags))].sort();
+        if (tagSelect) {
+            const selected = tagSelect.value;
+            tagSelect.innerHTML = '<option value="">All tags</option>' +
+                tags.map(tag => `<option value="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</option>`).join('');
+            tagSelect.value = tags.includes(selected) ? selected : '';
+        }
+
+        const query = (document.getElementById('favoritesFilterInput')?.value || '').trim().toLowerCase();
+        const tag = tagSelect ? tagSelect.value : '';
+        const type = document.getElementById('favoritesTypeSelect')?.value || 'all';
+        const sort = FAVORITE_SORTS[document.getElementById('favoritesSortSelect')?.value] || FAVORITE_SORTS.newest;
+
+        const favorites = this.favorites
+            .filter(favorite => type === 'all' || favorite.type === type)
+            .filter(favorite => !tag || favorite.tags.includes(tag))
+            .filter(favorite => !query ||
+                [favorite.front, favorite.reading, favorite.meaning, favorite.note, ...favorite.tags]
+                    .some(value => value.toLowerCase().includes(query)))
+            .sort(sort);
+
+        if (favorites.length === 0) {
+            container.innerHTML = `
+                <div class="text-center text-gray-400 py-8">
+                    <div class="text-4xl mb-4">⭐</div>
+                    <div>${this.favorites.length === 0 
+                        ? 'No favorites yet. Star a word or kanji with ☆ to keep it here.' 
+                        : 'No favorites match these filters'}</div>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="text-sm text-gray-400">${favorites.length} of ${this.favorites.length} favorite${this.favorites.length !== 1 ? 's' : ''}</div>
+            ${favorites.map(favorite => this.renderFavorite(favorite)).join('')}
+        `;
+    }
+
+    /**
+     * FAVORITE CARD RENDERER
+     * 
+     * @param {Object} favorite - Favorite from favorites.js
+     * @returns {string} HTML for the card
+     */
+    renderFavorite(favorite) {
+        const id = this.escapeHtml(favorite.id);
+        return `
+            <div class="translation-char" data-favorite-id="${id}">
+                <div class="flex justify-between items-start mb-1">
+                    <div class="flex items-baseline gap-3">
+                        <button class="text-2xl font-bold text-teal-300 hover:underline" data-favorite-action="open"
+                                title="Translate">${this.escapeHtml(favorite.front)}</button>
+                        ${favorite.reading ? 
+                            `<div class="character-readings text-yellow-400">${this.escapeHtml(favorite.reading)}</div>` : ''
+                        }
+                        <div class="text-xs text-gray-400">${favorite.type}</div>
+                    </div>
+                    <button class="text-yellow-400 text-lg" data-favorite-action="remove"
+                            title="Remove from favorites" aria-label="Remove ${this.escapeHtml(favorite.front)} from favorites">★</button>
+                </div>
+                ${this.renderRomaji(favorite.reading, 'mb-1')}
+                <div class="text-sm text-gray-300 mb-2">${this.escapeHtml(favorite.meaning)}</div>
+                ${favorite.tags.length > 0 ? `
+                    <div class="flex flex-wrap gap-1 mb-2">
+                        ${favorite.tags.map(tag => `
+                            <button class="text-xs bg-teal-700 hover:bg-teal-500 py-0 px-2 rounded"
+                                    data-favorite-tag="${this.escapeHtml(tag)}" title="Show favorites tagged ${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <input type="text" data-favorite-field="tags" value="${this.escapeHtml(favorite.tags.join(', '))}"
+                       placeholder="Tags, separated by commas" aria-label="Tags for ${this.escapeHtml(favorite.front)}"
+                       class="w-full p-1 mb-1 text-sm rounded bg-gray-800 bg-opacity-50 text-white border border-gray-600 focus:outline-none">
+                <textarea data-favorite-field="note" rows="2" placeholder="Note" aria-label="Note for ${this.escapeHtml(favorite.front)}"
+                          class="w-full p-1 text-sm rounded bg-gray-800 bg-opacity-50 text-white border border-gray-600 focus:outline-none">${this.escapeHtml(favorite.note)}</textarea>
+            </div>
+        `;
+    }
+
+    filterFavoritesByTag(tag) {
+        const tagSelect = document.getElementById('favoritesTagSelect');
+        if (tagSelect) {
+            tagSelect.value = tag;
+        }
+        this.displayFavorites();
+    }
+
+    /**
+     * EDIT FAVORITES
+     * 
+     * @param {string} id - Favorite id, e.g. 'kanji:日'
+     * @param {Object} changes - {tags} and/or {note}
+     */
+    async updateFavorite(id, changes) {
+        try {
+            const { favorite } = await this.sendMessage('updateFavorite', { id, ...changes });
+            this.favorites = this.favorites.map(item => item.id === id ? favorite : item);
+            // Tags are normalized by the background, and may add tag filters
+            if (changes.tags) {
+                this.displayFavorites();
+            }
+            this.setFavoritesStatus('');
+        } catch (error) {
+            console.error('Failed to update favorite:', error);
+            this.setFavoritesStatus(error.message);
+        }
+    }
+
+    async removeFavorite(id) {
+        try {
+            await this.sendMessage('removeFavorite', { id });
+            await this.loadFavorites();
+            this.displayFavorites();
+            this.setFavoritesStatus('');
+        } catch (error) {
+            console.error('Failed to remove favorite:', error);
+            this.setFavoritesStatus(error.message);
+        }
+    }
+
+    // Failed saves (such as a full sync storage) are shown above the list
+    setFavoritesStatus(text) {
+        const status = document.getElementById('favoritesStatus');
+        if (status) {
+            status.textContent = text;
+        }
     }
 
     /**
@@ -440,109 +1690,206 @@ class KanjiHelperPopup {
     async clearHistory() {
         this.translationHistory = [];
         try {
-            await chrome.storage.local.set({ translationHistory: [] });
+            await this.sendMessage('clearHistory');
             this.displayHistory(); // Refresh the display
         } catch (error) {
             console.error('Failed to clear history:', error);
         }
     }
 
+    /**
+     * ANKI FIELD MAPPING
+     * 
+     * One row per exportable field: a checkbox to include it and the name
+     * of the Anki field it goes into. Changes are saved with the settings.
+     */
+    renderAnkiFieldMapping() {
+        const container = document.getElementById('ankiFieldMapping');
+        if (!container) return;
+
+        const mapping = new Map(this.settings.ankiFieldMapping.map(({ field, name }) => [field, name]));
+        container.innerHTML = Object.entries(ANKI_EXPORT_FIELDS).map(([field, defaultName]) => `
+            <div class="flex items-center gap-2 text-sm">
+                <input type="checkbox" data-anki-field="${field}" ${mapping.has(field) ? 'checked' : ''}
+                       class="form-checkbox h-4 w-4 text-teal-600">
+                <span class="w-32">${defaultName}</span>
+                <input type="text" data-anki-field-name="${field}" value="${this.escapeHtml(mapping.get(field) || defaultName)}"
+                       class="flex-1 p-1 rounded bg-gray-800 bg-opacity-50 text-white border border-gray-600 focus:border-teal-300 focus:outline-none">
+            </div>
+        `).join('');
+    }
+
+    /**
+     * ANKI EXPORT
+     * 
+     * Exports the words and kanji of the translation history or the review
+     * deck as an .apkg package or TSV file. Exported items are remembered
+     * (ankiExportedItems in storage) so later exports can skip them.
+     */
+    async exportToAnki() {
+        const status = document.getElementById('ankiExportStatus');
+        const source = document.getElementById('ankiSourceSelect')?.value || 'history';
+        const format = document.getElementById('ankiFormatSelect')?.value || 'apkg';
+        const setStatus = (text) => {
+            if (status) status.textContent = text;
+        };
+
+        try {
+            let items;
+            if (source === 'deck') {
+                const response = await this.sendMessage('getDeckCards');
+                items = collectDeckExportItems(response.cards);
+            } else {
+                items = collectHistoryExportItems(this.translationHistory);
+            }
+
+            const { ankiExportedItems = {} } = await chrome.storage.local.get(['ankiExportedItems']);
+            const total = items.length;
+            if (this.settings.ankiSkipExported) {
+                items = items.filter(item => !ankiExportedItems[item.key]);
+            }
+
+            if (items.length === 0) {
+                setStatus(total > 0 ? 'Everything here was exported before' : 'Nothing to export yet');
+                return;
+            }
+            if (this.settings.ankiFieldMapping.length === 0) {
+                setStatus('Choose at least one field to export');
+                return;
+            }
+
+            const date = new Date().toISOString().slice(0, 10);
+            if (format === 'tsv') {
+                const tsv = buildAnkiTsv(items, this.settings.ankiFieldMapping);
+                this.downloadFile(tsv, `kanji-helper-${source}-${date}.tsv`, 'text/tab-separated-values');
+            } else {
+                const apkg = await buildAnkiPackage(items, this.settings.ankiFieldMapping, 'Kanji Helper');
+                this.downloadFile(apkg, `kanji-helper-${source}-${date}.apkg`, 'application/octet-stream');
+            }
+
+            // Remember what was exported
+            const exportedAt = new Date().toISOString();
+            items.forEach(item => {
+                ankiExportedItems[item.key] = exportedAt;
+            });
+            await chrome.storage.local.set({ ankiExportedItems });
+
+            const skipped = total - items.length;
+            setStatus(`Exported ${items.length} item${items.length !== 1 ? 's' : ''}` +
+                (skipped > 0 ? ` (${skipped} skipped, exported before)` : ''));
+        } catch (error) {
+            console.error('Anki export failed:', error);
+            setStatus(`Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * FILE DOWNLOAD
+     * 
+     * Saves generated data through a temporary object URL
+     * 
+     * @param {string|Uint8Array} data - File contents
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    downloadFile(data, filename, type) {
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
     /**
      * KANJI SEARCH FUNCTIONALITY
      * 
-     * Searches through the built-in kanji dictionary and displays results.
-     * Searches character, readings, and meanings for matches.
+     * Searches the shared dictionary (owned by the background script) and
+     * displays one page of results. The background ranks matches on the
+     * character, readings (kana or romaji) and meanings, and applies the
+     * filters (see searchDictionary() in dictionary.js).
      * 
      * @param {string} query - Search term entered by user
+     * @param {number} page - Page of results to show, from 0
      */
-    searchKanji(query) {
+    async searchKanji(query, page = 0) {
         const resultsContainer = document.getElementById('searchResults');
         if (!resultsContainer) return;
 
-        // Clear results if no query
-        if (!query.trim()) {
+        const filters = this.getSearchFilters();
+        const requestId = ++this.searchRequestId;
+        this.showSearchPager(null);
+
+        // Clear results if there is nothing to search for
+        if (!query.trim() && Object.keys(filters).length === 0) {
             resultsContainer.innerHTML = `
                 <div class="text-center text-gray-400 py-8">
                     <div class="text-4xl mb-4">🔍</div>
-                    <div>Enter a character, reading, or meaning to search</div>
+                    <div>Enter a character, reading (kana or romaji), or meaning to search</div>
+                    <div class="text-sm mt-2">or pick a level, grade, stroke count or radical</div>
                 </div>
             `;
             return;
         }
 
-        // Built-in kanji dictionary for searching
-        const kanjiDictionary = {
-            '日': { readings: ['ニチ', 'ひ'], meanings: ['sun', 'day'], type: 'kanji' },
-            '本': { readings: ['ホン', 'もと'], meanings: ['book', 'origin'], type: 'kanji' },
-            '人': { readings: ['ジン', 'ひと'], meanings: ['person', 'people'], type: 'kanji' },
-            '学': { readings: ['ガク', 'まな'], meanings: ['study', 'learn'], type: 'kanji' },
-            '校': { readings: ['コウ'], meanings: ['school'], type: 'kanji' },
-            '生': { readings: ['セイ', 'い'], meanings: ['life', 'birth'], type: 'kanji' },
-            '先': { readings: ['セン', 'さき'], meanings: ['before', 'ahead'], type: 'kanji' },
-            '年': { readings: ['ネン', 'とし'], meanings: ['year'], type: 'kanji' },
-            '月': { readings: ['ゲツ', 'つき'], meanings: ['month', 'moon'], type: 'kanji' },
-            '時': { readings: ['ジ', 'とき'], meanings: ['time'], type: 'kanji' },
-            '間': { readings: ['カン', 'あいだ'], meanings: ['interval', 'between'], type: 'kanji' },
-            '水': { readings: ['スイ', 'みず'], meanings: ['water'], type: 'kanji' },
-            '火': { readings: ['カ', 'ひ'], meanings: ['fire'], type: 'kanji' },
-            '土': { readings: ['ド', 'つち'], meanings: ['earth', 'soil'], type: 'kanji' },
-            '木': { readings: ['モク', 'き'], meanings: ['tree', 'wood'], type: 'kanji' },
-            '金': { readings: ['キン', 'かね'], meanings: ['gold', 'money'], type: 'kanji' },
-            '山': { readings: ['サン', 'やま'], meanings: ['mountain'], type: 'kanji' },
-            '川': { readings: ['セン', 'かわ'], meanings: ['river'], type: 'kanji' },
-            '大': { readings: ['ダイ', 'おお'], meanings: ['big', 'large'], type: 'kanji' },
-            '小': { readings: ['ショウ', 'ちい'], meanings: ['small', 'little'], type: 'kanji' },
-            '漢': { readings: ['カン'], meanings: ['Chinese', 'Han'], type: 'kanji' },
-            '字': { readings: ['ジ'], meanings: ['character', 'letter'], type: 'kanji' },
-            '私': { readings: ['シ', 'わたし'], meanings: ['I', 'private'], type: 'kanji' },
-            '語': { readings: ['ゴ'], meanings: ['language', 'word'], type: 'kanji' }
-        };
+        // Ask the background dictionary for matches
+        let response;
+        try {
+            response = await this.sendMessage('searchDictionary', { query, filters, page });
+        } catch (error) {
+            console.error('Search error:', error);
+            response = { results: [], total: 0, page, pageSize: 0 };
+        }
 
-        // Search through dictionary
-        const results = [];
-        const searchTerm = query.toLowerCase();
-
-        Object.entries(kanjiDictionary).forEach(([char, info]) => {
-            // Check if query matches character, readings, or meanings
-            const matchesChar = char === query;
-            const matchesReading = info.readings.some(reading => 
-                reading.toLowerCase().includes(searchTerm)
-            );
-            const matchesMeaning = info.meanings.some(meaning => 
-                meaning.toLowerCase().includes(searchTerm)
-            );
-
-            if (matchesChar || matchesReading || matchesMeaning) {
-                results.push({ character: char, ...info });
-            }
-        });
+        // A newer keystroke has started another search - drop this one
+        if (requestId !== this.searchRequestId) return;
 
         // Display search results
+        const { results, total } = response;
         if (results.length === 0) {
             resultsContainer.innerHTML = `
                 <div class="text-center text-gray-400 py-8">
                     <div class="text-4xl mb-4">❌</div>
-                    <div>No results found for "${query}"</div>
-                    <div class="text-sm mt-2">Try searching for a different character, reading, or meaning</div>
+                    <div>No results found${query.trim() ? ` for "${this.escapeHtml(query.trim())}"` : ''}</div>
+                    <div class="text-sm mt-2">Try a different character, reading or meaning, or fewer filters</div>
                 </div>
             `;
             return;
         }
 
         // Generate HTML for search results
-        let html = `<div class="mb-4 text-sm text-gray-400">Found ${results.length} result${results.length !== 1 ? 's' : ''}</div>`;
+        this.studyCards = [];
+        const first = response.page * response.pageSize + 1;
+        let html = `
+            <div class="mb-4 text-sm text-gray-400">
+                ${total > results.length ? `Showing ${first}–${first + results.length - 1} of ` : 'Found '}${total} result${total !== 1 ? 's' : ''}
+            </div>
+        `;
         
+        // Clicking a result (outside its buttons) translates it
         results.forEach(result => {
             html += `
-                <div class="search-result-item cursor-pointer" onclick="kanjiHelper.fillTranslationInput('${result.character}')">
+                <div class="search-result-item cursor-pointer" data-fill-text="${this.escapeHtml(result.character)}">
                     <div class="flex items-center gap-4">
-                        <div class="character-display">${result.character}</div>
+                        <div class="character-display">${this.escapeHtml(result.character)}</div>
                         <div class="character-info">
                             <div class="character-type">${result.type.toUpperCase()}</div>
-                            ${result.readings.length > 0 ? 
-                                `<div class="character-readings">${result.readings.join(', ')}</div>` : ''
+                            ${this.formatReadings(result) ? 
+                                `<div class="character-readings">${this.formatReadings(result)}</div>` : ''
                             }
-                            <div class="character-meanings">${result.meanings.join(', ')}</div>
+                            ${this.renderRomaji(this.formatReadings(result))}
+                            <div class="character-meanings">${this.escapeHtml(result.meanings.join(', '))}</div>
+                            ${this.formatKanjiDetails(result) ? 
+                                `<div class="text-xs text-gray-400">${this.formatKanjiDetails(result)}</div>` : ''
+                            }
+                            ${this.formatReadings(result) ? this.renderSpeakButton(this.getSpokenReadings(result)) : ''}
+                            ${this.renderStrokeOrderButton(result)}
+                            ${this.renderKnownButton(result)}
+                            ${result.type === 'kanji' ? this.renderExamplesButton(result.character, 'kanji') : ''}
+                            ${this.renderFavoriteButton(this.toKanjiStudyCard(result))}
+                            ${this.renderStudyButton(this.toKanjiStudyCard(result))}
                         </div>
                     </div>
                 </div>
@@ -550,6 +1897,645 @@ class KanjiHelperPopup {
         });
 
         resultsContainer.innerHTML = html;
+        this.bindStudyButtons(resultsContainer);
+        this.bindSpeakButtons(resultsContainer);
+        this.bindStrokeOrderButtons(resultsContainer);
+        this.bindKnownButtons(resultsContainer);
+        this.bindExamplesButtons(resultsContainer);
+        this.bindFavoriteButtons(resultsContainer);
+        this.showSearchPager(response);
+    }
+
+    /**
+     * SEARCH FILTERS
+     * 
+     * Reads the filter controls under the search box
+     * 
+     * @returns {Object} {jlpt, grade, minStrokes, maxStrokes, radical}, only the ones set
+     */
+    getSearchFilters() {
+        const filters = {};
+        Object.entries(SEARCH_FILTER_INPUTS).forEach(([key, id]) => {
+            const value = parseInt(document.getElementById(id)?.value, 10);
+            if (!Number.isNaN(value)) {
+                filters[key] = value;
+            }
+        });
+        return filters;
+    }
+
+    // Kangxi radicals 1-214 as they appear in the Unicode Kangxi Radicals block
+    renderRadicalOptions() {
+        const select = document.getElementById('searchRadicalSelect');
+        if (!select) return;
+
+        for (let number = 1; number <= 214; number++) {
+            const option = document.createElement('option');
+            option.value = number;
+            option.textContent = `${String.fromCodePoint(0x2F00 + number - 1)} ${number}`;
+            select.appendChild(option);
+        }
+    }
+
+    /**
+     * SEARCH PAGING
+     * 
+     * @param {Object|null} response - searchDictionary response, or null to hide the pager
+     */
+    showSearchPager(response) {
+        const pager = document.getElementById('searchPager');
+        if (!pager) return;
+
+        const pageCount = response ? Math.ceil(response.total / response.pageSize) : 0;
+        pager.classList.toggle('hidden', pageCount <= 1);
+        if (pageCount <= 1) return;
+
+        this.searchPage = response.page;
+        document.getElementById('searchPageInfo').textContent = `Page ${response.page + 1} of ${pageCount}`;
+        document.getElementById('searchPrevBtn').disabled = response.page === 0;
+        document.getElementById('searchNextBtn').disabled = response.page >= pageCount - 1;
+    }
+
+    /**
+     * RADICAL PICKER
+     * 
+     * Search mode for kanji that can't be typed: pick the radicals (parts)
+     * seen in the kanji, grouped by stroke count, and the kanji containing
+     * every one of them are listed. Each pick narrows the list; radicals
+     * that no listed kanji contains are disabled.
+     * 
+     * @param {string} mode - 'text', 'radicals' or 'draw' (handwriting)
+     */
+    showSearchMode(mode) {
+        document.querySelectorAll('[data-search-mode]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.searchMode === mode));
+        });
+        document.getElementById('searchTextPanel').classList.toggle('hidden', mode !== 'text');
+        document.getElementById('radicalPanel').classList.toggle('hidden', mode !== 'radicals');
+        document.getElementById('handwritingPanel').classList.toggle('hidden', mode !== 'draw');
+
+        if (mode === 'radicals') {
+            this.loadRadicals();
+        }
+    }
+
+    async loadRadicals() {
+        if (this.radicals) return;
+
+        const grid = document.getElementById('radicalGrid');
+        try {
+            const response = await this.sendMessage('getRadicals');
+            this.radicals = response.radicals;
+        } catch (error) {
+            console.error('Failed to load radicals:', error);
+            grid.innerHTML = `<div class="text-gray-400">The radicals couldn't be loaded</div>`;
+            return;
+        }
+        this.renderRadicalGrid(null);
+    }
+
+    /**
+     * @param {Set<string>|null} available - Radicals that can still narrow the results, or null for all
+     */
+    renderRadicalGrid(available) {
+        const grid = document.getElementById('radicalGrid');
+        if (!grid || !this.radicals) return;
+
+        // Keep keyboard focus on the radical that was just toggled
+        const focused = grid.contains(document.activeElement) ? document.activeElement.dataset.radical : null;
+
+        let html = '';
+        let groupStrokes = 0;
+        this.radicals.forEach(({ radical, strokes }) => {
+            if (strokes !== groupStrokes) {
+                groupStrokes = strokes;
+                html += `<span class="radical-strokes" aria-hidden="true">${strokes}</span>`;
+            }
+            const selected = this.selectedRadicals.includes(radical);
+            const disabled = !selected && available && !available.has(radical);
+            html += `
+                <button class="radical-button" data-radical="${radical}" aria-pressed="${selected}"
+                        aria-label="${radical}, ${strokes} stroke${strokes !== 1 ? 's' : ''}"${disabled ? ' disabled' : ''}>${radical}</button>
+            `;
+        });
+        grid.innerHTML = html;
+
+        if (focused) {
+            const button = grid.querySelector(`[data-radical="${focused}"]`);
+            if (button) button.focus();
+        }
+    }
+
+    toggleRadical(radical) {
+        this.selectedRadicals = this.selectedRadicals.includes(radical)
+            ? this.selectedRadicals.filter(picked => picked !== radical)
+            : this.selectedRadicals.concat(radical);
+        this.searchByRadicals();
+    }
+
+    async searchByRadicals() {
+        const selection = document.getElementById('radicalSelection');
+        const resultsContainer = document.getElementById('radicalResults');
+        const requestId = ++this.radicalRequestId;
+
+        if (this.selectedRadicals.length === 0) {
+            selection.textContent = 'Pick the parts you can see in the kanji';
+            resultsContainer.innerHTML = '';
+            this.renderRadicalGrid(null);
+            return;
+        }
+        selection.textContent = `Picked: ${this.selectedRadicals.join(' ')}`;
+
+        let response;
+        try {
+            response = await this.sendMessage('searchByRadicals', { radicals: this.selectedRadicals });
+        } catch (error) {
+            console.error('Radical search error:', error);
+            response = { results: [], total: 0, available: this.selectedRadicals };
+        }
+
+        // Another radical was picked meanwhile - drop this one
+        if (requestId !== this.radicalRequestId) return;
+
+        this.renderRadicalGrid(new Set(response.available));
+        if (response.results.length === 0) {
+            resultsContainer.innerHTML = `
+                <div class="text-center text-gray-400 py-4">No kanji contain all of these radicals</div>
+            `;
+            return;
+        }
+
+        // Fewest strokes first; clicking one translates it
+        resultsContainer.innerHTML = `
+            <div class="mb-2 text-sm text-gray-400">
+                ${response.total} kanji${response.total > response.results.length ? ` (showing the first ${response.results.length})` : ''}
+            </div>
+            <div class="flex flex-wrap gap-1">
+                ${response.results.map(entry => `
+                    <button class="text-2xl w-10 h-10 rounded bg-gray-800 bg-opacity-50 hover:bg-teal-700"
+                            data-fill-text="${entry.character}" title="${this.escapeHtml(entry.meanings.join(', '))}">${entry.character}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * HANDWRITING INPUT
+     * 
+     * Search mode for kanji drawn with the mouse, a pen or a finger. After
+     * each stroke the strokes so far go to the background recognizer
+     * (handwriting.js), which ranks the bundled KanjiVG characters against
+     * them without any network access; clicking a candidate translates it.
+     */
+    setupHandwritingCanvas() {
+        const canvas = document.getElementById('handwritingCanvas');
+        if (!canvas) return;
+
+        // Canvas coordinates of a pointer event
+        const toPoint = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                (e.clientX - rect.left) * (canvas.width / rect.width),
+                (e.clientY - rect.top) * (canvas.height / rect.height)
+            ];
+        };
+        let stroke = null;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            canvas.setPointerCapture(e.pointerId);
+            stroke = [toPoint(e)];
+            this.handwritingStrokes.push(stroke);
+            this.drawHandwriting();
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (!stroke) return;
+            stroke.push(toPoint(e));
+            this.drawHandwriting();
+        });
+        const endStroke = () => {
+            if (!stroke) return;
+            stroke = null;
+            this.recognizeHandwriting();
+        };
+        canvas.addEventListener('pointerup', endStroke);
+        canvas.addEventListener('pointercancel', endStroke);
+    }
+
+    drawHandwriting() {
+        const canvas = document.getElementById('handwritingCanvas');
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.strokeStyle = '#ffffff';
+        context.lineWidth = 6;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+
+        this.handwritingStrokes.forEach(stroke => {
+            context.beginPath();
+            context.moveTo(stroke[0][0], stroke[0][1]);
+            // A lone point (a dot) still shows as a round cap
+            stroke.slice(stroke.length > 1 ? 1 : 0).forEach(([x, y]) => context.lineTo(x, y));
+            context.stroke();
+        });
+    }
+
+    async recognizeHandwriting() {
+        const status = document.getElementById('handwritingStatus');
+        const candidatesContainer = document.getElementById('handwritingCandidates');
+        const requestId = ++this.handwritingRequestId;
+        const strokeCount = this.handwritingStrokes.length;
+
+        if (strokeCount === 0) {
+            status.textContent = 'Draw a kanji in its stroke order';
+            candidatesContainer.innerHTML = '';
+            return;
+        }
+
+        let candidates;
+        try {
+            ({ candidates } = await this.sendMessage('recognizeHandwriting', { strokes: this.handwritingStrokes }));
+        } catch (error) {
+            console.error('Handwriting recognition error:', error);
+            status.textContent = 'The drawing couldn\'t be recognized';
+            return;
+        }
+
+        // Another stroke was drawn meanwhile - drop this one
+        if (requestId !== this.handwritingRequestId) return;
+
+        status.textContent = `${strokeCount} stroke${strokeCount !== 1 ? 's' : ''} · ${candidates.length > 0 ? 'pick the character' : 'no match'}`;
+        candidatesContainer.innerHTML = candidates.map(character => `
+            <button class="text-2xl w-10 h-10 rounded bg-gray-800 bg-opacity-50 hover:bg-teal-700"
+                    data-fill-text="${character}" title="Translate ${character}">${character}</button>
+        `).join('');
+    }
+
+    /**
+     * PAGE DIFFICULTY REPORT
+     * 
+     * "Analyze this page" on Home: the active tab's content script collects
+     * the page's visible Japanese text and the background (page-analysis.js)
+     * counts its kanji and words against the known kanji
+     */
+    async analyzePage() {
+        const container = document.getElementById('pageReport');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="flex items-center justify-center text-teal-400 py-4">
+                <div class="spinner mr-3"></div>
+                <span>Analyzing...</span>
+            </div>
+        `;
+
+        let page;
+        let report;
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            // Only the top frame: every frame has a content script
+            page = await sendTabMessage(tab.id, 'collectPageText', {}, { frameId: 0 });
+            page.title = tab.title;
+            page.url = tab.url;
+            if (page.texts.length > 0) {
+                ({ report } = await this.sendMessage('analyzePage', { texts: page.texts }));
+            }
+        } catch (error) {
+            console.error('Page analysis failed:', error);
+            container.innerHTML = `
+                <div class="text-center text-gray-400 py-4">
+                    ${error.code === 'NO_RECEIVER' ? 'This page can\'t be analyzed (the extension doesn\'t run on browser pages)' : 'The page couldn\'t be analyzed'}
+                </div>
+            `;
+            return;
+        }
+
+        if (!report || report.kanji.total === 0) {
+            container.innerHTML = `<div class="text-center text-gray-400 py-4">No kanji on this page</div>`;
+            return;
+        }
+        this.displayPageReport(report, page);
+    }
+
+    /**
+     * @param {Object} report - Report from page-analysis.js
+     * @param {Object} page - {texts, truncated, title, url} of the analyzed tab
+     */
+    displayPageReport(report, page) {
+        const container = document.getElementById('pageReport');
+        const { kanji, words } = report;
+        this.pageReportKanji = report.unknownKanji
+            .filter(entry => entry.inDictionary)
+            .map(entry => ({ ...this.toKanjiStudyCard(entry), source: { url: page.url, title: page.title } }));
+        this.pageReportUnknown = report.unknownKanji.map(entry => entry.character);
+
+        const levelName = level => (level ? `JLPT ${level}` : 'No JLPT level');
+        const gradeName = grade => (grade === 8 ? 'Secondary' : grade ? `Grade ${grade}` : 'Other');
+
+        container.innerHTML = `
+            <div class="grid grid-cols-3 gap-2 text-center mt-4 mb-3">
+                <div>
+                    <div class="text-2xl font-bold text-teal-300">${kanji.coverage}%</div>
+                    <div class="text-xs text-gray-400">of the kanji known</div>
+                </div>
+                <div>
+                    <div class="text-2xl font-bold text-yellow-400">${report.estimatedLevel ? `JLPT ${report.estimatedLevel}` : 'Above JLPT 1'}</div>
+                    <div class="text-xs text-gray-400">estimated level</div>
+                </div>
+                <div>
+                    <div class="text-2xl font-bold">${kanji.known}/${kanji.unique}</div>
+                    <div class="text-xs text-gray-400">different kanji known</div>
+                </div>
+            </div>
+            <div class="text-xs text-gray-400 mb-2">
+                ${kanji.total} kanji, ${words.total} dictionary words (${words.unique} different, ${words.kanaOnly} in kana only)${page.truncated ? ' in the first part of the page' : ''}
+            </div>
+            <table class="w-full text-sm mb-2">
+                <thead>
+                    <tr class="text-gray-400 text-xs"><th class="text-left">Level</th><th class="text-right">Kanji</th><th class="text-right">Words</th></tr>
+                </thead>
+                <tbody>
+                    ${report.jlpt.map(bucket => `
+                        <tr><td>${levelName(bucket.level)}</td><td class="text-right">${bucket.kanji}</td><td class="text-right">${bucket.words}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="text-xs text-gray-400 mb-3">
+                ${report.grades.filter(bucket => bucket.kanji > 0).map(bucket => `${gradeName(bucket.grade)}: ${bucket.kanji}`).join(' · ')}
+            </div>
+            ${report.unknownKanji.length > 0 ? `
+                <div class="flex justify-between items-center mb-2">
+                    <div class="text-sm text-gray-300">Most frequent unknown kanji</div>
+                    <div>
+                        ${this.pageReportKanji.length > 0 ? `
+                            <button id="pageReportStudyBtn" class="text-xs bg-teal-700 hover:bg-teal-500 text-white py-1 px-2 rounded transition-colors">
+                                + Study all ${this.pageReportKanji.length}
+                            </button>
+                        ` : ''}
+                        <button id="pageReportKnownBtn" class="text-xs border border-teal-500 hover:bg-teal-700 text-white py-1 px-2 rounded transition-colors">
+                            Mark all known
+                        </button>
+                    </div>
+                </div>
+                <div class="flex flex-wrap gap-1">
+                    ${report.unknownKanji.map(entry => `
+                        <button class="w-12 rounded bg-gray-800 bg-opacity-50 hover:bg-teal-700" data-fill-text="${entry.character}"
+                                title="${this.escapeHtml(entry.meanings.join(', ') || 'Not in the dictionary')}">
+                            <div class="text-2xl">${entry.character}</div>
+                            <div class="text-xs text-gray-400">×${entry.count}</div>
+                        </button>
+                    `).join('')}
+                </div>
+            ` : '<div class="text-sm text-teal-300">You know every kanji on this page!</div>'}
+        `;
+    }
+
+    // Adds the report's unknown kanji to the review deck
+    async studyPageReportKanji(button) {
+        button.disabled = true;
+        let added = 0;
+        try {
+            for (const card of this.pageReportKanji) {
+                const response = await this.sendMessage('addToDeck', { card });
+                if (response.added) added++;
+            }
+            button.textContent = `✓ Added ${added}`;
+            this.loadDeckStats();
+        } catch (error) {
+            console.error('Failed to add page kanji to deck:', error);
+            button.disabled = false;
+        }
+    }
+
+    // Adds the report's unknown kanji to the known kanji
+    async markPageReportKnown(button) {
+        button.disabled = true;
+        try {
+            const { added } = await this.sendMessage('setKanjiKnown', { kanji: this.pageReportUnknown, known: true });
+            button.textContent = `✓ ${added} known`;
+            this.loadKnownKanji();
+        } catch (error) {
+            console.error('Failed to mark page kanji known:', error);
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * KANJI OF THE DAY
+     * 
+     * Shows today's kanji on the Home section, picked by the background
+     * (daily-kanji.js) from the target level, leaving out studied and known kanji
+     */
+    async loadKanjiOfTheDay() {
+        const container = document.getElementById('dailyKanji');
+        if (!container) return;
+
+        let daily;
+        try {
+            daily = await this.sendMessage('getKanjiOfTheDay');
+        } catch (error) {
+            console.error('Failed to load the kanji of the day:', error);
+            container.innerHTML = `<div class="text-center text-gray-400 mb-4">The kanji of the day couldn't be loaded</div>`;
+            return;
+        }
+
+        this.dailyKanji = daily.entry ? daily : null;
+        if (!daily.entry) {
+            container.innerHTML = `<div class="text-center text-gray-400 mb-4">Every kanji in the dictionary is already in your review deck or known!</div>`;
+            return;
+        }
+
+        const { entry, examples } = daily;
+        const readings = [
+            entry.onyomi.length > 0 ? `<span class="text-xl">Onyomi: ${this.escapeHtml(entry.onyomi.join('、'))}</span>` : '',
+            entry.kunyomi.length > 0 ? `<span class="text-xl">Kunyomi: ${this.escapeHtml(entry.kunyomi.join('、'))}</span>` : ''
+        ].filter(Boolean);
+
+        container.innerHTML = `
+            <div class="text-6xl font-bold text-center mb-4">${this.escapeHtml(entry.character)}</div>
+            ${readings.length > 0 ? `<div class="text-center mb-2">${readings.join(' | ')}</div>` : ''}
+            ${this.renderRomaji(this.formatReadings(entry), 'text-center mb-2')}
+            <div class="text-center mb-2 text-lg">English: ${this.escapeHtml(entry.meanings.join(', '))}</div>
+            ${this.formatKanjiDetails(entry) ? 
+                `<div class="text-center text-xs text-gray-400 mb-2">${this.formatKanjiDetails(entry)}</div>` : ''
+            }
+            ${examples.map(example => `
+                <div class="text-center">
+                    <span class="neon text-lg">${this.escapeHtml(example.text)}</span>
+                    ${example.reading !== example.text ? `<span class="text-yellow-400 ml-1">${this.escapeHtml(example.reading)}</span>` : ''}
+                    ${this.settings.romajiReadings !== 'off' ? 
+                        `<span class="text-xs text-gray-400 ml-1">${this.escapeHtml(kanaToRomaji(example.reading, this.settings.romajiReadings))}</span>` : ''
+                    }
+                    <span class="text-sm text-gray-300 ml-1">${this.escapeHtml(example.senses[0].glosses.slice(0, 2).join('; '))}</span>
+                </div>
+            `).join('')}
+            <div class="text-center mb-2">
+                ${this.formatReadings(entry) ? this.renderSpeakButton(this.getSpokenReadings(entry)) : ''}
+                ${this.renderStrokeOrderButton(entry)}
+                ${this.renderKnownButton(entry)}
+                ${this.renderExamplesButton(entry.character, 'kanji')}
+                ${this.renderFavoriteButton(this.toKanjiStudyCard(entry))}
+                ${this.renderStudyButton(this.toKanjiStudyCard(entry))}
+            </div>
+        `;
+        this.bindSpeakButtons(container);
+        this.bindStrokeOrderButtons(container);
+        this.bindKnownButtons(container);
+        this.bindExamplesButtons(container);
+        this.bindFavoriteButtons(container);
+        this.bindStudyButtons(container);
+    }
+
+    /**
+     * DECK STATS
+     * 
+     * Shows the number of due cards and the deck size on the Home section
+     */
+    async loadDeckStats() {
+        try {
+            const response = await this.sendMessage('getDeckStats');
+            const dueElement = document.getElementById('homeDueCount');
+            const totalElement = document.getElementById('homeDeckTotal');
+            if (dueElement) dueElement.textContent = response.stats.due;
+            if (totalElement) totalElement.textContent = response.stats.total;
+        } catch (error) {
+            console.error('Failed to load deck stats:', error);
+        }
+    }
+
+    /**
+     * REVIEW SESSION
+     * 
+     * Loads the cards that are due and shows them one at a time:
+     * front first, then the answer with Again/Hard/Good/Easy grades.
+     * Each grade is sent to the background, which reschedules the card (SM-2).
+     */
+    async startReview() {
+        this.reviewedCount = 0;
+        try {
+            const response = await this.sendMessage('getDueCards');
+            this.reviewQueue = response.cards;
+        } catch (error) {
+            console.error('Failed to load due cards:', error);
+            this.reviewQueue = [];
+        }
+        this.displayReviewCard();
+    }
+
+    displayReviewCard() {
+        const cardContainer = document.getElementById('reviewCard');
+        const progress = document.getElementById('reviewProgress');
+        if (!cardContainer) return;
+
+        this.answerShown = false;
+
+        if (this.reviewQueue.length === 0) {
+            if (progress) progress.textContent = '';
+            cardContainer.innerHTML = `
+                <div class="text-center text-gray-400 py-8">
+                    <div class="text-4xl mb-4">🎉</div>
+                    <div class="mb-2">${this.reviewedCount > 0 ? `Reviewed ${this.reviewedCount} card${this.reviewedCount !== 1 ? 's' : ''}` : 'No cards due'}</div>
+                    <div class="text-sm">Add words and kanji with "+ Study" to build your deck</div>
+                </div>
+            `;
+            return;
+        }
+
+        const card = this.reviewQueue[0];
+        if (progress) {
+            progress.textContent = `${this.reviewQueue.length} card${this.reviewQueue.length !== 1 ? 's' : ''} left`;
+        }
+
+        cardContainer.innerHTML = `
+            <div class="translation-char text-center">
+                <div class="text-xs text-gray-400 mb-2">${card.type.toUpperCase()}</div>
+                <div class="text-5xl font-bold text-teal-300 mb-4">${this.escapeHtml(card.front)}</div>
+                <div id="reviewAnswer" class="hidden">
+                    <div class="character-readings text-yellow-400 mb-1">${this.escapeHtml(card.reading)}</div>
+                    ${this.renderRomaji(card.reading, 'mb-1')}
+                    <div class="text-gray-300 mb-2">${this.escapeHtml(card.meaning)}</div>
+                    ${card.source && card.source.sentence ? 
+                        `<div class="text-xs text-gray-400 mb-2">${this.escapeHtml(card.source.sentence)}</div>` : ''
+                    }
+                </div>
+            </div>
+            <div id="reviewButtons" class="flex gap-2 mt-4">
+                <button data-review-action="show" class="flex-1 bg-teal-500 hover:bg-teal-700 text-white font-bold py-2 px-4 rounded transition-colors">
+                    Show Answer
+                </button>
+            </div>
+        `;
+    }
+
+    showReviewAnswer() {
+        const answer = document.getElementById('reviewAnswer');
+        const buttons = document.getElementById('reviewButtons');
+        if (!answer || !buttons) return;
+
+        this.answerShown = true;
+        answer.classList.remove('hidden');
+
+        const styles = {
+            again: 'bg-red-600 hover:bg-red-700',
+            hard: 'bg-yellow-600 hover:bg-yellow-700',
+            good: 'bg-teal-500 hover:bg-teal-700',
+            easy: 'bg-blue-500 hover:bg-blue-700'
+        };
+        buttons.innerHTML = Object.keys(REVIEW_GRADES).map((grade, index) => `
+            <button data-review-action="${grade}" class="flex-1 ${styles[grade]} text-white font-bold py-2 px-2 rounded transition-colors" title="Key ${index + 1}">
+                ${grade.charAt(0).toUpperCase() + grade.slice(1)}
+            </button>
+        `).join('');
+    }
+
+    /**
+     * @param {string} grade - 'again' | 'hard' | 'good' | 'easy'
+     */
+    async gradeReviewCard(grade) {
+        const card = this.reviewQueue[0];
+        if (!card || !this.answerShown) return;
+
+        // Ignore further key presses until the card is saved
+        this.answerShown = false;
+
+        try {
+            await this.sendMessage('reviewCard', {
+                id: card.id,
+                grade: REVIEW_GRADES[grade]
+            });
+        } catch (error) {
+            console.error('Failed to save review:', error);
+            this.answerShown = true;
+            return;
+        }
+
+        this.reviewQueue.shift();
+        this.reviewedCount++;
+        this.displayReviewCard();
+    }
+
+    // Card text and source sentences come from web pages
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * PENDING LOOKUP
+     * 
+     * A word opened from a page popup (O key) is translated right away
+     */
+    async openPendingLookup() {
+        try {
+            const { text } = await this.sendMessage('takePendingLookup');
+            if (text) {
+                this.fillTranslationInput(text);
+                this.translateText(text);
+            }
+        } catch (error) {
+            console.error('Failed to open pending lookup:', error);
+        }
     }
 
     /**
@@ -572,14 +2558,12 @@ class KanjiHelperPopup {
     /**
      * SETTINGS MANAGEMENT
      * 
-     * Load user settings from Chrome storage
+     * Load user settings from the background (settings.js)
      */
     async loadSettings() {
         try {
-            const result = await chrome.storage.local.get(['kanjiHelperSettings']);
-            if (result.kanjiHelperSettings) {
-                this.settings = { ...this.settings, ...result.kanjiHelperSettings };
-            }
+            const { settings } = await this.sendMessage('getSettings');
+            this.settings = settings;
         } catch (error) {
             console.error('Failed to load settings:', error);
         }
@@ -588,13 +2572,12 @@ class KanjiHelperPopup {
     /**
      * SAVE SETTINGS
      * 
-     * Persist current settings to Chrome storage
+     * Send the current settings to the background to persist
      */
     async saveSettings() {
         try {
-            await chrome.storage.local.set({ 
-                kanjiHelperSettings: this.settings 
-            });
+            const { settings } = await this.sendMessage('updateSettings', { changes: this.settings });
+            this.settings = settings;
         } catch (error) {
             console.error('Failed to save settings:', error);
         }
@@ -603,21 +2586,15 @@ class KanjiHelperPopup {
     /**
      * CHROME EXTENSION MESSAGING
      * 
-     * Utility method to send messages to background script and handle responses
+     * Sends a request to the background script (see messages.js)
      * 
-     * @param {Object} message - Message object to send
-     * @returns {Promise} Promise that resolves with the response
+     * @param {string} action - Message action, e.g. 'translateText'
+     * @param {Object} payload - Request fields for that action
+     * @returns {Promise} Resolves with the response data; rejects with a
+     *     MessageError if the request is invalid or fails
      */
-    sendMessage(message) {
-        return new Promise((resolve, reject) => {
-            chrome.runtime.sendMessage(message, (response) => {
-                if (chrome.runtime.lastError) {
-                    reject(chrome.runtime.lastError);
-                } else {
-                    resolve(response);
-                }
-            });
-        });
+    sendMessage(action, payload = {}) {
+        return sendRuntimeMessage(action, payload);
     }
 
     /**
@@ -654,16 +2631,3 @@ let kanjiHelper;
 document.addEventListener('DOMContentLoaded', () => {
     kanjiHelper = new KanjiHelperPopup();
 });
-
-/**
- * GLOBAL HELPER FUNCTIONS
- * 
- * Functions that can be called from HTML onclick attributes
- */
-
-// Make fillTranslationInput globally accessible for onclick handlers
-window.fillTranslationInput = (character) => {
-    if (kanjiHelper) {
-        kanjiHelper.fillTranslationInput(character);
-    }
-};
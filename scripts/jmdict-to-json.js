@@ -0,0 +1,106 @@
+/**
+ * JMDICT -> VOCABULARY CONVERTER
+ *
+ * Builds data/jmdict.json, the vocabulary database.js imports into
+ * IndexedDB, from a jmdict-simplified release
+ * (https://github.com/scriptin/jmdict-simplified/releases, the
+ * jmdict-eng-*.json file). Only the fields parseJmdictWord() reads are
+ * kept: each spelling's text and common flag, and each sense's parts of
+ * speech and English glosses. Search-only spellings are dropped, and so
+ * are the part-of-speech tags no kept word uses.
+ *
+ * The whole release is ~200,000 words, so pick a subset:
+ * - --common keeps the words with at least one common spelling
+ * - --words FILE keeps the words with a spelling listed in FILE (one per
+ *   line, # starts a comment). A kana listing keeps every word read that
+ *   way, homophones included, so list the kanji spelling where there is one.
+ *
+ * Usage:
+ *   node scripts/jmdict-to-json.js jmdict-eng-3.5.0.json --common > data/jmdict.json
+ *   node scripts/jmdict-to-json.js jmdict-eng-3.5.0.json --words words.txt > data/jmdict.json
+ */
+
+const fs = require('fs');
+
+// Spelling tags of forms only meant to be found by search, never shown
+const SEARCH_ONLY_TAGS = ['sK', 'sk'];
+
+function readWordList(file) {
+  return new Set(fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean));
+}
+
+function convertSpellings(spellings) {
+  return (spellings || [])
+    .filter(spelling => !(spelling.tags || []).some(tag => SEARCH_ONLY_TAGS.includes(tag)))
+    .map(spelling => ({ text: spelling.text, common: Boolean(spelling.common) }));
+}
+
+// Null when no sense has an English gloss
+function convertWord(word) {
+  const sense = (word.sense || [])
+    .map(item => ({
+      partOfSpeech: item.partOfSpeech || [],
+      gloss: (item.gloss || [])
+        .filter(gloss => !gloss.lang || gloss.lang === 'eng')
+        .map(gloss => ({ text: gloss.text }))
+    }))
+    .filter(item => item.gloss.length > 0);
+
+  if (sense.length === 0) {
+    return null;
+  }
+  return { kanji: convertSpellings(word.kanji), kana: convertSpellings(word.kana), sense };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const inputPath = args[0];
+  const commonOnly = args.includes('--common');
+  const wordsIndex = args.indexOf('--words');
+  const wordList = wordsIndex === -1 ? null : readWordList(args[wordsIndex + 1]);
+
+  if (!inputPath || (!commonOnly && !wordList)) {
+    console.error('Usage: node scripts/jmdict-to-json.js jmdict-eng.json [--common] [--words FILE]');
+    process.exit(1);
+  }
+
+  const jmdict = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+
+  const words = jmdict.words
+    .map(convertWord)
+    .filter(Boolean)
+    .filter(word => {
+      const spellings = word.kanji.concat(word.kana);
+      return (!commonOnly || spellings.some(spelling => spelling.common)) &&
+        (!wordList || spellings.some(spelling => wordList.has(spelling.text)));
+    });
+
+  // Only the tags the kept senses use
+  const used = new Set(words.flatMap(word => word.sense.flatMap(sense => sense.partOfSpeech)));
+  const tags = {};
+  Object.keys(jmdict.tags || {}).sort().forEach(tag => {
+    if (used.has(tag)) {
+      tags[tag] = jmdict.tags[tag];
+    }
+  });
+
+  const subset = [
+    commonOnly && 'Words with a common spelling',
+    wordList && `Words listed in ${args[wordsIndex + 1]}`
+  ].filter(Boolean).join(', ');
+
+  // One word per line keeps diffs of the data file readable
+  const lines = words.map(word => '    ' + JSON.stringify(word));
+  process.stdout.write(
+    '{\n  "source": ' + JSON.stringify(`JMdict (EDRDG, CC BY-SA 4.0), jmdict-simplified ${jmdict.version} (${jmdict.dictDate})`) +
+    ',\n  "subset": ' + JSON.stringify(subset) +
+    ',\n  "tags": ' + JSON.stringify(tags, null, 2).replace(/\n/g, '\n  ') +
+    ',\n  "words": [\n' + lines.join(',\n') + '\n  ]\n}\n'
+  );
+  console.error(`Kept ${words.length} of ${jmdict.words.length} words`);
+}
+
+main();
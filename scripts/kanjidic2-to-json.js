@@ -0,0 +1,122 @@
+/**
+ * KANJIDIC2 XML -> JSON CONVERTER
+ *
+ * Converts the official kanjidic2.xml (https://www.edrdg.org/wiki/index.php/KANJIDIC_Project)
+ * into the JSON layout that database.js imports into IndexedDB.
+ * Only the fields the extension uses are kept: radicals, grade, stroke count,
+ * frequency, JLPT level, ja_on/ja_kun readings, nanori and English meanings.
+ *
+ * Usage:
+ *   node scripts/kanjidic2-to-json.js kanjidic2.xml > data/kanjidic2.json
+ *   node scripts/kanjidic2-to-json.js kanjidic2.xml --max-grade 6 > data/kanjidic2.json
+ */
+
+const fs = require('fs');
+
+// Decode the handful of XML entities KANJIDIC2 uses
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// All elements named `tag` inside `xml`: [{attributes, text}]
+function findElements(xml, tag) {
+  const pattern = new RegExp(`<${tag}((?:\\s+[\\w:]+="[^"]*")*)\\s*>([\\s\\S]*?)</${tag}>`, 'g');
+  const elements = [];
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const attributes = {};
+    const attributePattern = /([\w:]+)="([^"]*)"/g;
+    let attribute;
+    while ((attribute = attributePattern.exec(match[1])) !== null) {
+      attributes[attribute[1]] = decodeEntities(attribute[2]);
+    }
+    elements.push({ attributes, text: decodeEntities(match[2].trim()) });
+  }
+
+  return elements;
+}
+
+// Text of the first `tag` element, or undefined
+function findText(xml, tag) {
+  const element = findElements(xml, tag)[0];
+  return element ? element.text : undefined;
+}
+
+function convertCharacter(xml) {
+  const misc = {};
+  const grade = findText(xml, 'grade');
+  const freq = findText(xml, 'freq');
+  const jlpt = findText(xml, 'jlpt');
+  if (grade) misc.grade = grade;
+  misc.stroke_count = findElements(xml, 'stroke_count').map(element => element.text);
+  if (freq) misc.freq = freq;
+  if (jlpt) misc.jlpt = jlpt;
+
+  return {
+    literal: findText(xml, 'literal'),
+    radical: findElements(xml, 'rad_value').map(element => ({
+      rad_type: element.attributes.rad_type,
+      value: element.text
+    })),
+    misc: misc,
+    reading_meaning: {
+      rmgroup: findElements(xml, 'rmgroup').map(group => ({
+        reading: findElements(group.text, 'reading')
+          .filter(element => ['ja_on', 'ja_kun'].includes(element.attributes.r_type))
+          .map(element => ({ r_type: element.attributes.r_type, value: element.text })),
+        meaning: findElements(group.text, 'meaning')
+          .filter(element => !element.attributes.m_lang)
+          .map(element => ({ value: element.text }))
+      })),
+      nanori: findElements(xml, 'nanori').map(element => element.text)
+    }
+  };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const inputPath = args[0];
+  const maxGradeIndex = args.indexOf('--max-grade');
+  const maxGrade = maxGradeIndex === -1 ? null : parseInt(args[maxGradeIndex + 1], 10);
+
+  if (!inputPath) {
+    console.error('Usage: node scripts/kanjidic2-to-json.js kanjidic2.xml [--max-grade N]');
+    process.exit(1);
+  }
+
+  const xml = fs.readFileSync(inputPath, 'utf8');
+  const header = findElements(xml, 'header')[0];
+
+  let characters = findElements(xml, 'character').map(element => convertCharacter(element.text));
+  if (maxGrade !== null) {
+    characters = characters.filter(character =>
+      character.misc.grade && parseInt(character.misc.grade, 10) <= maxGrade
+    );
+  }
+
+  const output = {
+    header: {
+      file_version: header ? findText(header.text, 'file_version') : undefined,
+      database_version: header ? findText(header.text, 'database_version') : undefined,
+      date_of_creation: header ? findText(header.text, 'date_of_creation') : undefined,
+      source: 'KANJIDIC2 (EDRDG, CC BY-SA 4.0)'
+    },
+    character: characters
+  };
+
+  // One character per line keeps diffs of the data file readable
+  const lines = characters.map(character => '    ' + JSON.stringify(character));
+  process.stdout.write(
+    '{\n  "header": ' + JSON.stringify(output.header, null, 2).replace(/\n/g, '\n  ') +
+    ',\n  "character": [\n' + lines.join(',\n') + '\n  ]\n}\n'
+  );
+  console.error(`Converted ${characters.length} characters`);
+}
+
+main();
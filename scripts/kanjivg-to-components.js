@@ -0,0 +1,121 @@
+/**
+ * KANJIVG -> KANJI COMPONENTS CONVERTER
+ *
+ * Builds data/kanji-components.json, the KRADFILE-style component lists
+ * behind the popup's radical picker, for every kanji in data/kanjidic2.json.
+ *
+ * Input is the data directory of the `kanji` npm package
+ * (https://github.com/echamudi/kanji): kanji-tree/ holds the KanjiVG
+ * (https://github.com/KanjiVG/kanjivg) element tree of each character, and
+ * kanjidic/ its KANJIDIC2 entry, used for the components' stroke counts.
+ *
+ * A kanji's components are every element of its tree, e.g. 語 -> 言 口 吾 五 二.
+ * Only components found in at least --min-kanji kanji (default 3) are kept,
+ * so the picker grid stays small; a kanji that is one of them lists itself.
+ *
+ * Usage:
+ *   node scripts/kanjivg-to-components.js node_modules/kanji/dist/data > data/kanji-components.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KANJIDIC_PATH = path.join(__dirname, '..', 'data', 'kanjidic2.json');
+
+// Strokes of components that KANJIDIC2 doesn't list, or lists in their
+// full form rather than as written inside a kanji (艹 is 6 as a radical)
+const COMPONENT_STROKES = {
+  '艹': 3, '⻌': 3, '⺕': 3, '𠂊': 2, '⻖': 3, '⺍': 3, 'マ': 2, '耂': 4,
+  '⺤': 4, '⺌': 3, '⻏': 3, '戋': 5, '⺦': 3
+};
+
+// Element names below the root of a KanjiVG tree
+function collectElements(node, elements, isRoot = false) {
+  if (!isRoot && node.element) {
+    elements.add(node.element);
+  }
+  (node.g || []).forEach(child => collectElements(child, elements));
+  return elements;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// KANJIDIC2 stroke count of a character, or null
+function readStrokeCount(dataDir, char) {
+  const file = path.join(dataDir, 'kanjidic', `${char.codePointAt(0).toString(16)}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const misc = readJson(file).misc || [];
+  return misc[0] && misc[0].stroke_count ? parseInt(misc[0].stroke_count[0], 10) : null;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const dataDir = args[0];
+  const minKanjiIndex = args.indexOf('--min-kanji');
+  const minKanji = minKanjiIndex === -1 ? 3 : parseInt(args[minKanjiIndex + 1], 10);
+
+  if (!dataDir) {
+    console.error('Usage: node scripts/kanjivg-to-components.js <kanji package dist/data> [--min-kanji N]');
+    process.exit(1);
+  }
+
+  const characters = readJson(KANJIDIC_PATH).character.map(character => character.literal);
+
+  // Every element of each tree, and how many kanji use it
+  const trees = new Map();
+  const usage = new Map();
+  characters.forEach(char => {
+    const file = path.join(dataDir, 'kanji-tree', `${char.codePointAt(0).toString(16).padStart(5, '0')}.json`);
+    const elements = fs.existsSync(file) ? collectElements(readJson(file), new Set(), true) : new Set();
+    trees.set(char, elements);
+    elements.forEach(element => usage.set(element, (usage.get(element) || 0) + 1));
+  });
+
+  const radicals = {};
+  [...usage.keys()]
+    .filter(element => usage.get(element) >= minKanji)
+    .forEach(element => {
+      const strokes = COMPONENT_STROKES[element] || readStrokeCount(dataDir, element);
+      if (strokes) {
+        radicals[element] = strokes;
+      } else {
+        console.error(`Skipping ${element}: no stroke count`);
+      }
+    });
+
+  const kanji = {};
+  characters.forEach(char => {
+    const components = [...trees.get(char)].filter(element => radicals[element]);
+    if (radicals[char]) {
+      components.unshift(char);
+    }
+    if (components.length > 0) {
+      kanji[char] = components;
+    }
+  });
+
+  // Radicals by stroke count, then code point; one kanji per line keeps
+  // diffs of the data file readable
+  const sortedRadicals = Object.keys(radicals).sort((a, b) =>
+    radicals[a] - radicals[b] || a.codePointAt(0) - b.codePointAt(0)
+  );
+  const header = {
+    source: 'KanjiVG element trees (Ulrich Apel, CC BY-SA 3.0) via the kanji package; stroke counts from KANJIDIC2 (EDRDG, CC BY-SA 4.0)',
+    minKanji
+  };
+  process.stdout.write(
+    '{\n  "header": ' + JSON.stringify(header, null, 2).replace(/\n/g, '\n  ') +
+    ',\n  "radicals": {\n' +
+    sortedRadicals.map(radical => `    ${JSON.stringify(radical)}: ${radicals[radical]}`).join(',\n') +
+    '\n  },\n  "kanji": {\n' +
+    Object.entries(kanji).map(([char, components]) => `    ${JSON.stringify(char)}: ${JSON.stringify(components)}`).join(',\n') +
+    '\n  }\n}\n'
+  );
+  console.error(`Converted ${Object.keys(kanji).length} kanji with ${sortedRadicals.length} radicals`);
+}
+
+main();
@@ -0,0 +1,89 @@
+/**
+ * KANJIVG -> STROKE ORDER CONVERTER
+ *
+ * Builds data/kanji-strokes.json, the stroke order viewer's data, from the
+ * KanjiVG SVG files (https://github.com/KanjiVG/kanjivg, kanji/ directory)
+ * for every kanji in data/kanjidic2.json plus hiragana and katakana.
+ *
+ * Each character keeps what the viewer draws from its KanjiVG file, in
+ * KanjiVG's 109 x 109 coordinates:
+ * {
+ *   strokes: ['M31.5,24.5c1.12,...', ...],  // Path data of each stroke, in order
+ *   numbers: [[25.25, 32.63], ...]          // Where each stroke's number goes
+ * }
+ *
+ * Usage:
+ *   node scripts/kanjivg-to-strokes.js kanjivg/kanji > data/kanji-strokes.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KANJIDIC_PATH = path.join(__dirname, '..', 'data', 'kanjidic2.json');
+
+// Hiragana ぁ-ゖ and katakana ァ-ヺ, plus the long vowel mark
+const KANA_RANGES = [[0x3041, 0x3096], [0x30a1, 0x30fa], [0x30fc, 0x30fc]];
+
+// Stroke paths (by their -sN number) and stroke number positions of one SVG
+function parseKanjiVgSvg(svg) {
+  const strokes = [];
+  const pathPattern = /<path\s[^>]*id="kvg:[^"]*-s(\d+)"[^>]*\sd="([^"]+)"/g;
+  let match;
+  while ((match = pathPattern.exec(svg)) !== null) {
+    strokes[parseInt(match[1], 10) - 1] = match[2];
+  }
+
+  const numbers = [];
+  const numberPattern = /<text transform="matrix\(1 0 0 1 ([\d.]+) ([\d.]+)\)">(\d+)<\/text>/g;
+  while ((match = numberPattern.exec(svg)) !== null) {
+    numbers[parseInt(match[3], 10) - 1] = [parseFloat(match[1]), parseFloat(match[2])];
+  }
+
+  return { strokes, numbers };
+}
+
+function main() {
+  const kanjiDir = process.argv[2];
+  if (!kanjiDir) {
+    console.error('Usage: node scripts/kanjivg-to-strokes.js <kanjivg kanji directory>');
+    process.exit(1);
+  }
+
+  const characters = JSON.parse(fs.readFileSync(KANJIDIC_PATH, 'utf8')).character
+    .map(character => character.literal);
+  KANA_RANGES.forEach(([first, last]) => {
+    for (let codePoint = first; codePoint <= last; codePoint++) {
+      characters.push(String.fromCodePoint(codePoint));
+    }
+  });
+
+  const lines = [];
+  characters.forEach(char => {
+    const file = path.join(kanjiDir, `${char.codePointAt(0).toString(16).padStart(5, '0')}.svg`);
+    if (!fs.existsSync(file)) {
+      console.error(`Skipping ${char}: no KanjiVG file`);
+      return;
+    }
+
+    const { strokes, numbers } = parseKanjiVgSvg(fs.readFileSync(file, 'utf8'));
+    // A gap in the stroke numbering means the file wasn't parsed right
+    if (strokes.length === 0 || strokes.includes(undefined) || numbers.length !== strokes.length) {
+      console.error(`Skipping ${char}: unexpected stroke data`);
+      return;
+    }
+    lines.push(`    ${JSON.stringify(char)}: ${JSON.stringify({ strokes, numbers })}`);
+  });
+
+  // One character per line keeps diffs of the data file readable
+  const header = {
+    source: 'KanjiVG (Ulrich Apel, CC BY-SA 3.0), http://kanjivg.tagaini.net',
+    viewBox: '0 0 109 109'
+  };
+  process.stdout.write(
+    '{\n  "header": ' + JSON.stringify(header, null, 2).replace(/\n/g, '\n  ') +
+    ',\n  "characters": {\n' + lines.join(',\n') + '\n  }\n}\n'
+  );
+  console.error(`Converted ${lines.length} characters`);
+}
+
+main();
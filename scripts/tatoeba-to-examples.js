@@ -0,0 +1,146 @@
+/**
+ * TATOEBA -> EXAMPLE SENTENCES CONVERTER
+ *
+ * Builds data/examples.json, the example sentences shown on word and kanji
+ * cards, from the Tatoeba exports (https://tatoeba.org/downloads):
+ * sentences.csv (id, language, text) and jpn_indices.csv (Japanese
+ * sentence id, English sentence id, Tanaka corpus B-line index).
+ *
+ * Only sentences that use a word of data/jmdict.json are kept, at most
+ * EXAMPLES_PER_WORD per word: sentences checked as good examples (~ in the
+ * index) first, then the shortest. Each sentence keeps its index words in
+ * dictionary form, written like the bundled JMdict entry, with the form
+ * used in the sentence in braces when it differs:
+ * { id: 4701, japanese: '...', english: '...', words: ['私', 'は', '行く{行きます}'] }
+ *
+ * Usage:
+ *   node scripts/tatoeba-to-examples.js sentences.csv jpn_indices.csv > data/examples.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const JMDICT_PATH = path.join(__dirname, '..', 'data', 'jmdict.json');
+const EXAMPLES_PER_WORD = 20;
+const MAX_SENTENCE_LENGTH = 40;      // Characters; longer sentences make poor examples
+
+// B-line word: headword, then optional (reading), [sense], {form} and ~
+const INDEX_WORD_PATTERN = /^([^(\[{~]+)(?:\(([^)]*)\))?(?:\[(\d+)\])?(?:\{([^}]*)\})?(~)?$/;
+
+// Every spelling of the bundled vocabulary -> the spelling its entry is
+// shown under (first kanji spelling, else first kana)
+function loadHeadwords() {
+  const headwords = new Map();
+  JSON.parse(fs.readFileSync(JMDICT_PATH, 'utf8')).words.forEach(word => {
+    const spellings = (word.kanji || []).concat(word.kana || []).map(spelling => spelling.text);
+    spellings.forEach(spelling => {
+      if (!headwords.has(spelling)) {
+        headwords.set(spelling, spellings[0]);
+      }
+    });
+  });
+  return headwords;
+}
+
+// Words of one B-line: [{headword, form, checked}]
+function parseIndexLine(line) {
+  return line.trim().split(/\s+/).map(token => {
+    const match = INDEX_WORD_PATTERN.exec(token);
+    if (!match) {
+      return null;
+    }
+    return { headword: match[1], form: match[4] || match[1], checked: Boolean(match[5]) };
+  }).filter(Boolean);
+}
+
+async function readLines(file, onLine) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    onLine(line.split('\t'));
+  }
+}
+
+async function main() {
+  const [sentencesFile, indicesFile] = process.argv.slice(2);
+  if (!sentencesFile || !indicesFile) {
+    console.error('Usage: node scripts/tatoeba-to-examples.js <sentences.csv> <jpn_indices.csv>');
+    process.exit(1);
+  }
+
+  const headwords = loadHeadwords();
+
+  // Indexed sentences that use the bundled vocabulary
+  const indexed = [];
+  await readLines(indicesFile, ([japaneseId, englishId, line]) => {
+    const words = parseIndexLine(line || '');
+    if (words.some(word => headwords.has(word.headword))) {
+      indexed.push({ japaneseId, englishId, words });
+    }
+  });
+
+  const wanted = new Set(indexed.flatMap(sentence => [sentence.japaneseId, sentence.englishId]));
+  const texts = new Map();
+  await readLines(sentencesFile, ([id, language, text]) => {
+    if (wanted.has(id) && (language === 'jpn' || language === 'eng')) {
+      texts.set(id, text);
+    }
+  });
+
+  const candidates = indexed
+    .filter(sentence => texts.has(sentence.japaneseId) && texts.has(sentence.englishId))
+    .map(sentence => ({ ...sentence, japanese: texts.get(sentence.japaneseId) }))
+    .filter(sentence => [...sentence.japanese].length <= MAX_SENTENCE_LENGTH);
+
+  // Good examples of each word first, then the shortest
+  const kept = new Set();
+  const perWord = new Map();
+  const checkedFor = (sentence, headword) =>
+    sentence.words.some(word => word.headword === headword && word.checked);
+  headwords.forEach((_, spelling) => perWord.set(spelling, []));
+  candidates.forEach(sentence => {
+    sentence.words.forEach(word => {
+      if (perWord.has(word.headword)) {
+        perWord.get(word.headword).push(sentence);
+      }
+    });
+  });
+  perWord.forEach((sentences, headword) => {
+    sentences
+      .sort((a, b) => checkedFor(b, headword) - checkedFor(a, headword) ||
+        a.japanese.length - b.japanese.length)
+      .slice(0, EXAMPLES_PER_WORD)
+      .forEach(sentence => kept.add(sentence));
+  });
+
+  const lines = [...kept]
+    .sort((a, b) => Number(a.japaneseId) - Number(b.japaneseId))
+    .map(sentence => {
+      const words = sentence.words.map(word => {
+        const headword = headwords.get(word.headword) || word.headword;
+        return word.form === headword ? headword : `${headword}{${word.form}}`;
+      });
+      return `    ${JSON.stringify({
+        id: Number(sentence.japaneseId),
+        japanese: sentence.japanese,
+        english: texts.get(sentence.englishId),
+        words
+      })}`;
+    });
+
+  // One sentence per line keeps diffs of the data file readable
+  const header = {
+    source: 'Tatoeba (https://tatoeba.org, CC BY 2.0 FR), Tanaka corpus word index',
+    words: 'Dictionary form of each indexed word, with the form used in the sentence in braces when it differs (Tanaka corpus B-line notation)'
+  };
+  process.stdout.write(
+    '{\n  "header": ' + JSON.stringify(header, null, 2).replace(/\n/g, '\n  ') +
+    ',\n  "sentences": [\n' + lines.join(',\n') + '\n  ]\n}\n'
+  );
+  console.error(`Kept ${lines.length} of ${candidates.length} sentences`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+/**
+ * SETTINGS
+ *
+ * User settings and their defaults, shared by the background service
+ * worker, content script and popup. Stored in chrome.storage.local under
+ * 'kanjiHelperSettings'; only the background writes them (through the
+ * updateSettings message), the other contexts read them with getSettings
+ * and follow changes through chrome.storage.onChanged.
+ */
+
+const SETTINGS_STORAGE_KEY = 'kanjiHelperSettings';
+
+const DEFAULT_SETTINGS = {
+  autoHide: true,        // Auto-hide webpage popups
+  autoHideDelay: 10,     // Seconds before a webpage popup hides
+  showReadings: true,    // Show kanji readings in results
+  showMeanings: true,    // Show kanji meanings in results
+  romajiReadings: 'off', // Romaji under kana readings: 'off', 'hepburn' or 'kunrei' (kana.js)
+  fontSize: 'medium',    // Webpage popup text size (SETTING_OPTIONS.fontSize)
+  maxCards: 12,          // Word and character cards shown per webpage popup section
+  theme: 'dark',         // Webpage popup theme: 'dark', 'light' or 'auto' (follow the system)
+  hoverMode: false,      // Look up words under the mouse on webpages
+  furiganaLevel: 'all',  // Furigana overlay: 'all', 'jlpt-N' or 'grade-N'
+  highlightUnknownKanji: false, // Highlight kanji not marked known on webpages (known-kanji.js)
+  speechVoice: '',       // Japanese text-to-speech voice name ('' = first installed)
+  speechRate: 100,       // Speaking speed, percent of normal
+  speakOnLookup: false,  // Read the looked-up word aloud (not in hover mode)
+  dailyKanjiLevel: 4,    // Kanji of the day leans toward this old JLPT level (4 = easiest)
+  dailyKanjiNotification: false, // Show the kanji of the day as a notification each morning
+  // Anki export: exported fields in note order, with their Anki names
+  ankiFieldMapping: [
+    { field: 'character', name: 'Character' },
+    { field: 'readings', name: 'Readings' },
+    { field: 'meanings', name: 'Meanings' },
+    { field: 'sourceSentence', name: 'Source sentence' },
+    { field: 'sourceUrl', name: 'Source URL' }
+  ],
+  ankiSkipExported: true // Leave out items exported before
+};
+
+// Allowed values of settings that aren't free-form
+const SETTING_OPTIONS = {
+  fontSize: ['small', 'medium', 'large', 'x-large'],
+  theme: ['dark', 'light', 'auto'],
+  romajiReadings: ['off', 'hepburn', 'kunrei']
+};
+
+const SETTING_RANGES = {
+  autoHideDelay: { min: 1, max: 120 },
+  maxCards: { min: 1, max: 50 },
+  speechRate: { min: 50, max: 200 },
+  dailyKanjiLevel: { min: 1, max: 4 }
+};
+
+// Settings writes run one after another so a popup change and a keyboard
+// shortcut can't overwrite each other
+let settingsUpdateQueue = Promise.resolve();
+
+// Stored settings (which may predate newer options) on top of the
+// defaults, without any that are no longer used or no longer valid
+function withDefaultSettings(stored) {
+  const settings = { ...DEFAULT_SETTINGS };
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (stored && isValidSetting(key, stored[key])) {
+      settings[key] = stored[key];
+    }
+  });
+  return settings;
+}
+
+function isValidSetting(key, value) {
+  const defaultValue = DEFAULT_SETTINGS[key];
+  if (defaultValue === undefined ||
+      Array.isArray(value) !== Array.isArray(defaultValue) ||
+      typeof value !== typeof defaultValue) {
+    return false;
+  }
+  if (SETTING_OPTIONS[key]) {
+    return SETTING_OPTIONS[key].includes(value);
+  }
+  if (SETTING_RANGES[key]) {
+    const { min, max } = SETTING_RANGES[key];
+    return Number.isInteger(value) && value >= min && value <= max;
+  }
+  return true;
+}
+
+async function readSettings() {
+  const result = await chrome.storage.local.get([SETTINGS_STORAGE_KEY]);
+  return withDefaultSettings(result[SETTINGS_STORAGE_KEY]);
+}
+
+/**
+ * UPDATE SETTINGS
+ *
+ * Merges changes into the stored settings and resolves with the result.
+ * Unknown settings, values of the wrong type and values outside
+ * SETTING_OPTIONS / SETTING_RANGES are rejected.
+ */
+function writeSettings(changes) {
+  Object.entries(changes).forEach(([key, value]) => {
+    if (!isValidSetting(key, value)) {
+      throw new Error(`Invalid setting: ${key}`);
+    }
+  });
+
+  const run = settingsUpdateQueue.then(async () => {
+    const settings = { ...(await readSettings()), ...changes };
+    await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: settings });
+    return settings;
+  });
+
+  settingsUpdateQueue = run.catch(() => {});
+  return run;
+}
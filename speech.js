@@ -0,0 +1,77 @@
+/**
+ * SPEECH
+ *
+ * Reads words and readings aloud with chrome.tts for the page popup and
+ * the extension popup (the speak message). Loaded into the background
+ * service worker with importScripts().
+ *
+ * Only Japanese voices are used: the one picked in the settings
+ * (speechVoice), or the first installed one. Without any, nothing is
+ * spoken and the callers tell the user to install one.
+ */
+
+const SPEECH_LANG = 'ja-JP';
+
+// Engines that never report events settle the speak message after this
+const SPEECH_START_TIMEOUT = 3000;     // ms
+
+// KANJIDIC reading marks: okurigana dot (ひと.つ) and affix hyphen (-び)
+const READING_MARKS_PATTERN = /[.\-]/g;
+
+// Installed voices that speak Japanese, as {name, lang, remote}
+async function getJapaneseVoices() {
+  const voices = await chrome.tts.getVoices();
+  return voices
+    .filter(voice => voice.voiceName && (voice.lang || '').toLowerCase().startsWith('ja'))
+    .map(voice => ({
+      name: voice.voiceName,
+      lang: voice.lang,
+      remote: Boolean(voice.remote)
+    }));
+}
+
+/**
+ * SPEAK
+ *
+ * Interrupts anything still being spoken. Resolves with false when no
+ * Japanese voice is installed, true once speech has started (or, for
+ * engines that report no events, SPEECH_START_TIMEOUT after it was
+ * accepted). Rejects when chrome.tts refuses the text or the voice.
+ */
+async function speakJapanese(text, settings) {
+  const voices = await getJapaneseVoices();
+  if (voices.length === 0) {
+    return false;
+  }
+  const voice = voices.find(({ name }) => name === settings.speechVoice) || voices[0];
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let timer = null;
+    const settle = (callback, value) => {
+      settled = true;
+      clearTimeout(timer);
+      callback(value);
+    };
+
+    chrome.tts.speak(text.replace(READING_MARKS_PATTERN, ''), {
+      voiceName: voice.name,
+      lang: voice.lang || SPEECH_LANG,
+      rate: settings.speechRate / 100,
+      onEvent: event => {
+        if (event.type === 'error') {
+          settle(reject, new Error(event.errorMessage || 'Speech failed'));
+        } else {
+          // 'start', or 'end'/'interrupted' for engines that don't report it
+          settle(resolve, true);
+        }
+      }
+    }, () => {
+      if (chrome.runtime.lastError) {
+        settle(reject, new Error(chrome.runtime.lastError.message));
+      } else if (!settled) {
+        timer = setTimeout(() => settle(resolve, true), SPEECH_START_TIMEOUT);
+      }
+    });
+  });
+}
@@ -0,0 +1,471 @@
+/**
+ * MINIMAL SQLITE WRITER
+ *
+ * Builds a SQLite 3 database file in memory, so the popup can produce
+ * Anki packages (see anki-export.js) without bundling a SQL engine.
+ * It only writes: every table and index is laid out once as a complete
+ * b-tree, following https://www.sqlite.org/fileformat.html.
+ *
+ * Object format (in schema order):
+ * {
+ *   type: 'table',
+ *   name: 'notes',
+ *   sql: 'CREATE TABLE notes (id integer primary key, ...)',
+ *   rows: [[1, 'guid', ...], ...],   // null, number, string or Uint8Array values
+ *   rowidColumn: 0                   // INTEGER PRIMARY KEY column, or -1
+ * }
+ * {
+ *   type: 'index',
+ *   name: 'ix_notes_csum',
+ *   table: 'notes',
+ *   sql: 'CREATE INDEX ix_notes_csum on notes (csum)',
+ *   columns: [8]                     // Indexed column positions in the table
+ * }
+ */
+
+const SQLITE_PAGE_SIZE = 4096;
+const SQLITE_HEADER_SIZE = 100;
+const SQLITE_VERSION_NUMBER = 3046000;
+
+// B-tree page types
+const SQLITE_INTERIOR_INDEX = 0x02;
+const SQLITE_INTERIOR_TABLE = 0x05;
+const SQLITE_LEAF_INDEX = 0x0A;
+const SQLITE_LEAF_TABLE = 0x0D;
+
+const sqliteTextEncoder = new TextEncoder();
+
+/**
+ * VALUE ENCODING
+ */
+
+// SQLite varint: 7 bits per byte, big-endian, high bit = more bytes follow.
+// Values here are far below 2^56, so the 9-byte form is never needed.
+function encodeSqliteVarint(value) {
+  const groups = [];
+  do {
+    groups.unshift(value % 128);
+    value = Math.floor(value / 128);
+  } while (value > 0);
+
+  return groups.map((group, i) => (i < groups.length - 1 ? group | 0x80 : group));
+}
+
+// Serial type and body bytes of one value
+function encodeSqliteValue(value) {
+  if (value === null || value === undefined) {
+    return { type: 0, body: [] };
+  }
+
+  if (typeof value === 'string') {
+    const bytes = sqliteTextEncoder.encode(value);
+    return { type: bytes.length * 2 + 13, body: Array.from(bytes) };
+  }
+
+  if (value instanceof Uint8Array) {
+    return { type: value.length * 2 + 12, body: Array.from(value) };
+  }
+
+  if (!Number.isInteger(value)) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    return { type: 7, body: Array.from(new Uint8Array(view.buffer)) };
+  }
+
+  if (value === 0) return { type: 8, body: [] };
+  if (value === 1) return { type: 9, body: [] };
+
+  // Smallest two's complement size that holds the integer
+  const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+  for (const [type, size] of sizes) {
+    const limit = 2 ** (size * 8 - 1);
+    if (value >= -limit && value < limit) {
+      const view = new DataView(new ArrayBuffer(8));
+      view.setBigInt64(0, BigInt(value));
+      return { type, body: Array.from(new Uint8Array(view.buffer).slice(8 - size)) };
+    }
+  }
+  throw new Error(`Integer out of range: ${value}`);
+}
+
+// Record format: header size, serial types, then the value bodies
+function encodeSqliteRecord(values) {
+  const encoded = values.map(encodeSqliteValue);
+  const types = encoded.flatMap(value => encodeSqliteVarint(value.type));
+
+  // The header size counts its own varint
+  let headerSize = types.length + 1;
+  while (encodeSqliteVarint(headerSize).length + types.length > headerSize) {
+    headerSize++;
+  }
+
+  return [
+    ...encodeSqliteVarint(headerSize),
+    ...types,
+    ...encoded.flatMap(value => value.body)
+  ];
+}
+
+// Sort order of index keys (BINARY collation): NULL < numbers < text < blob
+function compareSqliteValues(a, b) {
+  const rank = value => {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return 2;
+    return 3;
+  };
+
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (rank(a) === 0) return 0;
+  if (rank(a) === 1) return a - b;
+
+  const bytesA = typeof a === 'string' ? sqliteTextEncoder.encode(a) : a;
+  const bytesB = typeof b === 'string' ? sqliteTextEncoder.encode(b) : b;
+  for (let i = 0; i < Math.min(bytesA.length, bytesB.length); i++) {
+    if (bytesA[i] !== bytesB[i]) return bytesA[i] - bytesB[i];
+  }
+  return bytesA.length - bytesB.length;
+}
+
+function compareSqliteKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    const order = compareSqliteValues(a[i], b[i]);
+    if (order !== 0) return order;
+  }
+  return 0;
+}
+
+/**
+ * PAGE WRITER
+ *
+ * Collects pages while the b-trees are laid out. Page 1 is reserved for
+ * the file header and sqlite_master.
+ */
+function createSqlitePager() {
+  const pages = [new Uint8Array(SQLITE_PAGE_SIZE)];
+
+  return {
+    pages,
+    allocate() {
+      pages.push(new Uint8Array(SQLITE_PAGE_SIZE));
+      return pages.length;
+    },
+    get(pageNumber) {
+      return pages[pageNumber - 1];
+    }
+  };
+}
+
+/**
+ * PAYLOAD SPILLING
+ *
+ * Keeps as much of a payload on the b-tree page as the format allows and
+ * writes the rest to a chain of overflow pages. Returns the bytes to store
+ * in the cell: local payload followed by the first overflow page number.
+ */
+function spillSqlitePayload(pager, payload, isTableLeaf) {
+  const usable = SQLITE_PAGE_SIZE;
+  const maxLocal = isTableLeaf ? usable - 35 : Math.floor((usable - 12) * 64 / 255) - 23;
+  const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+
+  if (payload.length <= maxLocal) {
+    return payload;
+  }
+
+  let localSize = minLocal + ((payload.length - minLocal) % (usable - 4));
+  if (localSize > maxLocal) {
+    localSize = minLocal;
+  }
+
+  // Chain the rest: each overflow page starts with the next page number
+  const overflowPages = [];
+  for (let offset = localSize; offset < payload.length; offset += usable - 4) {
+    overflowPages.push({ page: pager.allocate(), bytes: payload.slice(offset, offset + usable - 4) });
+  }
+  overflowPages.forEach(({ page, bytes }, i) => {
+    const data = pager.get(page);
+    const next = i + 1 < overflowPages.length ? overflowPages[i + 1].page : 0;
+    new DataView(data.buffer).setUint32(0, next);
+    data.set(bytes, 4);
+  });
+
+  const pointer = new Uint8Array(4);
+  new DataView(pointer.buffer).setUint32(0, overflowPages[0].page);
+  return [...payload.slice(0, localSize), ...pointer];
+}
+
+function pageNumberBytes(pageNumber) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, pageNumber);
+  return Array.from(bytes);
+}
+
+// Space a page has for cells and their 2-byte pointers
+function sqlitePageCapacity(pageType, pageNumber) {
+  const headerSize = pageType === SQLITE_LEAF_TABLE || pageType === SQLITE_LEAF_INDEX ? 8 : 12;
+  return SQLITE_PAGE_SIZE - headerSize - (pageNumber === 1 ? SQLITE_HEADER_SIZE : 0);
+}
+
+/**
+ * B-TREE PAGE
+ *
+ * Writes a page header, its cells (packed at the end of the page) and
+ * the cell pointer array
+ */
+function writeSqlitePage(data, pageType, cells, rightChild, isFirstPage) {
+  const headerOffset = isFirstPage ? SQLITE_HEADER_SIZE : 0;
+  const view = new DataView(data.buffer);
+  const isLeaf = pageType === SQLITE_LEAF_TABLE || pageType === SQLITE_LEAF_INDEX;
+  const pointerOffset = headerOffset + (isLeaf ? 8 : 12);
+
+  let contentStart = SQLITE_PAGE_SIZE;
+  cells.forEach((cell, i) => {
+    contentStart -= cell.length;
+    data.set(cell, contentStart);
+    view.setUint16(pointerOffset + i * 2, contentStart);
+  });
+
+  data[headerOffset] = pageType;
+  view.setUint16(headerOffset + 1, 0);                         // No freeblocks
+  view.setUint16(headerOffset + 3, cells.length);
+  view.setUint16(headerOffset + 5, contentStart % 65536);
+  data[headerOffset + 7] = 0;                                  // No fragmented bytes
+  if (!isLeaf) {
+    view.setUint32(headerOffset + 8, rightChild);
+  }
+}
+
+// Splits cells into consecutive groups that fit on one page each
+function packSqliteCells(cells, capacity) {
+  const groups = [[]];
+  let used = 0;
+
+  cells.forEach(cell => {
+    const size = cell.length + 2;
+    if (used + size > capacity && groups[groups.length - 1].length > 0) {
+      groups.push([]);
+      used = 0;
+    }
+    groups[groups.length - 1].push(cell);
+    used += size;
+  });
+
+  return groups;
+}
+
+/**
+ * INTERIOR PAGE SPLIT
+ *
+ * Groups the children of an interior level into pages: [first, last]
+ * index ranges, where children first..last-1 get a cell and child last is
+ * the right-most pointer. Every page gets at least one cell.
+ */
+function partitionSqliteChildren(count, cellSize, capacity) {
+  const ranges = [];
+  let first = 0;
+
+  while (first < count) {
+    let last = first;
+    let used = 0;
+    while (last < count - 1 && used + cellSize(last) <= capacity) {
+      used += cellSize(last);
+      last++;
+    }
+    // A lone child can't make a page of its own - leave it a neighbour
+    if (last === count - 2) {
+      last--;
+    }
+    ranges.push([first, last]);
+    first = last + 1;
+  }
+
+  return ranges;
+}
+
+/**
+ * TABLE B-TREE
+ *
+ * rows: [{rowid, record}] sorted by rowid. Returns the root page number.
+ */
+function writeSqliteTable(pager, rows) {
+  const cells = rows.map(({ rowid, record }) => [
+    ...encodeSqliteVarint(record.length),
+    ...encodeSqliteVarint(rowid),
+    ...spillSqlitePayload(pager, record, true)
+  ]);
+
+  // Leaves, remembering the largest rowid on each
+  const cellRowids = new Map(cells.map((cell, i) => [cell, rows[i].rowid]));
+  let level = packSqliteCells(cells, sqlitePageCapacity(SQLITE_LEAF_TABLE)).map(group => {
+    const page = pager.allocate();
+    writeSqlitePage(pager.get(page), SQLITE_LEAF_TABLE, group, 0, false);
+    return { page, maxRowid: group.length > 0 ? cellRowids.get(group[group.length - 1]) : 0 };
+  });
+
+  // Interior levels: each child's largest rowid separates it from the next
+  while (level.length > 1) {
+    const children = level;
+    const cellSize = i => 4 + encodeSqliteVarint(children[i].maxRowid).length + 2;
+
+    level = partitionSqliteChildren(children.length, cellSize, sqlitePageCapacity(SQLITE_INTERIOR_TABLE))
+      .map(([first, last]) => {
+        const page = pager.allocate();
+        const cells = children.slice(first, last).map(child => [
+          ...pageNumberBytes(child.page),
+          ...encodeSqliteVarint(child.maxRowid)
+        ]);
+        writeSqlitePage(pager.get(page), SQLITE_INTERIOR_TABLE, cells, children[last].page, false);
+        return { page, maxRowid: children[last].maxRowid };
+      });
+  }
+
+  return level[0].page;
+}
+
+/**
+ * INDEX B-TREE
+ *
+ * keys: arrays of indexed values followed by the rowid, sorted.
+ * Unlike tables, interior cells hold keys of their own, taken out of
+ * the sequence between the pages they separate. Returns the root page.
+ */
+function writeSqliteIndex(pager, keys) {
+  const toPayload = key => {
+    const record = encodeSqliteRecord(key);
+    return [...encodeSqliteVarint(record.length), ...spillSqlitePayload(pager, record, false)];
+  };
+
+  // Leaves, with one key set aside between each pair of them
+  const leafCapacity = sqlitePageCapacity(SQLITE_LEAF_INDEX);
+  let nodes = [];
+  let separators = [];
+  let group = [];
+  let used = 0;
+
+  const flushLeaf = () => {
+    const page = pager.allocate();
+    writeSqlitePage(pager.get(page), SQLITE_LEAF_INDEX, group, 0, false);
+    nodes.push(page);
+    group = [];
+    used = 0;
+  };
+
+  const payloads = keys.map(toPayload);
+  for (let i = 0; i < payloads.length; i++) {
+    const size = payloads[i].length + 2;
+    if (used + size > leafCapacity && group.length > 0) {
+      // Keep at least one key for the next leaf
+      if (i === payloads.length - 1) {
+        i--;
+        group.pop();
+      }
+      flushLeaf();
+      separators.push(payloads[i]);
+      continue;
+    }
+    group.push(payloads[i]);
+    used += size;
+  }
+  flushLeaf();
+
+  // Interior levels: cells are (left child, separator key). The separator
+  // after a page's right-most child moves up to the next level.
+  while (nodes.length > 1) {
+    const children = nodes;
+    const childSeparators = separators;
+    const cellSize = i => 4 + childSeparators[i].length + 2;
+    const ranges = partitionSqliteChildren(
+      children.length, cellSize, sqlitePageCapacity(SQLITE_INTERIOR_INDEX)
+    );
+
+    nodes = ranges.map(([first, last]) => {
+      const page = pager.allocate();
+      const cells = [];
+      for (let i = first; i < last; i++) {
+        cells.push([...pageNumberBytes(children[i]), ...childSeparators[i]]);
+      }
+      writeSqlitePage(pager.get(page), SQLITE_INTERIOR_INDEX, cells, children[last], false);
+      return page;
+    });
+    separators = ranges.slice(0, -1).map(([, last]) => childSeparators[last]);
+  }
+
+  return nodes[0];
+}
+
+/**
+ * DATABASE FILE
+ *
+ * Lays out every object, then writes sqlite_master and the file header on
+ * page 1. Returns the file as a Uint8Array.
+ */
+function createSqliteDatabase(objects) {
+  const pager = createSqlitePager();
+  const tables = new Map();
+  const masterRows = [];
+
+  objects.forEach(object => {
+    let rootPage;
+
+    if (object.type === 'table') {
+      const rows = object.rows.map((row, i) => {
+        const rowid = object.rowidColumn >= 0 && row[object.rowidColumn] !== null
+          ? row[object.rowidColumn]
+          : i + 1;
+        // The INTEGER PRIMARY KEY column is stored as NULL; the rowid holds it
+        const values = row.map((value, column) => (column === object.rowidColumn ? null : value));
+        return { rowid, values, row, record: encodeSqliteRecord(values) };
+      });
+      rows.sort((a, b) => a.rowid - b.rowid);
+      tables.set(object.name, rows);
+      rootPage = writeSqliteTable(pager, rows);
+    } else if (object.type === 'index') {
+      const keys = tables.get(object.table).map(({ rowid, row }) => [
+        ...object.columns.map(column => row[column]),
+        rowid
+      ]);
+      keys.sort(compareSqliteKeys);
+      rootPage = writeSqliteIndex(pager, keys);
+    } else {
+      throw new Error(`Unsupported schema object: ${object.type}`);
+    }
+
+    masterRows.push([object.type, object.name, object.table || object.name, rootPage, object.sql]);
+  });
+
+  // sqlite_master must fit on page 1
+  const masterCells = masterRows.map((row, i) => {
+    const record = encodeSqliteRecord(row);
+    return [...encodeSqliteVarint(record.length), ...encodeSqliteVarint(i + 1), ...record];
+  });
+  const masterSize = masterCells.reduce((total, cell) => total + cell.length + 2, 0);
+  if (masterSize > sqlitePageCapacity(SQLITE_LEAF_TABLE, 1)) {
+    throw new Error('Schema too large for the first page');
+  }
+  const firstPage = pager.get(1);
+  writeSqlitePage(firstPage, SQLITE_LEAF_TABLE, masterCells, 0, true);
+
+  // File header
+  const header = new DataView(firstPage.buffer);
+  firstPage.set(sqliteTextEncoder.encode('SQLite format 3\0'), 0);
+  header.setUint16(16, SQLITE_PAGE_SIZE);
+  firstPage[18] = 1;                                  // Legacy (rollback journal) write version
+  firstPage[19] = 1;                                  // Legacy read version
+  firstPage[20] = 0;                                  // Reserved bytes per page
+  firstPage[21] = 64;                                 // Max embedded payload fraction
+  firstPage[22] = 32;                                 // Min embedded payload fraction
+  firstPage[23] = 32;                                 // Leaf payload fraction
+  header.setUint32(24, 1);                            // File change counter
+  header.setUint32(28, pager.pages.length);           // Database size in pages
+  header.setUint32(32, 0);                            // No freelist
+  header.setUint32(36, 0);
+  header.setUint32(40, 1);                            // Schema cookie
+  header.setUint32(44, 4);                            // Schema format
+  header.setUint32(56, 1);                            // UTF-8
+  header.setUint32(92, 1);                            // Version-valid-for
+  header.setUint32(96, SQLITE_VERSION_NUMBER);
+
+  const file = new Uint8Array(pager.pages.length * SQLITE_PAGE_SIZE);
+  pager.pages.forEach((page, i) => file.set(page, i * SQLITE_PAGE_SIZE));
+  return file;
+}
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, DatabaseSync, withSqliteDatabase } = require('./testing');
+
+loadScripts('sqlite-writer.js');
+
+const VARINTS = [
+  [0, [0x00]],
+  [127, [0x7F]],
+  [128, [0x81, 0x00]],
+  [16383, [0xFF, 0x7F]],
+  [16384, [0x81, 0x80, 0x00]]
+];
+
+test('encodeSqliteVarint writes big-endian 7-bit groups', () => {
+  VARINTS.forEach(([value, bytes]) => {
+    assert.deepStrictEqual(encodeSqliteVarint(value), bytes, String(value));
+  });
+});
+
+test('encodeSqliteRecord picks the smallest serial type for each value', () => {
+  assert.deepStrictEqual(encodeSqliteRecord([null, 0, 1, 'a', 300, -1, 1.5]), [
+    8, 0, 8, 9, 15, 2, 1, 7,              // Header: size, then one serial type per value
+    0x61,                                 // 'a'
+    0x01, 0x2C,                           // 300
+    0xFF,                                 // -1
+    0x3F, 0xF8, 0, 0, 0, 0, 0, 0          // 1.5
+  ]);
+});
+
+test('compareSqliteKeys sorts like the BINARY collation', () => {
+  const keys = [['b', 2], [new Uint8Array([0]), 1], ['a', 9], [10, 1], [null, 5], ['a', 3], [2, 1]];
+  assert.deepStrictEqual(keys.sort(compareSqliteKeys), [
+    [null, 5], [2, 1], [10, 1], ['a', 3], ['a', 9], ['b', 2], [new Uint8Array([0]), 1]
+  ]);
+});
+
+// Enough rows for interior pages, and values long enough to overflow
+const ROWS = Array.from({ length: 3000 }, (_, i) => [
+  i + 1,
+  `word ${i % 700}`,
+  i % 500 === 0 ? '漢字'.repeat(6000) : `meaning ${i}`,
+  i % 3 === 0 ? new Uint8Array([i % 256, 1, 2]) : null
+]);
+
+const OBJECTS = [
+  { type: 'table', name: 'words', sql: 'CREATE TABLE words (id integer primary key, text text, meaning text, data blob)', rows: ROWS, rowidColumn: 0 },
+  { type: 'table', name: 'log', sql: 'CREATE TABLE log (value integer)', rows: [[5], [-70000], [2 ** 40]], rowidColumn: -1 },
+  { type: 'index', name: 'ix_words_text', table: 'words', sql: 'CREATE INDEX ix_words_text on words (text)', columns: [1] }
+];
+
+test('createSqliteDatabase writes whole pages behind a valid header', () => {
+  const file = createSqliteDatabase(OBJECTS);
+  const header = new DataView(file.buffer);
+  assert.strictEqual(Buffer.from(file.slice(0, 16)).toString('latin1'), 'SQLite format 3\0');
+  assert.strictEqual(header.getUint16(16), SQLITE_PAGE_SIZE);
+  assert.strictEqual(header.getUint32(28) * SQLITE_PAGE_SIZE, file.length);
+});
+
+test('createSqliteDatabase files pass SQLite\'s integrity check', { skip: !DatabaseSync && 'needs node:sqlite' }, () => {
+  withSqliteDatabase(createSqliteDatabase(OBJECTS), db => {
+    assert.strictEqual(db.prepare('PRAGMA integrity_check').get().integrity_check, 'ok');
+
+    assert.strictEqual(db.prepare('SELECT count(*) AS n FROM words').get().n, ROWS.length);
+    const row = db.prepare('SELECT * FROM words WHERE id = 501').get();
+    assert.strictEqual(row.text, 'word 500');
+    assert.strictEqual(row.meaning, '漢字'.repeat(6000));
+    assert.strictEqual(row.data, null);
+    assert.deepStrictEqual([...db.prepare('SELECT data FROM words WHERE id = 502').get().data], [501 % 256, 1, 2]);
+
+    const matches = db.prepare('SELECT id FROM words INDEXED BY ix_words_text WHERE text = ? ORDER BY id').all('word 3');
+    assert.deepStrictEqual(matches.map(({ id }) => id), [4, 704, 1404, 2104, 2804]);
+
+    assert.deepStrictEqual(db.prepare('SELECT value FROM log ORDER BY rowid').all().map(({ value }) => value), [5, -70000, 2 ** 40]);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * STROKE ORDER VIEWER
+ *
+ * Animated stroke order of a kanji or kana, shared by the content script
+ * (page popup) and the extension popup. The stroke data comes from the
+ * background (getStrokeOrder message): KanjiVG paths in a 109 x 109 box,
+ * one per stroke in writing order, and where each stroke's number goes
+ * (see scripts/kanjivg-to-strokes.js).
+ *
+ * Strokes are drawn one after another with their numbers; the controls
+ * replay from the start, step back or forward one stroke, and pause.
+ * With reduced motion preferred, each stroke appears at once.
+ *
+ * Only the drawing is styled here (SVG attributes); each context styles
+ * the .stroke-order-controls buttons to match its own look.
+ */
+
+// Character types (see dictionary.js) KanjiVG has stroke data for
+const STROKE_ORDER_TYPES = ['kanji', 'hiragana', 'katakana'];
+
+const STROKE_ORDER_SVG_NS = 'http://www.w3.org/2000/svg';
+const STROKE_ORDER_VIEWBOX = '0 0 109 109';
+const STROKE_DRAW_SPEED = 0.12;    // Path units per millisecond
+const MIN_STROKE_DRAW_MS = 250;
+const STROKE_PAUSE_MS = 200;       // Between strokes
+const REDUCED_MOTION_QUERY = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+function createSvgElement(tag, attributes) {
+  const element = document.createElementNS(STROKE_ORDER_SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+function createStrokeControl(action, text, label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.dataset.strokeAction = action;
+  button.textContent = text;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  return button;
+}
+
+/**
+ * CREATE VIEWER
+ *
+ * Returns the viewer element for {character, strokes, numbers}. It starts
+ * playing once it is in the document and stops when it is removed.
+ */
+function createStrokeOrderViewer(strokeOrder) {
+  const { character, strokes, numbers } = strokeOrder;
+  const total = strokes.length;
+
+  const viewer = document.createElement('div');
+  viewer.className = 'stroke-order-viewer';
+
+  const svg = createSvgElement('svg', {
+    viewBox: STROKE_ORDER_VIEWBOX,
+    class: 'stroke-order-svg',
+    role: 'img',
+    'aria-label': `Stroke order of ${character}, ${total} stroke${total !== 1 ? 's' : ''}`
+  });
+  const strokeStyle = {
+    fill: 'none',
+    stroke: 'currentColor',
+    'stroke-width': '3',
+    'stroke-linecap': 'round',
+    'stroke-linejoin': 'round'
+  };
+
+  // Faint outline of the whole character, then the strokes drawn over it
+  const guide = createSvgElement('g', { ...strokeStyle, 'stroke-opacity': '0.15' });
+  const drawn = createSvgElement('g', strokeStyle);
+  const labels = createSvgElement('g', { fill: 'currentColor', 'fill-opacity': '0.6', 'font-size': '8' });
+  const paths = strokes.map((d, i) => {
+    guide.appendChild(createSvgElement('path', { d }));
+    const path = createSvgElement('path', { d });
+    drawn.appendChild(path);
+
+    const label = createSvgElement('text', { x: numbers[i][0], y: numbers[i][1] });
+    label.textContent = String(i + 1);
+    labels.appendChild(label);
+    return path;
+  });
+  svg.append(guide, drawn, labels);
+
+  const controls = document.createElement('div');
+  controls.className = 'stroke-order-controls';
+  const playButton = createStrokeControl('play', '⏸', 'Pause');
+  const counter = document.createElement('span');
+  counter.className = 'stroke-order-count';
+  counter.setAttribute('aria-live', 'polite');
+  controls.append(
+    createStrokeControl('replay', '⟲', 'Replay'),
+    createStrokeControl('back', '◀', 'Previous stroke'),
+    playButton,
+    createStrokeControl('forward', '▶', 'Next stroke'),
+    counter
+  );
+  viewer.append(svg, controls);
+
+  // Strokes fully drawn, the one being drawn and the timer before the next
+  let shown = 0;
+  let playing = false;
+  let animation = null;
+  let pauseTimer = null;
+
+  const lengths = [];
+  function getLength(i) {
+    if (lengths[i] === undefined) {
+      lengths[i] = paths[i].getTotalLength();
+    }
+    return lengths[i];
+  }
+
+  function setStrokeVisible(i, visible) {
+    const length = getLength(i);
+    paths[i].style.strokeDasharray = `${length} ${length}`;
+    paths[i].style.strokeDashoffset = visible ? '0' : String(length);
+    labels.children[i].style.visibility = visible ? 'visible' : 'hidden';
+  }
+
+  function stopAnimation() {
+    clearTimeout(pauseTimer);
+    if (animation) {
+      animation.cancel();
+      animation = null;
+    }
+  }
+
+  function render() {
+    paths.forEach((path, i) => setStrokeVisible(i, i < shown));
+    counter.textContent = `${shown} / ${total}`;
+    playButton.textContent = playing ? '⏸' : '▶';
+    playButton.title = playing ? 'Pause' : 'Play';
+    playButton.setAttribute('aria-label', playButton.title);
+  }
+
+  function drawNext() {
+    if (!viewer.isConnected || !playing) {
+      return;
+    }
+    if (shown >= total) {
+      playing = false;
+      render();
+      return;
+    }
+
+    const i = shown;
+    const length = getLength(i);
+    labels.children[i].style.visibility = 'visible';
+    const duration = REDUCED_MOTION_QUERY.matches ? 0 : Math.max(MIN_STROKE_DRAW_MS, length / STROKE_DRAW_SPEED);
+    animation = paths[i].animate(
+      [{ strokeDashoffset: length }, { strokeDashoffset: 0 }],
+      { duration, easing: 'ease-in-out' }
+    );
+    animation.onfinish = () => {
+      animation = null;
+      shown = i + 1;
+      render();
+      pauseTimer = setTimeout(drawNext, STROKE_PAUSE_MS);
+    };
+  }
+
+  function play(fromStart) {
+    stopAnimation();
+    if (fromStart || shown >= total) {
+      shown = 0;
+    }
+    playing = true;
+    render();
+    drawNext();
+  }
+
+  function step(offset) {
+    stopAnimation();
+    playing = false;
+    shown = Math.min(total, Math.max(0, shown + offset));
+    render();
+  }
+
+  controls.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-stroke-action]');
+    if (!button) {
+      return;
+    }
+    event.stopPropagation();
+    switch (button.dataset.strokeAction) {
+      case 'replay':
+        play(true);
+        break;
+      case 'back':
+        step(-1);
+        break;
+      case 'forward':
+        step(1);
+        break;
+      case 'play':
+        if (playing) {
+          step(0);
+        } else {
+          play(false);
+        }
+        break;
+    }
+  });
+
+  // Path lengths need the SVG in the document; start on the next frame
+  requestAnimationFrame(() => {
+    if (viewer.isConnected) {
+      play(true);
+    }
+  });
+
+  return viewer;
+}
@@ -0,0 +1,46 @@
+/**
+ * TEST LOADER
+ *
+ * The extension's scripts are classic browser scripts that share globals
+ * instead of exporting anything, so the *.test.js files run them in the
+ * test process the same way importScripts() does: loadScripts('kana.js')
+ * and then call kanaToRomaji() directly. Chrome APIs a script touches
+ * have to be set on global.chrome first.
+ *
+ * Generated SQLite files are read back with node:sqlite, which needs
+ * Node.js 22.5 or newer; DatabaseSync is null on older versions.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+let DatabaseSync = null;
+try {
+  ({ DatabaseSync } = require('node:sqlite'));
+} catch (error) {
+  // Older Node.js
+}
+
+function loadScripts(...files) {
+  files.forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+  });
+}
+
+// Opens the file bytes with SQLite for the callback, then deletes them
+function withSqliteDatabase(bytes, callback) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kanji-helper-'));
+  const file = path.join(directory, 'test.sqlite');
+  fs.writeFileSync(file, bytes);
+  const db = new DatabaseSync(file, { readOnly: true });
+  try {
+    callback(db);
+  } finally {
+    db.close();
+    fs.rmSync(directory, { recursive: true });
+  }
+}
+
+module.exports = { loadScripts, DatabaseSync, withSqliteDatabase };